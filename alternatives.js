@@ -0,0 +1,181 @@
+// Alternative routes drawn beside the active route, with a comparison table
+import { formatDistance, formatDuration } from './formatting.js';
+
+// The directions backends return at most three routes
+const MAX_ROUTES = 3;
+
+const EMPTY_LINE = {
+  type: 'Feature',
+  geometry: {
+    type: 'LineString',
+    coordinates: []
+  }
+};
+
+/**
+ * Get the id used for an alternative route's source and layer
+ * @param {number} index - The route index in the directions response
+ * @returns {string} - The source/layer id
+ */
+function getAlternativeLayerId(index) {
+  return `route-alternative-${index}`;
+}
+
+/**
+ * Add one source and layer per possible route, below the active 'route-line' layer
+ * Must be called from the map 'load' handler, after the 'route-line' layer
+ * @param {Object} map - The Mapbox GL map
+ * @param {Function} onSelect - Called with the route index when an alternative line is clicked
+ */
+function addAlternativeLayers(map, onSelect) {
+  for (let index = 0; index < MAX_ROUTES; index++) {
+    const id = getAlternativeLayerId(index);
+
+    map.addSource(id, {
+      type: 'geojson',
+      data: EMPTY_LINE
+    });
+
+    map.addLayer({
+      id,
+      type: 'line',
+      source: id,
+      layout: {
+        'line-join': 'round',
+        'line-cap': 'round'
+      },
+      paint: {
+        'line-color': '#8a9ba8',
+        'line-width': 5,
+        'line-opacity': 0.7
+      }
+    }, 'route-line');
+
+    map.on('click', id, () => onSelect(index));
+    map.on('mouseenter', id, () => {
+      map.getCanvas().style.cursor = 'pointer';
+    });
+    map.on('mouseleave', id, () => {
+      map.getCanvas().style.cursor = '';
+    });
+  }
+}
+
+/**
+ * Check whether any intersection along a route carries a road class
+ * @param {Object} route - A Mapbox route requested with steps enabled
+ * @param {string} roadClass - e.g. 'toll' or 'ferry'
+ * @returns {boolean|null} - Null when the route has no steps to inspect
+ */
+function routeUsesClass(route, roadClass) {
+  const steps = (route.legs || []).flatMap(leg => leg.steps || []);
+
+  if (steps.length === 0) {
+    return null;
+  }
+
+  return steps.some(step =>
+    (roadClass === 'ferry' && step.mode === 'ferry') ||
+    (step.intersections || []).some(intersection =>
+      (intersection.classes || []).includes(roadClass)));
+}
+
+/**
+ * Draw the inactive routes on their own layers and clear the rest
+ * @param {Object} map - The Mapbox GL map
+ * @param {Array<Object>} routes - Routes from the directions response
+ * @param {number} activeIndex - The index of the route drawn on 'route-line'
+ */
+function drawAlternatives(map, routes, activeIndex) {
+  for (let index = 0; index < MAX_ROUTES; index++) {
+    const source = map.getSource(getAlternativeLayerId(index));
+    if (!source) {
+      continue;
+    }
+
+    const route = routes[index];
+    source.setData(route && index !== activeIndex ? {
+      type: 'Feature',
+      properties: { routeIndex: index },
+      geometry: route.geometry
+    } : EMPTY_LINE);
+  }
+}
+
+/**
+ * Describe a yes/no/unknown value for the comparison table
+ * @param {boolean|null} value - The value to describe
+ * @returns {string} - 'Yes', 'No' or a dash when unknown
+ */
+function describeUsage(value) {
+  if (value === null) {
+    return '–';
+  }
+  return value ? 'Yes' : 'No';
+}
+
+/**
+ * Render the comparison table for the returned routes
+ * @param {Array<Object>} routes - Routes from the directions response
+ * @param {number} activeIndex - The index of the active route
+ * @param {Function} onSelect - Called with the route index when a row is clicked
+ */
+function renderAlternativesTable(routes, activeIndex, onSelect) {
+  const container = document.getElementById('route-alternatives');
+  const body = document.getElementById('route-alternatives-body');
+
+  body.innerHTML = '';
+
+  // A comparison only makes sense when there is something to compare
+  if (!routes || routes.length < 2) {
+    container.style.display = 'none';
+    return;
+  }
+
+  routes.forEach((route, index) => {
+    const row = document.createElement('tr');
+    if (index === activeIndex) {
+      row.className = 'active';
+    }
+
+    const cells = [
+      index === 0 ? 'Recommended' : `Alternative ${index}`,
+      formatDuration(route.duration),
+      formatDistance(route.distance),
+      describeUsage(routeUsesClass(route, 'toll')),
+      describeUsage(routeUsesClass(route, 'ferry'))
+    ];
+
+    cells.forEach(text => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+
+    row.addEventListener('click', () => onSelect(index));
+    body.appendChild(row);
+  });
+
+  container.style.display = 'block';
+}
+
+/**
+ * Remove all alternatives from the map and hide the comparison table
+ * @param {Object} map - The Mapbox GL map
+ */
+function clearAlternatives(map) {
+  if (map) {
+    drawAlternatives(map, [], 0);
+  }
+  renderAlternativesTable([], 0, () => {});
+}
+
+// Export the functions
+export {
+  MAX_ROUTES,
+  addAlternativeLayers,
+  drawAlternatives,
+  renderAlternativesTable,
+  clearAlternatives,
+  routeUsesClass
+};
@@ -0,0 +1,220 @@
+// Elevation profile chart for walking and cycling routes, linked to a marker on the map
+import { formatDistance } from './formatting.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Chart drawing area in SVG units; the SVG stretches to the panel width
+const CHART_WIDTH = 1000;
+const CHART_HEIGHT = 160;
+
+// Route geometries are thinned to this many points before they are sent
+const MAX_REQUEST_POINTS = 1000;
+
+// Only these profiles get an elevation chart
+const ELEVATION_PROFILES = ['walking', 'cycling'];
+
+const EMPTY_COLLECTION = {
+  type: 'FeatureCollection',
+  features: []
+};
+
+/**
+ * Check whether a route's transport mode gets an elevation chart
+ * @param {string} profile - The routing profile
+ * @returns {boolean}
+ */
+function hasElevationProfile(profile) {
+  return ELEVATION_PROFILES.includes(profile);
+}
+
+/**
+ * Fetch the elevation profile of a route
+ * @param {Array<Array<number>>} coordinates - The route geometry as [lng, lat] pairs
+ * @returns {Promise<Object>} - The /api/elevation response
+ */
+async function requestElevation(coordinates) {
+  // Keep every nth point and the last, which is plenty for 300 samples
+  const step = Math.ceil(coordinates.length / MAX_REQUEST_POINTS);
+  const points = coordinates.filter((coord, index) => index % step === 0 || index === coordinates.length - 1);
+
+  const response = await fetch('/api/elevation', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ coordinates: points })
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.message || errorData.error || 'Could not get the elevation profile');
+  }
+
+  return response.json();
+}
+
+/**
+ * Add the marker that follows the cursor over the chart
+ * Must be called from the map 'load' handler, after the 'route-line' layer
+ * @param {Object} map - The Mapbox GL map
+ */
+function addElevationLayers(map) {
+  map.addSource('elevation-hover', {
+    type: 'geojson',
+    data: EMPTY_COLLECTION
+  });
+
+  map.addLayer({
+    id: 'elevation-hover-point',
+    type: 'circle',
+    source: 'elevation-hover',
+    paint: {
+      'circle-radius': 7,
+      'circle-color': '#ff7a00',
+      'circle-stroke-color': '#fff',
+      'circle-stroke-width': 2
+    }
+  });
+}
+
+/**
+ * Move the hover marker, or hide it
+ * @param {Object} map - The Mapbox GL map
+ * @param {Array<number>|null} coordinates - [lng, lat], or null to hide the marker
+ */
+function showElevationMarker(map, coordinates) {
+  if (!map || !map.getSource('elevation-hover')) {
+    return;
+  }
+
+  map.getSource('elevation-hover').setData(coordinates ? {
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates }
+  } : EMPTY_COLLECTION);
+}
+
+/**
+ * Create an SVG element with attributes
+ * @param {string} name - The element name
+ * @param {Object} attributes - Attribute names and values
+ * @returns {SVGElement}
+ */
+function createSvgElement(name, attributes) {
+  const element = document.createElementNS(SVG_NS, name);
+  Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+  return element;
+}
+
+/**
+ * Find the sample closest to a distance along the route
+ * @param {Array<Object>} samples - Samples in order of distance
+ * @param {number} distance - Metres from the start
+ * @returns {Object}
+ */
+function findNearestSample(samples, distance) {
+  let low = 0;
+  let high = samples.length - 1;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if (samples[middle].distance < distance) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+
+  const previous = samples[Math.max(0, low - 1)];
+  return distance - previous.distance < samples[low].distance - distance ? previous : samples[low];
+}
+
+/**
+ * Draw the elevation chart and climb statistics under the map
+ * @param {Object} elevation - The /api/elevation response
+ * @param {Function} onHover - Called with the sample under the cursor, or null when it leaves the chart
+ */
+function renderElevationChart(elevation, onHover) {
+  const panel = document.getElementById('elevation-panel');
+  const stats = document.getElementById('elevation-stats');
+  const chart = document.getElementById('elevation-chart');
+  const readout = document.getElementById('elevation-readout');
+
+  const { samples, summary } = elevation;
+  const length = samples[samples.length - 1].distance || 1;
+
+  // Leave some headroom so flat routes do not look like cliffs
+  const range = Math.max(summary.maxElevation - summary.minElevation, 20);
+  const floor = summary.minElevation - range * 0.1;
+  const ceiling = summary.maxElevation + range * 0.1;
+  const toX = distance => distance / length * CHART_WIDTH;
+  const toY = height => CHART_HEIGHT - (height - floor) / (ceiling - floor) * CHART_HEIGHT;
+
+  stats.textContent = [
+    `↑ ${summary.ascent} m`,
+    `↓ ${summary.descent} m`,
+    `Steepest climb ${summary.maxGrade}%`,
+    `Steepest descent ${summary.maxDescentGrade}%`,
+    `${Math.round(summary.minElevation)}–${Math.round(summary.maxElevation)} m`
+  ].join(' · ');
+
+  chart.innerHTML = '';
+  chart.setAttribute('viewBox', `0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`);
+  chart.setAttribute('preserveAspectRatio', 'none');
+
+  const line = samples.map(sample => `${toX(sample.distance).toFixed(1)},${toY(sample.elevation).toFixed(1)}`).join(' L');
+  chart.appendChild(createSvgElement('path', {
+    d: `M0,${CHART_HEIGHT} L${line} L${CHART_WIDTH},${CHART_HEIGHT} Z`,
+    class: 'elevation-area'
+  }));
+  chart.appendChild(createSvgElement('path', {
+    d: `M${line}`,
+    class: 'elevation-line',
+    'vector-effect': 'non-scaling-stroke'
+  }));
+
+  const cursor = createSvgElement('line', {
+    y1: 0,
+    y2: CHART_HEIGHT,
+    class: 'elevation-cursor',
+    'vector-effect': 'non-scaling-stroke',
+    visibility: 'hidden'
+  });
+  chart.appendChild(cursor);
+
+  chart.onmousemove = event => {
+    const bounds = chart.getBoundingClientRect();
+    const fraction = Math.min(1, Math.max(0, (event.clientX - bounds.left) / bounds.width));
+    const sample = findNearestSample(samples, fraction * length);
+
+    cursor.setAttribute('x1', toX(sample.distance));
+    cursor.setAttribute('x2', toX(sample.distance));
+    cursor.setAttribute('visibility', 'visible');
+    readout.textContent = `${formatDistance(sample.distance)} from the start · ${Math.round(sample.elevation)} m`;
+    onHover(sample);
+  };
+
+  chart.onmouseleave = () => {
+    cursor.setAttribute('visibility', 'hidden');
+    readout.textContent = '';
+    onHover(null);
+  };
+
+  readout.textContent = '';
+  panel.style.display = 'block';
+}
+
+/**
+ * Hide the elevation chart
+ */
+function hideElevationChart() {
+  document.getElementById('elevation-panel').style.display = 'none';
+}
+
+// Export the functions
+export {
+  hasElevationProfile,
+  requestElevation,
+  addElevationLayers,
+  showElevationMarker,
+  renderElevationChart,
+  hideElevationChart
+};
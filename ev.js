@@ -0,0 +1,343 @@
+// Electric vehicle range planning: where the battery runs low, and the chargers to stop at
+import { getSegmentCosts } from './road-trip.js';
+import { findInsertPosition } from './route-editing.js';
+import { formatDistance, formatDuration } from './formatting.js';
+
+// The charger dataset served with the app; see createGeoJsonChargerSource for its format
+const CHARGER_DATA_URL = 'chargers.geojson';
+
+// localStorage key for the settings panel
+const EV_SETTINGS_KEY = 'routeVisualization.evSettings';
+
+const DEFAULT_EV_SETTINGS = {
+  enabled: false,
+  rangeKm: 350,
+  startChargePercent: 100
+};
+
+// Charge is kept above the reserve, and topped up to CHARGE_TO at each stop, where charging slows down
+const RESERVE_FRACTION = 0.1;
+const CHARGE_TO_FRACTION = 0.8;
+
+// Used to turn the charge added into a charging time
+const CONSUMPTION_KWH_PER_KM = 0.18;
+const MAX_VEHICLE_CHARGE_KW = 150;
+const DEFAULT_CHARGER_KW = 50;
+
+// Chargers further than this from the route are not worth the detour
+const MAX_CHARGER_DETOUR_METERS = 5000;
+
+/**
+ * Read the settings panel values saved in this browser
+ * @returns {Object} - { enabled, rangeKm, startChargePercent }
+ */
+function loadEvSettings() {
+  try {
+    return { ...DEFAULT_EV_SETTINGS, ...JSON.parse(localStorage.getItem(EV_SETTINGS_KEY) || '{}') };
+  } catch (error) {
+    console.error('Ignoring unreadable EV settings:', error.message);
+    return { ...DEFAULT_EV_SETTINGS };
+  }
+}
+
+/**
+ * Fill in the settings panel and save it whenever it changes
+ * @param {Function} onChange - Called with the new settings
+ */
+function initializeEvSettings(onChange) {
+  const enabled = document.getElementById('ev-enabled');
+  const range = document.getElementById('ev-range');
+  const startCharge = document.getElementById('ev-start-charge');
+  const settings = loadEvSettings();
+
+  enabled.checked = settings.enabled;
+  range.value = settings.rangeKm;
+  startCharge.value = settings.startChargePercent;
+
+  [enabled, range, startCharge].forEach(input => input.addEventListener('change', () => {
+    const updated = {
+      enabled: enabled.checked,
+      rangeKm: Number(range.value) > 0 ? Number(range.value) : DEFAULT_EV_SETTINGS.rangeKm,
+      startChargePercent: Math.min(100, Math.max(1, Number(startCharge.value) || 100))
+    };
+    localStorage.setItem(EV_SETTINGS_KEY, JSON.stringify(updated));
+    console.log('Saved EV settings:', updated);
+    onChange(updated);
+  }));
+}
+
+/**
+ * Fill in the vehicle range and starting charge the query did not give from the settings panel
+ * @param {Object} preferences - Route preferences
+ * @param {Object} settings - From loadEvSettings
+ * @returns {Object} - The preferences, with evRangeKm and startChargePercent when planning for an EV
+ */
+function applyEvSettings(preferences, settings) {
+  if (preferences.evRangeKm || !settings.enabled) {
+    return preferences;
+  }
+  return {
+    ...preferences,
+    evRangeKm: settings.rangeKm,
+    startChargePercent: preferences.startChargePercent || settings.startChargePercent
+  };
+}
+
+/**
+ * Check whether a route should be planned with charging stops
+ * @param {Object} preferences - Route preferences
+ * @returns {boolean}
+ */
+function needsChargingPlan(preferences) {
+  return Boolean(preferences && preferences.evRangeKm && preferences.transportMode === 'driving' &&
+    !preferences.legModes);
+}
+
+/**
+ * A charger source that reads every charger from a GeoJSON file of points
+ * Each point needs a name and may give powerKw; other sources only need the same findChargers method
+ * @param {string} url - Where the GeoJSON is served
+ * @returns {{findChargers: Function}} - findChargers(bounds) resolves to the chargers inside
+ *   [[west, south], [east, north]]
+ */
+function createGeoJsonChargerSource(url = CHARGER_DATA_URL) {
+  let chargers = null;
+
+  const load = () => {
+    chargers = chargers || fetch(url)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`Charger data could not be loaded (${response.status})`);
+        }
+        return response.json();
+      })
+      .then(data => (data.features || [])
+        .filter(feature => feature.geometry && feature.geometry.type === 'Point')
+        .map(feature => ({
+          name: feature.properties.name || 'Charger',
+          coordinates: feature.geometry.coordinates,
+          powerKw: Number(feature.properties.powerKw) || DEFAULT_CHARGER_KW,
+          properties: feature.properties
+        })))
+      .catch(error => {
+        // Try again next time rather than remembering the failure
+        chargers = null;
+        throw error;
+      });
+    return chargers;
+  };
+
+  return {
+    findChargers: ([[west, south], [east, north]]) => load().then(all => all.filter(({ coordinates: [lng, lat] }) =>
+      lng >= west && lng <= east && lat >= south && lat <= north))
+  };
+}
+
+/**
+ * Get the area a route covers, widened by the furthest detour to a charger
+ * @param {Object} route - A Mapbox route
+ * @returns {Array<Array<number>>} - [[west, south], [east, north]]
+ */
+function getChargerSearchBounds(route) {
+  const coordinates = route.geometry.coordinates;
+  const lngs = coordinates.map(coord => coord[0]);
+  const lats = coordinates.map(coord => coord[1]);
+  const margin = MAX_CHARGER_DETOUR_METERS / 111000;
+  return [
+    [Math.min(...lngs) - margin * 2, Math.min(...lats) - margin],
+    [Math.max(...lngs) + margin * 2, Math.max(...lats) + margin]
+  ];
+}
+
+/**
+ * Find how far along the route each charger is, dropping those too far from it
+ * Distances off the route are measured to the nearest vertex, scaled by latitude
+ * @param {Array<Array<number>>} coordinates - The route geometry
+ * @param {Array<number>} along - Distance along the route to each vertex, in metres
+ * @param {Array<Object>} chargers - From a charger source
+ * @returns {Array<Object>} - The chargers near the route with an `along` distance, nearest the start first
+ */
+function placeChargersOnRoute(coordinates, along, chargers) {
+  return chargers
+    .map(charger => {
+      const scale = Math.cos(charger.coordinates[1] * Math.PI / 180);
+      let nearest = 0;
+      let nearestDistance = Infinity;
+
+      coordinates.forEach((coord, index) => {
+        const dx = (coord[0] - charger.coordinates[0]) * scale;
+        const dy = coord[1] - charger.coordinates[1];
+        const distance = dx * dx + dy * dy;
+        if (distance < nearestDistance) {
+          nearest = index;
+          nearestDistance = distance;
+        }
+      });
+
+      return { ...charger, along: along[nearest], offRoute: Math.sqrt(nearestDistance) * 111000 };
+    })
+    .filter(charger => charger.offRoute <= MAX_CHARGER_DETOUR_METERS)
+    .sort((a, b) => a.along - b.along);
+}
+
+/**
+ * Choose where to charge on a route: each time, the furthest charger reached before the
+ * battery falls to the reserve
+ * @param {Object} route - A Mapbox route
+ * @param {Object} preferences - Route preferences with evRangeKm and startChargePercent
+ * @param {Array<Object>} chargers - From a charger source
+ * @returns {{chargers: Array<Object>, error: string|null}} - The chargers to stop at, in route
+ *   order; error says where no charger could be reached
+ */
+function planChargingStops(route, preferences, chargers) {
+  const coordinates = route.geometry.coordinates;
+  const { distances } = getSegmentCosts(route);
+  const along = distances.reduce((totals, distance) => [...totals, totals[totals.length - 1] + distance], [0]);
+  const total = along[along.length - 1];
+  const range = preferences.evRangeKm * 1000;
+
+  const candidates = placeChargersOnRoute(coordinates, along, chargers);
+  const stops = [];
+  let position = 0;
+  let charge = (preferences.startChargePercent || 100) / 100;
+
+  while (position + (charge - RESERVE_FRACTION) * range < total) {
+    const reach = position + (charge - RESERVE_FRACTION) * range;
+    const reachable = candidates.filter(charger => charger.along > position && charger.along <= reach);
+
+    if (reachable.length === 0) {
+      return {
+        chargers: stops,
+        error: `No charger was found within range after ${formatDistance(position)}, so the battery ` +
+          `would run low around ${formatDistance(Math.max(reach, 0))} into the trip.`
+      };
+    }
+
+    const next = reachable[reachable.length - 1];
+    console.log(`Charging at ${next.name}, ${formatDistance(next.along)} along the route`);
+    const arrival = charge - (next.along - position) / range;
+    stops.push(next);
+    position = next.along;
+    charge = Math.max(arrival, CHARGE_TO_FRACTION);
+  }
+
+  return { chargers: stops, error: null };
+}
+
+/**
+ * Add charging stops to a route's stops, each between the stops of the leg it is on
+ * @param {Object} route - The route the chargers were planned on
+ * @param {Array<Object>} stops - The route's stops
+ * @param {Array<Object>} chargers - From planChargingStops, in route order
+ * @returns {Array<Object>} - The stops with the chargers inserted; charger stops carry `charger`
+ */
+function insertChargingStops(route, stops, chargers) {
+  return chargers.reduce((updated, charger) => {
+    const position = findInsertPosition(route.geometry.coordinates, updated, charger.coordinates);
+    const stop = {
+      query: charger.name,
+      name: charger.name,
+      placeName: `${charger.name} (${charger.powerKw} kW charger)`,
+      coordinates: charger.coordinates,
+      charger: { powerKw: charger.powerKw }
+    };
+    return [...updated.slice(0, position), stop, ...updated.slice(position)];
+  }, stops);
+}
+
+/**
+ * Follow the battery along a route, charging at each charger stop
+ * @param {Object} route - A Mapbox route with one leg per pair of stops
+ * @param {Array<Object>} stops - The route's stops, charger stops carrying `charger`
+ * @param {Object} preferences - Route preferences with evRangeKm and startChargePercent
+ * @returns {Object} - { charges: [{ stop, arrivalPercent, departurePercent, seconds }],
+ *   chargingSeconds, finalPercent, lowestPercent }
+ */
+function simulateBattery(route, stops, preferences) {
+  const range = preferences.evRangeKm * 1000;
+  const legs = route.legs || [];
+  const charges = [];
+  let charge = (preferences.startChargePercent || 100) / 100;
+  let lowest = charge;
+
+  legs.forEach((leg, index) => {
+    charge -= leg.distance / range;
+    lowest = Math.min(lowest, charge);
+
+    const stop = stops[index + 1];
+    if (stop && stop.charger && index < legs.length - 1) {
+      const target = Math.max(charge, CHARGE_TO_FRACTION);
+      const energyKwh = (target - charge) * preferences.evRangeKm * CONSUMPTION_KWH_PER_KM;
+      const seconds = energyKwh / Math.min(stop.charger.powerKw, MAX_VEHICLE_CHARGE_KW) * 3600;
+
+      charges.push({
+        stop,
+        arrivalPercent: Math.round(charge * 100),
+        departurePercent: Math.round(target * 100),
+        seconds
+      });
+      charge = target;
+    }
+  });
+
+  return {
+    charges,
+    chargingSeconds: charges.reduce((sum, { seconds }) => sum + seconds, 0),
+    finalPercent: Math.round(charge * 100),
+    lowestPercent: Math.round(lowest * 100)
+  };
+}
+
+/**
+ * Show the charging stops of a route and the time they add
+ * @param {Object} battery - From simulateBattery
+ * @param {Object} preferences - Route preferences with evRangeKm
+ */
+function renderChargingPlan(battery, preferences) {
+  const panel = document.getElementById('ev-panel');
+  const title = document.getElementById('ev-title');
+  const list = document.getElementById('ev-charges');
+  const status = document.getElementById('ev-status');
+
+  const count = battery.charges.length;
+  title.textContent = count === 0 ?
+    `No charging needed with a ${formatDistance(preferences.evRangeKm * 1000)} range` :
+    `${count} charging stop${count === 1 ? '' : 's'} add ${formatDuration(battery.chargingSeconds)}`;
+
+  list.innerHTML = '';
+  battery.charges.forEach(({ stop, arrivalPercent, departurePercent, seconds }) => {
+    const item = document.createElement('li');
+    item.textContent = `${stop.name} (${stop.charger.powerKw} kW): arrive with ${arrivalPercent}%, ` +
+      `charge to ${departurePercent}% · ${formatDuration(seconds)}`;
+    list.appendChild(item);
+  });
+
+  status.textContent = battery.lowestPercent < 0 ?
+    'The battery would run out on this route.' :
+    `Arrive with ${battery.finalPercent}% charge.`;
+  status.className = battery.lowestPercent < 0 ? 'ev-status ev-warning' : 'ev-status';
+
+  panel.style.display = 'block';
+}
+
+/**
+ * Hide the charging plan
+ */
+function hideChargingPlan() {
+  document.getElementById('ev-panel').style.display = 'none';
+}
+
+// Export the functions
+export {
+  loadEvSettings,
+  initializeEvSettings,
+  applyEvSettings,
+  needsChargingPlan,
+  createGeoJsonChargerSource,
+  getChargerSearchBounds,
+  planChargingStops,
+  insertChargingStops,
+  simulateBattery,
+  renderChargingPlan,
+  hideChargingPlan
+};
@@ -0,0 +1,425 @@
+// Export the active route as GPX, KML, GeoJSON or a waypoint CSV
+import { formatDistance, formatDuration } from './formatting.js';
+
+const CREATOR = 'Route Visualization';
+
+/**
+ * Escape text for use inside XML elements and attributes
+ * @param {*} value - The value to escape
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Quote a CSV field when it contains a separator, quote or line break
+ * @param {*} value - The value to write
+ * @returns {string}
+ */
+function escapeCsv(value) {
+  const text = String(value === undefined || value === null ? '' : value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Join the step geometries of a leg into one line
+ * @param {Object} leg - A route leg requested with steps enabled
+ * @returns {Array<Array<number>>} - [lng, lat] pairs, empty when the leg has no step geometry
+ */
+function getLegCoordinates(leg) {
+  const coordinates = [];
+
+  (leg.steps || []).forEach(step => {
+    const stepCoordinates = (step.geometry && step.geometry.coordinates) || [];
+    stepCoordinates.forEach(coordinate => {
+      const last = coordinates[coordinates.length - 1];
+      if (!last || last[0] !== coordinate[0] || last[1] !== coordinate[1]) {
+        coordinates.push(coordinate);
+      }
+    });
+  });
+
+  return coordinates;
+}
+
+/**
+ * Collect everything the exporters need from the active route
+ * @param {Object} options
+ * @param {Object} options.route - The active route from the directions response
+ * @param {Array<Object>} options.stops - Geocoded stops in route order
+ * @param {Array<string>} options.queries - The query that planned the route, then any refinements
+ * @param {string} options.profile - The Mapbox profile the route was planned with
+ * @returns {Object} - { name, query, refinements, profile, createdAt, distance, duration,
+ *   coordinates, stops: [{ index, role, name, query, coordinates }],
+ *   legs: [{ index, from, to, distance, duration, coordinates }] }
+ */
+function createRouteExport({ route, stops, queries = [], profile }) {
+  const exportedStops = stops.map((stop, index) => ({
+    index: index + 1,
+    role: index === 0 ? 'start' : (index === stops.length - 1 ? 'end' : 'via'),
+    name: stop.placeName || stop.name || stop.query,
+    query: stop.query,
+    coordinates: stop.coordinates
+  }));
+
+  const legs = (route.legs || []).map((leg, index) => ({
+    index: index + 1,
+    from: exportedStops[index] ? exportedStops[index].name : `Stop ${index + 1}`,
+    to: exportedStops[index + 1] ? exportedStops[index + 1].name : `Stop ${index + 2}`,
+    distance: leg.distance,
+    duration: leg.duration,
+    coordinates: getLegCoordinates(leg)
+  }));
+
+  const first = exportedStops[0];
+  const last = exportedStops[exportedStops.length - 1];
+
+  return {
+    name: first && last ? `${first.query} to ${last.query}` : 'Route',
+    query: queries[0] || '',
+    refinements: queries.slice(1),
+    profile,
+    createdAt: new Date().toISOString(),
+    distance: route.distance,
+    duration: route.duration,
+    coordinates: route.geometry.coordinates,
+    stops: exportedStops,
+    legs
+  };
+}
+
+/**
+ * Describe the route for the description fields of GPX and KML
+ * @param {Object} model - From createRouteExport
+ * @returns {string}
+ */
+function describeRoute(model) {
+  const lines = [
+    `Query: ${model.query}`,
+    `Mode: ${model.profile}`,
+    `Total: ${formatDistance(model.distance)}, ${formatDuration(model.duration)}`
+  ];
+
+  if (model.refinements.length > 0) {
+    lines.splice(1, 0, `Refinements: ${model.refinements.join('; ')}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Describe one leg, e.g. "Leg 1: Paris to Lyon, 465 km, 4 h 30 min"
+ * @param {Object} leg - A leg from createRouteExport
+ * @returns {string}
+ */
+function describeLeg(leg) {
+  return `Leg ${leg.index}: ${leg.from} to ${leg.to}, ${formatDistance(leg.distance)}, ${formatDuration(leg.duration)}`;
+}
+
+/**
+ * Check whether every leg has its own geometry, so it can be written as its own track
+ * @param {Object} model - From createRouteExport
+ * @returns {boolean}
+ */
+function hasLegGeometry(model) {
+  return model.legs.length > 0 && model.legs.every(leg => leg.coordinates.length >= 2);
+}
+
+/**
+ * Serialise a route as GPX 1.1: one waypoint per stop and one track per leg
+ * @param {Object} model - From createRouteExport
+ * @returns {string}
+ */
+function toGpx(model) {
+  const trackPoints = coordinates => coordinates
+    .map(([lng, lat]) => `      <trkpt lat="${lat}" lon="${lng}"></trkpt>`)
+    .join('\n');
+
+  const waypoints = model.stops.map(stop => `  <wpt lat="${stop.coordinates[1]}" lon="${stop.coordinates[0]}">
+    <name>${escapeXml(stop.name)}</name>
+    <desc>${escapeXml(`Stop ${stop.index} (${stop.role}), searched as "${stop.query}"`)}</desc>
+    <type>${stop.role}</type>
+  </wpt>`);
+
+  // One track per leg keeps the per-leg distance and duration with its geometry
+  const tracks = hasLegGeometry(model) ?
+    model.legs.map(leg => `  <trk>
+    <name>${escapeXml(`${leg.from} to ${leg.to}`)}</name>
+    <desc>${escapeXml(describeLeg(leg))}</desc>
+    <type>${escapeXml(model.profile)}</type>
+    <trkseg>
+${trackPoints(leg.coordinates)}
+    </trkseg>
+  </trk>`) :
+    [`  <trk>
+    <name>${escapeXml(model.name)}</name>
+    <desc>${escapeXml(model.legs.map(describeLeg).join('\n'))}</desc>
+    <type>${escapeXml(model.profile)}</type>
+    <trkseg>
+${trackPoints(model.coordinates)}
+    </trkseg>
+  </trk>`];
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="${CREATOR}" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata>
+    <name>${escapeXml(model.name)}</name>
+    <desc>${escapeXml(describeRoute(model))}</desc>
+    <time>${model.createdAt}</time>
+  </metadata>
+${[...waypoints, ...tracks].join('\n')}
+</gpx>
+`;
+}
+
+/**
+ * Build a KML ExtendedData block
+ * @param {Object} data - Names and values
+ * @returns {string}
+ */
+function kmlExtendedData(data) {
+  const entries = Object.entries(data)
+    .map(([name, value]) => `        <Data name="${escapeXml(name)}"><value>${escapeXml(value)}</value></Data>`)
+    .join('\n');
+  return `      <ExtendedData>\n${entries}\n      </ExtendedData>`;
+}
+
+/**
+ * Serialise a route as KML 2.2 with a folder of stops and a folder of legs
+ * @param {Object} model - From createRouteExport
+ * @returns {string}
+ */
+function toKml(model) {
+  const kmlCoordinates = coordinates => coordinates.map(([lng, lat]) => `${lng},${lat}`).join(' ');
+
+  const stopPlacemarks = model.stops.map(stop => `    <Placemark>
+      <name>${escapeXml(stop.name)}</name>
+      <description>${escapeXml(`Stop ${stop.index} (${stop.role}), searched as "${stop.query}"`)}</description>
+${kmlExtendedData({ role: stop.role, query: stop.query })}
+      <Point><coordinates>${kmlCoordinates([stop.coordinates])}</coordinates></Point>
+    </Placemark>`);
+
+  const lines = hasLegGeometry(model) ?
+    model.legs.map(leg => ({
+      name: `${leg.from} to ${leg.to}`,
+      description: describeLeg(leg),
+      data: { leg: leg.index, distance_m: Math.round(leg.distance), duration_s: Math.round(leg.duration) },
+      coordinates: leg.coordinates
+    })) :
+    [{
+      name: model.name,
+      description: model.legs.map(describeLeg).join('\n'),
+      data: { distance_m: Math.round(model.distance), duration_s: Math.round(model.duration) },
+      coordinates: model.coordinates
+    }];
+
+  const linePlacemarks = lines.map(line => `    <Placemark>
+      <name>${escapeXml(line.name)}</name>
+      <description>${escapeXml(line.description)}</description>
+      <styleUrl>#route</styleUrl>
+${kmlExtendedData(line.data)}
+      <LineString><tessellate>1</tessellate><coordinates>${kmlCoordinates(line.coordinates)}</coordinates></LineString>
+    </Placemark>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(model.name)}</name>
+    <description>${escapeXml(describeRoute(model))}</description>
+${kmlExtendedData({ query: model.query, refinements: model.refinements.join('; '), profile: model.profile, created: model.createdAt })}
+    <Style id="route">
+      <LineStyle><color>fff0a000</color><width>4</width></LineStyle>
+    </Style>
+    <Folder>
+      <name>Stops</name>
+${stopPlacemarks.join('\n')}
+    </Folder>
+    <Folder>
+      <name>Route</name>
+${linePlacemarks.join('\n')}
+    </Folder>
+  </Document>
+</kml>
+`;
+}
+
+/**
+ * Serialise a route as a GeoJSON FeatureCollection of the route, its legs and its stops
+ * @param {Object} model - From createRouteExport
+ * @returns {string}
+ */
+function toGeoJson(model) {
+  const legSummaries = model.legs.map(({ coordinates, ...leg }) => leg);
+
+  const features = [{
+    type: 'Feature',
+    properties: {
+      kind: 'route',
+      name: model.name,
+      query: model.query,
+      refinements: model.refinements,
+      profile: model.profile,
+      created: model.createdAt,
+      distance: model.distance,
+      duration: model.duration,
+      legs: legSummaries
+    },
+    geometry: { type: 'LineString', coordinates: model.coordinates }
+  }];
+
+  if (hasLegGeometry(model)) {
+    model.legs.forEach(({ coordinates, ...leg }) => features.push({
+      type: 'Feature',
+      properties: { kind: 'leg', ...leg },
+      geometry: { type: 'LineString', coordinates }
+    }));
+  }
+
+  model.stops.forEach(({ coordinates, ...stop }) => features.push({
+    type: 'Feature',
+    properties: { kind: 'stop', ...stop },
+    geometry: { type: 'Point', coordinates }
+  }));
+
+  return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+}
+
+/**
+ * Serialise the stops as CSV, with the leg leading to each stop and running totals
+ * @param {Object} model - From createRouteExport
+ * @returns {string}
+ */
+function toCsv(model) {
+  const header = [
+    'stop', 'role', 'name', 'query', 'latitude', 'longitude',
+    'leg_distance_m', 'leg_duration_s', 'total_distance_m', 'total_duration_s', 'route_query', 'profile'
+  ];
+
+  let totalDistance = 0;
+  let totalDuration = 0;
+
+  const rows = model.stops.map((stop, index) => {
+    const leg = index > 0 ? model.legs[index - 1] : null;
+    if (leg) {
+      totalDistance += leg.distance;
+      totalDuration += leg.duration;
+    }
+
+    return [
+      stop.index,
+      stop.role,
+      stop.name,
+      stop.query,
+      stop.coordinates[1],
+      stop.coordinates[0],
+      leg ? Math.round(leg.distance) : '',
+      leg ? Math.round(leg.duration) : '',
+      Math.round(totalDistance),
+      Math.round(totalDuration),
+      model.query,
+      model.profile
+    ];
+  });
+
+  return [header, ...rows].map(row => row.map(escapeCsv).join(',')).join('\r\n') + '\r\n';
+}
+
+// Serialiser, file extension and MIME type for each export format
+const EXPORT_FORMATS = {
+  gpx: { serialise: toGpx, extension: 'gpx', mimeType: 'application/gpx+xml' },
+  kml: { serialise: toKml, extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' },
+  geojson: { serialise: toGeoJson, extension: 'geojson', mimeType: 'application/geo+json' },
+  csv: { serialise: toCsv, extension: 'csv', mimeType: 'text/csv' }
+};
+
+/**
+ * Turn a route name into a file name, e.g. "route-paris-to-berlin.gpx"
+ * @param {string} name - The route name
+ * @param {string} extension - The file extension
+ * @returns {string}
+ */
+function getFileName(name, extension) {
+  const slug = name
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60);
+  return `route${slug ? `-${slug}` : ''}.${extension}`;
+}
+
+/**
+ * Offer a file to the user as a download
+ * @param {string} content - The file contents
+ * @param {string} fileName - The suggested file name
+ * @param {string} mimeType - The MIME type
+ */
+function downloadFile(content, fileName, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser a moment to start the download before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Wire up the export menu buttons
+ * @param {Function} getRouteExport - Returns the createRouteExport model for the active route, or null
+ */
+function initializeExportMenu(getRouteExport) {
+  const menu = document.getElementById('route-export');
+
+  menu.querySelectorAll('button[data-format]').forEach(button => {
+    button.addEventListener('click', () => {
+      const format = EXPORT_FORMATS[button.dataset.format];
+      const model = getRouteExport();
+
+      if (!format || !model) {
+        alert('Find a route before exporting it');
+        return;
+      }
+
+      console.log(`Exporting route as ${format.extension}`);
+      downloadFile(format.serialise(model), getFileName(model.name, format.extension), format.mimeType);
+      menu.open = false;
+    });
+  });
+}
+
+/**
+ * Show or hide the export menu
+ * @param {boolean} visible - Whether there is a route to export
+ */
+function showExportMenu(visible) {
+  const menu = document.getElementById('route-export');
+  menu.style.display = visible ? 'block' : 'none';
+  if (!visible) {
+    menu.open = false;
+  }
+}
+
+// Export the functions
+export {
+  EXPORT_FORMATS,
+  createRouteExport,
+  toGpx,
+  toKml,
+  toGeoJson,
+  toCsv,
+  escapeCsv,
+  downloadFile,
+  initializeExportMenu,
+  showExportMenu
+};
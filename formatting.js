@@ -0,0 +1,59 @@
+// Formatting helpers shared by the route panels
+
+/**
+ * Format a distance in metres for display
+ * @param {number} meters - Distance in metres
+ * @returns {string} - e.g. "850 m" or "12.4 km"
+ */
+function formatDistance(meters) {
+  if (!Number.isFinite(meters)) {
+    return '';
+  }
+  
+  if (meters < 1000) {
+    return `${Math.round(meters)} m`;
+  }
+  
+  return `${(meters / 1000).toFixed(meters < 100000 ? 1 : 0)} km`;
+}
+
+/**
+ * Format a duration in seconds for display
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} - e.g. "45 min" or "3 h 20 min"
+ */
+function formatDuration(seconds) {
+  if (!Number.isFinite(seconds)) {
+    return '';
+  }
+  
+  const totalMinutes = Math.max(1, Math.round(seconds / 60));
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  
+  if (hours === 0) {
+    return `${minutes} min`;
+  }
+  
+  return minutes > 0 ? `${hours} h ${minutes} min` : `${hours} h`;
+}
+
+/**
+ * Format a clock time, adding the day when it is not today
+ * @param {Date} time - The time
+ * @param {Date} now - The current time
+ * @returns {string} - e.g. "14:35" or "Tue 09:10"
+ */
+function formatClockTime(time, now = new Date()) {
+  const clock = time.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  return time.toDateString() === now.toDateString() ?
+    clock :
+    `${time.toLocaleDateString([], { weekday: 'short' })} ${clock}`;
+}
+
+// Export the functions
+export {
+  formatDistance,
+  formatDuration,
+  formatClockTime
+};
@@ -0,0 +1,12 @@
+// Pages Function adapter for the shared elevation handler
+import { handleElevation } from '../../lib/api-handlers.js';
+import { createPagesPostHandler, handlePagesOptions } from '../../lib/fetch-adapter.js';
+import { CACHE_POLICIES, createCachedHandler, selectCloudflareCache } from '../../lib/cache.js';
+
+export const onRequestPost = createPagesPostHandler(createCachedHandler(handleElevation, {
+  cache: selectCloudflareCache,
+  policy: CACHE_POLICIES.elevation
+}));
+
+// Handle CORS preflight requests
+export const onRequestOptions = handlePagesOptions;
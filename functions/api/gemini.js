@@ -1,81 +1,12 @@
-export async function onRequestPost({ request, env }) {
-  try {
-    console.log('Sending request to Gemini API...');
-    const requestData = await request.json();
-    
-    if (!env.GEMINI_API_KEY) {
-      return new Response(
-        JSON.stringify({ error: 'Gemini API key not configured' }),
-        {
-          status: 500,
-          headers: {
-            'Content-Type': 'application/json',
-            'Access-Control-Allow-Origin': '*'
-          }
-        }
-      );
-    }
+// Pages Function adapter for the shared Gemini handler
+import { handleGemini } from '../../lib/api-handlers.js';
+import { createPagesPostHandler, handlePagesOptions } from '../../lib/fetch-adapter.js';
+import { CACHE_POLICIES, createCachedHandler, selectCloudflareCache } from '../../lib/cache.js';
 
-    const url = `https://generativelanguage.googleapis.com/v1/models/gemini-pro:generateContent?key=${env.GEMINI_API_KEY}`;
-    
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(requestData)
-    });
-    
-    if (!response.ok) {
-      const errorData = await response.json();
-      console.error('Gemini API error:', errorData);
-      return new Response(
-        JSON.stringify({ error: 'Error from Gemini API', details: errorData }),
-        {
-          status: response.status,
-          headers: {
-            'Content-Type': 'application/json',
-            'Access-Control-Allow-Origin': '*'
-          }
-        }
-      );
-    }
-    
-    const data = await response.json();
-    return new Response(
-      JSON.stringify(data),
-      {
-        status: 200,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*'
-        }
-      }
-    );
-  } catch (error) {
-    console.error('Error in Gemini handler:', error);
-    return new Response(
-      JSON.stringify({ error: 'Internal server error', message: error.message }),
-      {
-        status: 500,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*'
-        }
-      }
-    );
-  }
-}
+export const onRequestPost = createPagesPostHandler(createCachedHandler(handleGemini, {
+  cache: selectCloudflareCache,
+  policy: CACHE_POLICIES.gemini
+}));
 
 // Handle CORS preflight requests
-export function onRequestOptions() {
-  return new Response(null, {
-    status: 204,
-    headers: {
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'POST, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type',
-      'Access-Control-Max-Age': '86400'
-    }
-  });
-} 
\ No newline at end of file
+export const onRequestOptions = handlePagesOptions;
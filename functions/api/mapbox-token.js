@@ -1,31 +1,7 @@
-export async function onRequestGet({ env }) {
-  console.log('Mapbox token request received');
-  console.log('Environment variables available:', Object.keys(env));
-  console.log('MAPBOX_TOKEN available:', !!env.MAPBOX_TOKEN);
-  
-  if (!env.MAPBOX_TOKEN) {
-    console.error('Mapbox token not configured in environment variables');
-    return new Response(
-      JSON.stringify({ error: 'Mapbox token not configured' }),
-      {
-        status: 500,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*'
-        }
-      }
-    );
-  }
+// Pages Function adapter for the shared Mapbox token handler
+import { handleMapboxToken } from '../../lib/api-handlers.js';
+import { PAGES_CORS_HEADERS, toResponse, getRequestOrigins } from '../../lib/fetch-adapter.js';
 
-  console.log('Returning Mapbox token');
-  return new Response(
-    JSON.stringify({ token: env.MAPBOX_TOKEN }),
-    {
-      status: 200,
-      headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*'
-      }
-    }
-  );
-} 
\ No newline at end of file
+export async function onRequestGet({ request, env }) {
+  return toResponse(await handleMapboxToken(env, getRequestOrigins(request)), PAGES_CORS_HEADERS);
+}
@@ -0,0 +1,12 @@
+// Pages Function adapter for the shared stop-order optimisation handler
+import { handleOptimizeRoute } from '../../lib/api-handlers.js';
+import { createPagesPostHandler, handlePagesOptions } from '../../lib/fetch-adapter.js';
+import { CACHE_POLICIES, createCachedHandler, selectCloudflareCache } from '../../lib/cache.js';
+
+export const onRequestPost = createPagesPostHandler(createCachedHandler(handleOptimizeRoute, {
+  cache: selectCloudflareCache,
+  policy: CACHE_POLICIES.optimization
+}));
+
+// Handle CORS preflight requests
+export const onRequestOptions = handlePagesOptions;
@@ -0,0 +1,263 @@
+// Geocoding with ranked candidates, context bias and a disambiguation picker
+
+// Candidates whose scores are closer than this are considered ambiguous
+const AMBIGUITY_MARGIN = 0.05;
+
+// Candidates closer together than this are treated as the same place
+const SAME_PLACE_KM = 50;
+
+// Bonus for a candidate in a country already used by the route
+const COUNTRY_BONUS = 0.05;
+
+// Maximum bonus for a candidate close to the previous stop, fading out over PROXIMITY_RANGE_KM
+const PROXIMITY_BONUS = 0.1;
+const PROXIMITY_RANGE_KM = 2000;
+
+/**
+ * Great-circle distance between two [lng, lat] points
+ * @param {Array<number>} from - [lng, lat]
+ * @param {Array<number>} to - [lng, lat]
+ * @returns {number} - Distance in kilometres
+ */
+function distanceKm(from, to) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(to[1] - from[1]);
+  const dLng = toRadians(to[0] - from[0]);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from[1])) * Math.cos(toRadians(to[1])) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Fetch ranked candidates for a location from the geocoding proxy
+ * @param {string} location - The place name to look up
+ * @param {Object} context - Bias from stops that are already resolved
+ * @param {Array<number>} [context.proximity] - [lng, lat] to prefer results near
+ * @returns {Promise<Array<Object>>} - Candidates as returned by the backend
+ */
+async function fetchCandidates(location, context = {}) {
+  const response = await fetch('/api/mapbox-geocoding', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      location,
+      proximity: context.proximity
+    })
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Unable to geocode location: ${location}`);
+  }
+
+  const data = await response.json();
+
+  if (!data.candidates || data.candidates.length === 0) {
+    throw new Error(`Unable to geocode location: ${location}`);
+  }
+
+  return data.candidates;
+}
+
+/**
+ * Score candidates by relevance plus bonuses for matching the route so far
+ * @param {Array<Object>} candidates - Candidates from the backend
+ * @param {Object} context - Bias from stops that are already resolved
+ * @returns {Array<Object>} - Candidates with a score, best first
+ */
+function rankCandidates(candidates, context = {}) {
+  const countries = context.countries || [];
+
+  return candidates
+    .map(candidate => {
+      let score = candidate.relevance || 0;
+
+      if (candidate.countryCode && countries.includes(candidate.countryCode)) {
+        score += COUNTRY_BONUS;
+      }
+
+      if (context.proximity && candidate.coordinates) {
+        const distance = distanceKm(context.proximity, candidate.coordinates);
+        score += PROXIMITY_BONUS * Math.max(0, 1 - distance / PROXIMITY_RANGE_KM);
+      }
+
+      return { ...candidate, score };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Get the candidates that are too close in score to the best one to pick automatically
+ * @param {Array<Object>} ranked - Candidates sorted best first
+ * @returns {Array<Object>} - The contenders, or an empty array when the best is clear
+ */
+function getAmbiguousCandidates(ranked) {
+  const best = ranked[0];
+  const contenders = ranked.filter(candidate =>
+    best.score - candidate.score < AMBIGUITY_MARGIN &&
+    (candidate === best || distanceKm(best.coordinates, candidate.coordinates) > SAME_PLACE_KM));
+
+  return contenders.length > 1 ? contenders : [];
+}
+
+/**
+ * Ask the user which candidate they meant
+ * @param {string} location - The text the candidates came from
+ * @param {Array<Object>} candidates - The candidates to choose from
+ * @returns {Promise<Object>} - The chosen candidate; rejects with error.cancelled if dismissed
+ */
+function pickCandidate(location, candidates) {
+  const picker = document.getElementById('candidate-picker');
+  const title = document.getElementById('candidate-picker-title');
+  const list = document.getElementById('candidate-picker-list');
+  const cancelButton = document.getElementById('candidate-picker-cancel');
+
+  title.textContent = `Which "${location}" did you mean?`;
+  list.innerHTML = '';
+
+  return new Promise((resolve, reject) => {
+    const close = () => {
+      picker.style.display = 'none';
+      cancelButton.onclick = null;
+    };
+
+    candidates.forEach(candidate => {
+      const item = document.createElement('li');
+      const button = document.createElement('button');
+      button.textContent = candidate.placeName;
+
+      const details = document.createElement('small');
+      details.textContent = ` ${candidate.placeType || 'place'} · relevance ${Math.round(candidate.relevance * 100)}%`;
+      button.appendChild(details);
+
+      button.addEventListener('click', () => {
+        close();
+        resolve(candidate);
+      });
+
+      item.appendChild(button);
+      list.appendChild(item);
+    });
+
+    cancelButton.onclick = () => {
+      close();
+      const error = new Error('Location selection cancelled');
+      error.cancelled = true;
+      reject(error);
+    };
+
+    picker.style.display = 'block';
+  });
+}
+
+/**
+ * Resolve a list of location names in order, biasing each one toward the stops before it
+ * Shows the candidate picker when the best matches for a location are too close to call
+ * @param {Array<string>} locations - Place names in route order
+ * @param {Array<Object>} knownStops - Stops resolved earlier, reused when their query matches
+ *   so editing a route does not geocode (or ask about) the unchanged stops again
+ * @returns {Promise<Array<Object>>} - One resolved stop per location:
+ *   { query, name, placeName, coordinates, relevance, placeType, countryCode }
+ */
+async function geocodeLocations(locations, knownStops = []) {
+  const stops = [];
+
+  for (const location of locations) {
+    const known = knownStops.find(stop => stop.query.toLowerCase() === location.toLowerCase());
+    if (known) {
+      console.log(`Reusing geocoded stop for "${location}":`, known.placeName);
+      stops.push(known);
+      continue;
+    }
+
+    const previous = stops[stops.length - 1];
+    const context = {
+      proximity: previous ? previous.coordinates : undefined,
+      countries: [...new Set(stops.map(stop => stop.countryCode).filter(Boolean))]
+    };
+
+    let candidates;
+    try {
+      candidates = await fetchCandidates(location, context);
+    } catch (error) {
+      console.error(`Error geocoding "${location}":`, error.message);
+      throw new Error(`Unable to find "${location}" on the map`);
+    }
+
+    const ranked = rankCandidates(candidates, context);
+    const ambiguous = getAmbiguousCandidates(ranked);
+
+    let chosen = ranked[0];
+    if (ambiguous.length > 0) {
+      console.log(`"${location}" is ambiguous between:`, ambiguous.map(candidate => candidate.placeName));
+      chosen = await pickCandidate(location, ambiguous);
+    }
+
+    console.log(`Geocoded "${location}" to:`, chosen.placeName, chosen.coordinates);
+    stops.push({ ...chosen, query: location });
+  }
+
+  return stops;
+}
+
+/**
+ * Describe a point by its coordinates, for places nothing is known about
+ * @param {Array<number>} coordinates - [lng, lat]
+ * @returns {string} - e.g. "52.52000, 13.40500"
+ */
+function formatCoordinates([lng, lat]) {
+  return `${lat.toFixed(5)}, ${lng.toFixed(5)}`;
+}
+
+/**
+ * Look up the places at a point, the most specific first
+ * @param {Array<number>} coordinates - [lng, lat]
+ * @returns {Promise<Array<Object>>} - Candidates as returned by the backend
+ */
+async function fetchPlacesAt(coordinates) {
+  const response = await fetch('/api/mapbox-reverse-geocoding', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ coordinates })
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || 'Unable to look up the point');
+  }
+
+  return (await response.json()).candidates;
+}
+
+/**
+ * Turn a point picked on the map into a stop, named after the most specific place there
+ * The stop keeps the picked coordinates; when nothing is found, or the lookup fails,
+ * it is named after its coordinates instead
+ * @param {Array<number>} coordinates - [lng, lat]
+ * @returns {Promise<Object>} - { query, name, placeName, coordinates, ... }
+ */
+async function reverseGeocode(coordinates) {
+  try {
+    const [place] = await fetchPlacesAt(coordinates);
+    console.log('Reverse geocoded', coordinates, 'to:', place.placeName);
+    return { ...place, query: place.name, coordinates };
+  } catch (error) {
+    console.error('Error reverse geocoding point:', error.message);
+    const label = formatCoordinates(coordinates);
+    return { query: label, name: label, placeName: label, coordinates };
+  }
+}
+
+// Export the functions
+export {
+  geocodeLocations,
+  reverseGeocode,
+  fetchPlacesAt,
+  formatCoordinates,
+  rankCandidates,
+  distanceKm
+};
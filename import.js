@@ -0,0 +1,549 @@
+// Import GPX, KML and GeoJSON files and show them beside the planned route
+import { formatDistance } from './formatting.js';
+import { distanceKm } from './geocoding.js';
+
+// The directions backends accept at most this many coordinates
+const MAX_REPLAN_STOPS = 25;
+
+// Line colours for imported files, reused in order
+const IMPORT_COLORS = ['#8e44ad', '#e67e22', '#16a085', '#c0392b', '#2c3e50'];
+
+/**
+ * Read the coordinates of a GPX or KML point, skipping ones that are not numbers
+ * @param {number} lng - Longitude
+ * @param {number} lat - Latitude
+ * @returns {Array<number>|null} - [lng, lat]
+ */
+function toCoordinate(lng, lat) {
+  return Number.isFinite(lng) && Number.isFinite(lat) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180 ?
+    [lng, lat] :
+    null;
+}
+
+/**
+ * Get the text of the first direct child with a tag name
+ * @param {Element} element - The parent element
+ * @param {string} tagName - The child tag name, without namespace
+ * @returns {string}
+ */
+function childText(element, tagName) {
+  const child = [...element.children].find(node => node.localName === tagName);
+  return child ? child.textContent.trim() : '';
+}
+
+/**
+ * Get descendants by local name, ignoring XML namespaces
+ * @param {Element|Document} element - Where to search
+ * @param {string} tagName - The tag name without namespace
+ * @returns {Array<Element>}
+ */
+function byTagName(element, tagName) {
+  return [...element.getElementsByTagNameNS('*', tagName)];
+}
+
+/**
+ * Parse GPX tracks, routes and waypoints
+ * @param {Document} doc - The parsed XML document
+ * @returns {{lines: Array<Object>, points: Array<Object>}}
+ */
+function parseGpx(doc) {
+  const readPoint = node => toCoordinate(parseFloat(node.getAttribute('lon')), parseFloat(node.getAttribute('lat')));
+
+  const tracks = byTagName(doc, 'trk').flatMap(track => byTagName(track, 'trkseg').map(segment => ({
+    kind: 'track',
+    name: childText(track, 'name'),
+    coordinates: byTagName(segment, 'trkpt').map(readPoint).filter(Boolean)
+  })));
+
+  const routes = byTagName(doc, 'rte').map(route => ({
+    kind: 'route',
+    name: childText(route, 'name'),
+    coordinates: byTagName(route, 'rtept').map(readPoint).filter(Boolean),
+    // Route points are the planned stops, so keep their names for re-planning
+    stops: byTagName(route, 'rtept')
+      .map(point => ({ name: childText(point, 'name'), coordinates: readPoint(point) }))
+      .filter(point => point.coordinates)
+  }));
+
+  const points = byTagName(doc, 'wpt')
+    .map(point => ({ name: childText(point, 'name'), coordinates: readPoint(point) }))
+    .filter(point => point.coordinates);
+
+  return { lines: [...tracks, ...routes], points };
+}
+
+/**
+ * Parse a KML coordinates string: "lng,lat[,alt] lng,lat[,alt] ..."
+ * @param {string} text - The coordinates element text
+ * @returns {Array<Array<number>>}
+ */
+function parseKmlCoordinates(text) {
+  return text.trim().split(/\s+/)
+    .map(tuple => {
+      const [lng, lat] = tuple.split(',').map(parseFloat);
+      return toCoordinate(lng, lat);
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Parse KML placemarks: LineStrings and gx:Tracks become lines, Points become waypoints
+ * @param {Document} doc - The parsed XML document
+ * @returns {{lines: Array<Object>, points: Array<Object>}}
+ */
+function parseKml(doc) {
+  const lines = [];
+  const points = [];
+
+  byTagName(doc, 'Placemark').forEach(placemark => {
+    const name = childText(placemark, 'name');
+
+    byTagName(placemark, 'LineString').forEach(lineString => {
+      const coordinates = byTagName(lineString, 'coordinates')[0];
+      if (coordinates) {
+        lines.push({ kind: 'track', name, coordinates: parseKmlCoordinates(coordinates.textContent) });
+      }
+    });
+
+    // gx:Track stores one "lng lat alt" per gx:coord element
+    byTagName(placemark, 'Track').forEach(track => {
+      lines.push({
+        kind: 'track',
+        name,
+        coordinates: byTagName(track, 'coord')
+          .map(coord => {
+            const [lng, lat] = coord.textContent.trim().split(/\s+/).map(parseFloat);
+            return toCoordinate(lng, lat);
+          })
+          .filter(Boolean)
+      });
+    });
+
+    byTagName(placemark, 'Point').forEach(point => {
+      const coordinates = byTagName(point, 'coordinates')[0];
+      const [coordinate] = coordinates ? parseKmlCoordinates(coordinates.textContent) : [];
+      if (coordinate) {
+        points.push({ name, coordinates: coordinate });
+      }
+    });
+  });
+
+  return { lines, points };
+}
+
+/**
+ * Parse GeoJSON lines and points from a FeatureCollection, Feature or bare geometry
+ * @param {Object} geojson - The parsed JSON
+ * @returns {{lines: Array<Object>, points: Array<Object>}}
+ */
+function parseGeoJson(geojson) {
+  const lines = [];
+  const points = [];
+  const readCoordinates = coordinates => coordinates
+    .map(([lng, lat]) => toCoordinate(lng, lat))
+    .filter(Boolean);
+
+  const addGeometry = (geometry, name) => {
+    if (!geometry) {
+      return;
+    }
+
+    switch (geometry.type) {
+      case 'LineString':
+        lines.push({ kind: 'track', name, coordinates: readCoordinates(geometry.coordinates) });
+        break;
+      case 'MultiLineString':
+        geometry.coordinates.forEach(line => lines.push({ kind: 'track', name, coordinates: readCoordinates(line) }));
+        break;
+      case 'Point': {
+        const [coordinate] = readCoordinates([geometry.coordinates]);
+        if (coordinate) {
+          points.push({ name, coordinates: coordinate });
+        }
+        break;
+      }
+      case 'MultiPoint':
+        readCoordinates(geometry.coordinates).forEach(coordinate => points.push({ name, coordinates: coordinate }));
+        break;
+      case 'GeometryCollection':
+        geometry.geometries.forEach(child => addGeometry(child, name));
+        break;
+      default:
+        console.log('Skipping unsupported GeoJSON geometry:', geometry.type);
+    }
+  };
+
+  const addFeature = feature => {
+    const properties = feature.properties || {};
+    addGeometry(feature.geometry, properties.name || properties.title || '');
+  };
+
+  if (geojson.type === 'FeatureCollection') {
+    (geojson.features || []).forEach(addFeature);
+  } else if (geojson.type === 'Feature') {
+    addFeature(geojson);
+  } else {
+    addGeometry(geojson, '');
+  }
+
+  return { lines, points };
+}
+
+/**
+ * Work out the format of a file from its name, falling back to sniffing its contents
+ * @param {string} fileName - The file name
+ * @param {string} text - The file contents
+ * @returns {string|null} - 'gpx', 'kml', 'geojson' or null
+ */
+function detectFormat(fileName, text) {
+  const extension = (fileName.split('.').pop() || '').toLowerCase();
+
+  if (extension === 'gpx' || extension === 'kml') {
+    return extension;
+  }
+  if (extension === 'geojson' || extension === 'json') {
+    return 'geojson';
+  }
+
+  const start = text.trimStart().slice(0, 500);
+  if (start.startsWith('{')) {
+    return 'geojson';
+  }
+  if (/<gpx[\s>]/.test(start)) {
+    return 'gpx';
+  }
+  if (/<kml[\s>]/.test(start)) {
+    return 'kml';
+  }
+  return null;
+}
+
+/**
+ * Parse an imported file into lines and waypoints
+ * @param {string} text - The file contents
+ * @param {string} fileName - The file name, used to detect the format
+ * @returns {Object} - { name, format, lines: [{ kind, name, coordinates }], points: [{ name, coordinates }] }
+ */
+function parseRouteFile(text, fileName) {
+  const format = detectFormat(fileName, text);
+  let parsed;
+
+  if (format === 'geojson') {
+    try {
+      parsed = parseGeoJson(JSON.parse(text));
+    } catch (error) {
+      throw new Error(`${fileName} is not valid GeoJSON: ${error.message}`);
+    }
+  } else if (format === 'gpx' || format === 'kml') {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+      throw new Error(`${fileName} is not valid ${format.toUpperCase()}`);
+    }
+    parsed = format === 'gpx' ? parseGpx(doc) : parseKml(doc);
+  } else {
+    throw new Error(`${fileName} is not a GPX, KML or GeoJSON file`);
+  }
+
+  const lines = parsed.lines.filter(line => line.coordinates.length >= 2);
+
+  if (lines.length === 0 && parsed.points.length === 0) {
+    throw new Error(`${fileName} does not contain any tracks, routes or waypoints`);
+  }
+
+  return {
+    name: fileName,
+    format,
+    lines,
+    points: parsed.points
+  };
+}
+
+/**
+ * Summarise an imported file: total line length, bounding box and point count
+ * @param {Object} imported - From parseRouteFile
+ * @returns {{length: number, bbox: Array<number>, pointCount: number, lineCount: number, waypointCount: number}} -
+ *   length in metres, bbox as [west, south, east, north]
+ */
+function summariseImportedRoute(imported) {
+  const coordinates = [
+    ...imported.lines.flatMap(line => line.coordinates),
+    ...imported.points.map(point => point.coordinates)
+  ];
+
+  const length = imported.lines.reduce((total, line) => total + line.coordinates.reduce((sum, coordinate, index) =>
+    index === 0 ? sum : sum + distanceKm(line.coordinates[index - 1], coordinate) * 1000, 0), 0);
+
+  const bbox = coordinates.reduce(([west, south, east, north], [lng, lat]) => [
+    Math.min(west, lng),
+    Math.min(south, lat),
+    Math.max(east, lng),
+    Math.max(north, lat)
+  ], [Infinity, Infinity, -Infinity, -Infinity]);
+
+  return {
+    length,
+    bbox,
+    pointCount: coordinates.length,
+    lineCount: imported.lines.length,
+    waypointCount: imported.points.length
+  };
+}
+
+/**
+ * Pick evenly spaced items, always keeping the first and last
+ * @param {Array} items - The items to sample
+ * @param {number} count - The maximum number to keep
+ * @returns {Array}
+ */
+function sampleEvenly(items, count) {
+  if (items.length <= count) {
+    return items;
+  }
+
+  return Array.from({ length: count }, (_, index) =>
+    items[Math.round(index * (items.length - 1) / (count - 1))]);
+}
+
+/**
+ * Choose the stops to re-plan an imported file through the directions API
+ * Route points and waypoints are used as they are; a bare track is sampled along its length
+ * @param {Object} imported - From parseRouteFile
+ * @returns {Array<Object>} - Stops shaped like geocoded ones: { query, name, placeName, coordinates }
+ */
+function getReplanStops(imported) {
+  const route = imported.lines.find(line => line.kind === 'route' && line.stops.length >= 2);
+
+  let points;
+  if (route) {
+    points = route.stops;
+  } else if (imported.points.length >= 2) {
+    points = imported.points;
+  } else if (imported.lines.length > 0) {
+    points = imported.lines[0].coordinates.map(coordinates => ({ name: '', coordinates }));
+  } else {
+    points = [];
+  }
+
+  const seen = new Map();
+  return sampleEvenly(points, MAX_REPLAN_STOPS).map((point, index) => {
+    // Stops are matched by name when a re-planned route is edited, so keep names unique
+    let name = point.name || `Point ${index + 1}`;
+    const count = (seen.get(name) || 0) + 1;
+    seen.set(name, count);
+    if (count > 1) {
+      name = `${name} (${count})`;
+    }
+
+    return { query: name, name, placeName: name, coordinates: point.coordinates };
+  });
+}
+
+/**
+ * Get the source and layer id prefix for an imported file
+ * @param {number} id - The import id
+ * @returns {string}
+ */
+function getImportLayerId(id) {
+  return `imported-${id}`;
+}
+
+/**
+ * Add an imported file to the map as its own line and waypoint layers, below the planned route
+ * @param {Object} map - The Mapbox GL map
+ * @param {number} id - A unique id for the import
+ * @param {Object} imported - From parseRouteFile
+ */
+function addImportedRouteLayers(map, id, imported) {
+  const prefix = getImportLayerId(id);
+  const color = IMPORT_COLORS[id % IMPORT_COLORS.length];
+  const beforeId = map.getLayer('route-line') ? 'route-line' : undefined;
+
+  map.addSource(`${prefix}-lines`, {
+    type: 'geojson',
+    data: {
+      type: 'FeatureCollection',
+      features: imported.lines.map(line => ({
+        type: 'Feature',
+        properties: { name: line.name, kind: line.kind },
+        geometry: { type: 'LineString', coordinates: line.coordinates }
+      }))
+    }
+  });
+
+  map.addSource(`${prefix}-points`, {
+    type: 'geojson',
+    data: {
+      type: 'FeatureCollection',
+      features: imported.points.map(point => ({
+        type: 'Feature',
+        properties: { name: point.name },
+        geometry: { type: 'Point', coordinates: point.coordinates }
+      }))
+    }
+  });
+
+  map.addLayer({
+    id: `${prefix}-line`,
+    type: 'line',
+    source: `${prefix}-lines`,
+    layout: {
+      'line-join': 'round',
+      'line-cap': 'round'
+    },
+    paint: {
+      'line-color': color,
+      'line-width': 4,
+      'line-opacity': 0.8,
+      'line-dasharray': [2, 1]
+    }
+  }, beforeId);
+
+  map.addLayer({
+    id: `${prefix}-point`,
+    type: 'circle',
+    source: `${prefix}-points`,
+    paint: {
+      'circle-radius': 5,
+      'circle-color': color,
+      'circle-stroke-color': '#fff',
+      'circle-stroke-width': 2
+    }
+  });
+}
+
+/**
+ * Remove an imported file's layers and sources from the map
+ * @param {Object} map - The Mapbox GL map
+ * @param {number} id - The import id
+ */
+function removeImportedRouteLayers(map, id) {
+  const prefix = getImportLayerId(id);
+
+  [`${prefix}-line`, `${prefix}-point`].forEach(layerId => {
+    if (map.getLayer(layerId)) {
+      map.removeLayer(layerId);
+    }
+  });
+  [`${prefix}-lines`, `${prefix}-points`].forEach(sourceId => {
+    if (map.getSource(sourceId)) {
+      map.removeSource(sourceId);
+    }
+  });
+}
+
+/**
+ * Fit the map to an imported file
+ * @param {Object} map - The Mapbox GL map
+ * @param {Object} summary - From summariseImportedRoute
+ */
+function zoomToImportedRoute(map, summary) {
+  const [west, south, east, north] = summary.bbox;
+  map.fitBounds([[west, south], [east, north]], { padding: 50, maxZoom: 14 });
+}
+
+/**
+ * Format a bounding box for display
+ * @param {Array<number>} bbox - [west, south, east, north]
+ * @returns {string}
+ */
+function formatBbox(bbox) {
+  const [west, south, east, north] = bbox.map(value => value.toFixed(4));
+  return `${south}, ${west} to ${north}, ${east}`;
+}
+
+/**
+ * Render the list of imported files with their stats and actions
+ * @param {Array<Object>} imports - { id, imported, summary } entries
+ * @param {Object} handlers - { onZoom(id), onReplan(id), onRemove(id) }
+ */
+function renderImportedRoutes(imports, handlers) {
+  const list = document.getElementById('import-list');
+  list.innerHTML = '';
+
+  imports.forEach(({ id, imported, summary }) => {
+    const item = document.createElement('li');
+    item.style.borderLeftColor = IMPORT_COLORS[id % IMPORT_COLORS.length];
+
+    const title = document.createElement('strong');
+    title.textContent = imported.name;
+    item.appendChild(title);
+
+    const stats = document.createElement('div');
+    stats.className = 'import-stats';
+    stats.textContent = [
+      `Length ${formatDistance(summary.length)}`,
+      `${summary.pointCount} points`,
+      `${summary.lineCount} ${summary.lineCount === 1 ? 'line' : 'lines'}`,
+      `${summary.waypointCount} ${summary.waypointCount === 1 ? 'waypoint' : 'waypoints'}`,
+      `Bounds ${formatBbox(summary.bbox)}`
+    ].join(' · ');
+    item.appendChild(stats);
+
+    const actions = [
+      ['Zoom to', handlers.onZoom],
+      ['Re-plan route', handlers.onReplan],
+      ['Remove', handlers.onRemove]
+    ];
+    actions.forEach(([label, handler]) => {
+      const button = document.createElement('button');
+      button.textContent = label;
+      button.addEventListener('click', () => handler(id));
+      item.appendChild(button);
+    });
+
+    list.appendChild(item);
+  });
+
+  document.getElementById('import-panel').classList.toggle('has-imports', imports.length > 0);
+}
+
+/**
+ * Wire up the file picker and drag-and-drop onto the map
+ * @param {Function} onFile - Called with (text, fileName) for each chosen or dropped file
+ */
+function initializeImportControls(onFile) {
+  const input = document.getElementById('import-file');
+  const dropTarget = document.querySelector('.map-container');
+
+  const readFiles = files => {
+    [...files].forEach(file => {
+      file.text()
+        .then(text => onFile(text, file.name))
+        .catch(error => {
+          console.error(`Error reading ${file.name}:`, error);
+          alert(`Could not read ${file.name}`);
+        });
+    });
+  };
+
+  input.addEventListener('change', () => {
+    readFiles(input.files);
+    // Allow the same file to be picked again
+    input.value = '';
+  });
+
+  dropTarget.addEventListener('dragover', event => {
+    event.preventDefault();
+    dropTarget.classList.add('drag-over');
+  });
+  dropTarget.addEventListener('dragleave', () => {
+    dropTarget.classList.remove('drag-over');
+  });
+  dropTarget.addEventListener('drop', event => {
+    event.preventDefault();
+    dropTarget.classList.remove('drag-over');
+    readFiles(event.dataTransfer.files);
+  });
+}
+
+// Export the functions
+export {
+  parseRouteFile,
+  summariseImportedRoute,
+  getReplanStops,
+  addImportedRouteLayers,
+  removeImportedRouteLayers,
+  zoomToImportedRoute,
+  renderImportedRoutes,
+  initializeImportControls
+};
@@ -0,0 +1,171 @@
+// Isochrones: the areas reachable from a place within given travel times or distances
+import { formatDistance } from './formatting.js';
+
+const ISOCHRONE_SOURCE = 'isochrones';
+const ISOCHRONE_ORIGIN_SOURCE = 'isochrone-origin';
+
+const EMPTY_COLLECTION = {
+  type: 'FeatureCollection',
+  features: []
+};
+
+/**
+ * Fetch the contours reachable from a point
+ * @param {Array<number>} coordinates - The origin [lng, lat]
+ * @param {string} profile - The transport mode
+ * @param {Object} contours - { minutes: [...] } or { meters: [...] }
+ * @returns {Promise<Object>} - The /api/isochrone response
+ */
+async function requestIsochrone(coordinates, profile, contours) {
+  const response = await fetch('/api/isochrone', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ coordinates, profile, ...contours })
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.message || errorData.error || 'Could not get the reachable area');
+  }
+
+  return response.json();
+}
+
+/**
+ * Add the contour fill, outline and origin layers, underneath the routes
+ * @param {Object} map - The Mapbox GL map
+ */
+function addIsochroneLayers(map) {
+  map.addSource(ISOCHRONE_SOURCE, {
+    type: 'geojson',
+    data: EMPTY_COLLECTION
+  });
+  map.addSource(ISOCHRONE_ORIGIN_SOURCE, {
+    type: 'geojson',
+    data: EMPTY_COLLECTION
+  });
+
+  // The largest contour comes first, so smaller ones are drawn on top of it
+  map.addLayer({
+    id: 'isochrone-fill',
+    type: 'fill',
+    source: ISOCHRONE_SOURCE,
+    paint: {
+      'fill-color': ['get', 'color'],
+      'fill-opacity': 0.25
+    }
+  }, 'route-line');
+
+  map.addLayer({
+    id: 'isochrone-outline',
+    type: 'line',
+    source: ISOCHRONE_SOURCE,
+    paint: {
+      'line-color': ['get', 'color'],
+      'line-width': 2
+    }
+  }, 'route-line');
+
+  map.addLayer({
+    id: 'isochrone-origin',
+    type: 'circle',
+    source: ISOCHRONE_ORIGIN_SOURCE,
+    paint: {
+      'circle-radius': 6,
+      'circle-color': '#333',
+      'circle-stroke-color': '#fff',
+      'circle-stroke-width': 2
+    }
+  });
+}
+
+/**
+ * Describe a contour value, e.g. "15 min" or "5 km"
+ * @param {number} value - The contour value
+ * @param {string} metric - 'minutes' or 'meters'
+ * @returns {string}
+ */
+function describeContour(value, metric) {
+  return metric === 'minutes' ? `${value} min` : formatDistance(value);
+}
+
+/**
+ * Draw the contours on the map and zoom to the largest one
+ * @param {Object} map - The Mapbox GL map
+ * @param {Object} isochrone - The /api/isochrone response
+ * @param {Array<number>} origin - The origin [lng, lat]
+ */
+function showIsochrones(map, isochrone, origin) {
+  const features = [...isochrone.features].sort((a, b) => b.properties.contour - a.properties.contour);
+
+  map.getSource(ISOCHRONE_SOURCE).setData({ type: 'FeatureCollection', features });
+  map.getSource(ISOCHRONE_ORIGIN_SOURCE).setData({
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: origin }
+  });
+
+  const bounds = new mapboxgl.LngLatBounds(origin, origin);
+  features.forEach(feature => {
+    const rings = feature.geometry.type === 'MultiPolygon' ?
+      feature.geometry.coordinates.flat() :
+      feature.geometry.coordinates;
+    rings.forEach(ring => ring.forEach(coord => bounds.extend(coord)));
+  });
+  map.fitBounds(bounds, { padding: 50 });
+}
+
+/**
+ * Remove the contours from the map and hide the legend
+ * @param {Object} map - The Mapbox GL map
+ */
+function clearIsochrones(map) {
+  if (map && map.getSource(ISOCHRONE_SOURCE)) {
+    map.getSource(ISOCHRONE_SOURCE).setData(EMPTY_COLLECTION);
+    map.getSource(ISOCHRONE_ORIGIN_SOURCE).setData(EMPTY_COLLECTION);
+  }
+  document.getElementById('isochrone-panel').style.display = 'none';
+}
+
+/**
+ * Show the legend for the contours on the map
+ * @param {Object} isochrone - The /api/isochrone response
+ * @param {string} originName - The origin's name
+ * @param {Function} onClear - Called when the user clears the contours
+ */
+function renderIsochroneLegend(isochrone, originName, onClear) {
+  const panel = document.getElementById('isochrone-panel');
+  const title = document.getElementById('isochrone-title');
+  const legend = document.getElementById('isochrone-legend');
+
+  const metric = isochrone.contours.metric;
+  title.textContent = `Reachable from ${originName} by ${isochrone.profile}`;
+  legend.innerHTML = '';
+
+  [...isochrone.features]
+    .sort((a, b) => a.properties.contour - b.properties.contour)
+    .forEach(feature => {
+      const item = document.createElement('li');
+
+      const swatch = document.createElement('span');
+      swatch.className = 'isochrone-swatch';
+      swatch.style.backgroundColor = feature.properties.color;
+      item.appendChild(swatch);
+
+      item.appendChild(document.createTextNode(`Within ${describeContour(feature.properties.contour, metric)}`));
+      legend.appendChild(item);
+    });
+
+  document.getElementById('isochrone-clear').onclick = onClear;
+  panel.style.display = 'block';
+}
+
+// Export the functions
+export {
+  requestIsochrone,
+  addIsochroneLayers,
+  showIsochrones,
+  clearIsochrones,
+  renderIsochroneLegend
+};
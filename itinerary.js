@@ -0,0 +1,192 @@
+// Turn-by-turn itinerary panel synchronised with the map
+import { formatDistance, formatDuration } from './formatting.js';
+
+const EMPTY_LINE = {
+  type: 'Feature',
+  geometry: {
+    type: 'LineString',
+    coordinates: []
+  }
+};
+
+/**
+ * Add the source and layer used to highlight the selected maneuver
+ * Must be called from the map 'load' handler, after the 'route-line' layer
+ * @param {Object} map - The Mapbox GL map
+ */
+function addItineraryLayers(map) {
+  map.addSource('route-step', {
+    type: 'geojson',
+    data: EMPTY_LINE
+  });
+
+  map.addLayer({
+    id: 'route-step-line',
+    type: 'line',
+    source: 'route-step',
+    layout: {
+      'line-join': 'round',
+      'line-cap': 'round'
+    },
+    paint: {
+      'line-color': '#ff7a00',
+      'line-width': 6
+    }
+  });
+}
+
+/**
+ * Get the text to show for a step, falling back to the banner instruction
+ * @param {Object} step - A Mapbox route step
+ * @returns {string} - The instruction text
+ */
+function getStepInstruction(step) {
+  if (step.maneuver && step.maneuver.instruction) {
+    return step.maneuver.instruction;
+  }
+
+  const banner = step.bannerInstructions && step.bannerInstructions[0];
+  return (banner && banner.primary && banner.primary.text) || step.name || 'Continue';
+}
+
+/**
+ * Fly to a maneuver and highlight the segment of route it covers
+ * @param {Object} map - The Mapbox GL map
+ * @param {Object} step - A Mapbox route step
+ */
+function focusStep(map, step) {
+  if (map.getSource('route-step')) {
+    map.getSource('route-step').setData({
+      type: 'Feature',
+      geometry: step.geometry || EMPTY_LINE.geometry
+    });
+  }
+
+  if (step.maneuver && step.maneuver.location) {
+    map.flyTo({
+      center: step.maneuver.location,
+      zoom: Math.max(map.getZoom(), 15)
+    });
+  }
+}
+
+/**
+ * Render the itinerary panel for a route
+ * @param {Object} map - The Mapbox GL map
+ * @param {Object} route - A Mapbox route requested with steps enabled
+ * @param {Array<string>} locations - The stop names, in route order
+ */
+function renderItinerary(map, route, locations = []) {
+  const panel = document.getElementById('itinerary');
+  const list = document.getElementById('itinerary-steps');
+
+  clearItinerary(map);
+
+  const legs = (route && route.legs) || [];
+  const hasSteps = legs.some(leg => leg.steps && leg.steps.length > 0);
+
+  if (!hasSteps) {
+    console.log('Route has no steps, turn-by-turn directions unavailable');
+    const message = document.createElement('p');
+    message.className = 'itinerary-empty';
+    message.textContent = 'Turn-by-turn directions are not available for this route.';
+    list.appendChild(message);
+    panel.style.display = 'flex';
+    return;
+  }
+
+  legs.forEach((leg, legIndex) => {
+    const heading = document.createElement('h3');
+    heading.className = 'itinerary-leg';
+    const from = locations[legIndex] || `Stop ${legIndex + 1}`;
+    const to = locations[legIndex + 1] || `Stop ${legIndex + 2}`;
+    heading.textContent = `${from} to ${to}`;
+
+    const legSummary = document.createElement('small');
+    legSummary.textContent = ` ${formatDistance(leg.distance)}, ${formatDuration(leg.duration)}`;
+    heading.appendChild(legSummary);
+    list.appendChild(heading);
+
+    const steps = document.createElement('ol');
+    steps.className = 'itinerary-leg-steps';
+
+    (leg.steps || []).forEach(step => {
+      const item = document.createElement('li');
+      item.className = 'itinerary-step';
+
+      const instruction = document.createElement('span');
+      instruction.textContent = getStepInstruction(step);
+      item.appendChild(instruction);
+
+      if (step.distance > 0) {
+        const distance = document.createElement('span');
+        distance.className = 'itinerary-distance';
+        distance.textContent = formatDistance(step.distance);
+        item.appendChild(distance);
+      }
+
+      // Keep the spoken instruction around as a tooltip for screen-free use
+      if (step.voiceInstructions && step.voiceInstructions.length > 0) {
+        item.title = step.voiceInstructions[0].announcement;
+      }
+
+      item.addEventListener('click', () => {
+        list.querySelectorAll('.itinerary-step.active').forEach(el => el.classList.remove('active'));
+        item.classList.add('active');
+        focusStep(map, step);
+      });
+
+      steps.appendChild(item);
+    });
+
+    list.appendChild(steps);
+  });
+
+  panel.style.display = 'flex';
+}
+
+/**
+ * Remove all steps from the panel and clear the highlighted segment
+ * @param {Object} map - The Mapbox GL map
+ */
+function clearItinerary(map) {
+  document.getElementById('itinerary-steps').innerHTML = '';
+
+  if (map && map.getSource('route-step')) {
+    map.getSource('route-step').setData(EMPTY_LINE);
+  }
+}
+
+/**
+ * Hide the panel entirely, e.g. when only a single location is shown
+ * @param {Object} map - The Mapbox GL map
+ */
+function hideItinerary(map) {
+  clearItinerary(map);
+  document.getElementById('itinerary').style.display = 'none';
+}
+
+/**
+ * Wire up the collapse toggle in the panel header
+ * @param {Function} onToggle - Called after the panel is collapsed or expanded, e.g. to resize the map
+ */
+function initializeItineraryPanel(onToggle = () => {}) {
+  const panel = document.getElementById('itinerary');
+  const toggle = document.getElementById('itinerary-toggle');
+
+  toggle.addEventListener('click', () => {
+    const collapsed = panel.classList.toggle('collapsed');
+    toggle.textContent = collapsed ? 'Show' : 'Hide';
+    toggle.setAttribute('aria-expanded', String(!collapsed));
+    onToggle();
+  });
+}
+
+// Export the functions
+export {
+  addItineraryLayers,
+  renderItinerary,
+  clearItinerary,
+  hideItinerary,
+  initializeItineraryPanel
+};
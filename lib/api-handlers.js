@@ -0,0 +1,1595 @@
+/**
+ * Runtime-agnostic API handlers shared by the Express server, the Cloudflare
+ * Worker and the Cloudflare Pages Functions
+ *
+ * Every handler takes the parsed JSON request body (where there is one) and an
+ * `env` object holding the secrets (MAPBOX_TOKEN, GEMINI_API_KEY), and resolves
+ * to a plain result object that the runtime adapters turn into an HTTP response:
+ *
+ *   { status: number, body: Object, headers?: Object }
+ *
+ * Handlers never throw; upstream failures become error results.
+ *
+ * Response contract (the `body` of each result):
+ *
+ *   Errors (any endpoint, status >= 400)
+ *     { error: string, message?: string, details?: any, fallback?: boolean }
+ *
+ *   GET  /api/mapbox-token
+ *     { token, refreshAfter }
+ *     `token` is the restricted MAPBOX_PUBLIC_TOKEN, never the secret MAPBOX_TOKEN.
+ *     Only same-origin pages and ALLOWED_ORIGINS may fetch it; clients should
+ *     fetch it again after `refreshAfter` seconds to pick up a rotated token.
+ *
+ *   POST /api/mapbox-geocoding   { location, proximity?: [lng, lat], country? }
+ *     { query, candidates: [{ name, placeName, coordinates: [lng, lat],
+ *       relevance, placeType, countryCode }], features }
+ *     Candidates are ranked best first; `features` are the raw Mapbox features.
+ *
+ *   POST /api/mapbox-reverse-geocoding   { coordinates: [lng, lat] }
+ *     { coordinates, candidates: [{ name, placeName, coordinates, relevance, placeType,
+ *       countryCode }], features }
+ *     One candidate per kind of place (address, street, neighbourhood, town...),
+ *     the most specific first. `coordinates` echoes the point that was looked up.
+ *
+ *   POST /api/mapbox-directions  { coordinates: [[lng, lat], ...], profile?, preferences?,
+ *                                  alternatives?, steps?, voice_instructions?,
+ *                                  banner_instructions?, geometries?, overview?,
+ *                                  waypoints_per_route?, depart_at?, arrive_by?,
+ *                                  annotations?: ['congestion', 'speed', ...] }
+ *     { routes: [Mapbox route, ...], waypoints, profile,
+ *       exclusions: { requested, applied, unsupported }, warnings: [string] }
+ *     At most three routes are returned, the recommended route first.
+ *     depart_at (driving and driving-traffic) and arrive_by (driving only) are
+ *     local times at the start or end of the route, "YYYY-MM-DDTHH:mm"; only
+ *     one of them may be given.
+ *     annotations adds per-segment values to each leg's `annotation`; congestion is
+ *     only filled in for driving-traffic. They are dropped if Mapbox rejects them.
+ *
+ *   POST /api/mapbox-matrix      { sources: [[lng, lat], ...], destinations?, profile?,
+ *                                  annotations?: ['duration', 'distance'] }
+ *     { durations?: [[seconds]], distances?: [[metres]], requests, profile }
+ *     Rows are sources and columns destinations; without destinations the matrix is
+ *     between every pair of sources. Cells are null where no route exists. Large
+ *     matrices are fetched from Mapbox in several requests (`requests`).
+ *
+ *   POST /api/isochrone          { coordinates: [lng, lat], profile?, minutes?: [number], meters?: [number] }
+ *     GeoJSON FeatureCollection of contour polygons, largest first, each with
+ *     properties { contour, metric, color }, plus { profile, contours: { metric, values } }
+ *     Exactly one of minutes (at most 60 each) or meters (at most 100000 each) is
+ *     required, with 1 to 4 values.
+ *
+ *   POST /api/elevation          { coordinates: [[lng, lat], ...] }
+ *     { samples: [{ distance, elevation, coordinates }], summary: { ascent, descent,
+ *       maxGrade, maxDescentGrade, minElevation, maxElevation }, zoom, source }
+ *     The line (usually a route geometry, at most 5000 points) is sampled at even
+ *     spacing. Distances and heights are in metres, grades in percent. Heights come
+ *     from Mapbox terrain-RGB tiles, or from TERRAIN_TILES_URL when it is set.
+ *
+ *   POST /api/optimize-route     { coordinates: [[lng, lat], ...], profile?, roundTrip?, fixedEnd? }
+ *     { order: [index, ...], profile, roundTrip, fixedEnd,
+ *       duration: { original, optimized, saved } }
+ *     `order` lists the input indices in the suggested visiting order, always
+ *     starting with 0 (and ending with the last index when fixedEnd is set).
+ *     Durations are in seconds and include the return leg of a round trip.
+ *
+ *   POST /api/gemini             { prompt, functionDeclarations? } or a raw Gemini
+ *                                request body with `contents`
+ *     The Gemini generateContent response, unchanged.
+ *
+ *   POST /api/short-links        { state }
+ *     { id }  (201)
+ *     `state` is the frontend's permalink state; equal states get the same id.
+ *
+ *   GET  /api/short-links/:id
+ *     { id, state, createdAt }
+ *
+ *   Saved routes, kept per browser by the X-Client-Id header:
+ *   GET    /api/routes?kind=recent|favourite   { routes: [SavedRoute, ...] }, newest first
+ *   POST   /api/routes      { kind, name?, state }   { route: SavedRoute }  (201, or 200 for a repeated recent search)
+ *   GET    /api/routes/:id                          { route: SavedRoute }
+ *   PUT    /api/routes/:id  { name?, kind?, state? } { route: SavedRoute }
+ *   DELETE /api/routes/:id                          { id, deleted: true }
+ *     SavedRoute is { id, kind: 'recent'|'favourite', name, state, createdAt, updatedAt }
+ *
+ * The short-link and saved-route handlers also take a store from lib/store.js.
+ */
+
+import { sha256, stableStringify } from './cache.js';
+import { optimizeStopOrder } from './route-optimizer.js';
+import {
+  resampleLine,
+  getTilePixel,
+  chooseTerrainZoom,
+  decodePng,
+  getTerrainHeight,
+  summarizeElevation
+} from './elevation.js';
+
+const MAPBOX_API = 'https://api.mapbox.com';
+const GEMINI_URL = 'https://generativelanguage.googleapis.com/v1/models/gemini-pro:generateContent';
+
+// Upstream request timeouts
+const MAPBOX_TIMEOUT_MS = 10000;
+const GEMINI_TIMEOUT_MS = 5000;
+
+// How often the browser should re-fetch the public token, in seconds
+const DEFAULT_TOKEN_REFRESH_SECONDS = 60 * 60;
+
+// Number of ranked candidates returned for each geocoding request
+const GEOCODING_CANDIDATE_LIMIT = 5;
+
+// Maximum number of routes (primary plus alternatives) returned to the client
+const MAX_ROUTES = 3;
+
+// The Directions API accepts at most 25 coordinates per request
+const MAX_DIRECTIONS_COORDINATES = 25;
+
+// Per-segment annotations the Directions API can add to each route leg
+const DIRECTIONS_ANNOTATIONS = ['congestion', 'congestion_numeric', 'speed', 'duration', 'distance', 'maxspeed'];
+
+// depart_at and arrive_by as Mapbox accepts them: local time, or with seconds and a UTC offset
+const DIRECTIONS_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:Z|[+-]\d{2}:\d{2}))?$/;
+
+// The Matrix API accepts at most 25 coordinates per request, or 10 for driving-traffic,
+// so larger matrices are split into blocks of sources and destinations
+const MAX_MATRIX_COORDINATES = 25;
+const MAX_TRAFFIC_MATRIX_COORDINATES = 10;
+
+// Limits on one /api/mapbox-matrix request, to stay well inside the Matrix API rate limit
+const MAX_MATRIX_SIDE = 100;
+const MAX_MATRIX_REQUESTS = 20;
+
+// Matrix blocks requested from Mapbox at the same time
+const MATRIX_CONCURRENCY = 4;
+
+const MATRIX_ANNOTATIONS = ['duration', 'distance'];
+
+// Isochrone API limits: up to four contours, each at most an hour or 100 km
+const MAX_ISOCHRONE_CONTOURS = 4;
+const MAX_ISOCHRONE_MINUTES = 60;
+const MAX_ISOCHRONE_METERS = 100000;
+
+// Contour colours, nearest contour first, so every deployment draws them alike
+const ISOCHRONE_COLORS = ['2ecc71', 'f1c40f', 'e67e22', 'e74c3c'];
+
+// Longest line accepted by /api/elevation, and the terrain tiles fetched at the same time
+const MAX_ELEVATION_COORDINATES = 5000;
+const TERRAIN_CONCURRENCY = 4;
+
+// Route states shared as short links or saved by users are capped in size
+const MAX_ROUTE_STATE_BYTES = 32 * 1024;
+
+// Short links are the first hex digits of the state's SHA-256
+const SHORT_LINK_ID_LENGTH = 12;
+const SHORT_LINK_ID_PATTERN = /^[0-9a-f]{12}$/;
+
+// Saved routes are grouped by an id the browser generates, and each browser keeps
+// a limited number of recent searches
+const SAVED_ROUTE_KINDS = ['recent', 'favourite'];
+const CLIENT_ID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+const SAVED_ROUTE_ID_PATTERN = /^[A-Za-z0-9-]{1,64}$/;
+const MAX_RECENT_ROUTES = 20;
+const MAX_SAVED_ROUTE_NAME_LENGTH = 100;
+
+// Routing profiles and the spellings clients send for them
+const PROFILE_ALIASES = {
+  'driving': 'driving',
+  'car': 'driving',
+  'driving-traffic': 'driving-traffic',
+  'walking': 'walking',
+  'walk': 'walking',
+  'on foot': 'walking',
+  'cycling': 'cycling',
+  'bicycle': 'cycling',
+  'bike': 'cycling'
+};
+
+// Map each route preference flag to its Mapbox `exclude` value
+const PREFERENCE_EXCLUSIONS = {
+  avoidHighways: 'motorway',
+  avoidTolls: 'toll',
+  avoidFerries: 'ferry',
+  avoidUnpaved: 'unpaved',
+  avoidCashOnlyTolls: 'cash_only_tolls'
+};
+
+// Exclusions each Mapbox routing profile is able to honour
+const PROFILE_EXCLUSIONS = {
+  'driving': ['motorway', 'toll', 'ferry', 'unpaved', 'cash_only_tolls'],
+  'driving-traffic': ['motorway', 'toll', 'ferry', 'unpaved', 'cash_only_tolls'],
+  'cycling': ['ferry'],
+  'walking': []
+};
+
+// Human readable names used in fallback messages
+const EXCLUSION_LABELS = {
+  motorway: 'highways',
+  toll: 'toll roads',
+  ferry: 'ferries',
+  unpaved: 'unpaved roads',
+  cash_only_tolls: 'cash-only tolls'
+};
+
+/**
+ * Build a handler result
+ * @param {number} status - HTTP status code
+ * @param {Object} body - JSON response body
+ * @returns {{status: number, body: Object}}
+ */
+function result(status, body) {
+  return { status, body };
+}
+
+/**
+ * Fetch a JSON resource, giving up after a timeout
+ * @param {string} url - The URL to fetch
+ * @param {Object} options - fetch options
+ * @param {number} timeoutMs - Milliseconds to wait before aborting
+ * @returns {Promise<{ok: boolean, status: number, data: Object}>}
+ */
+async function fetchJson(url, options = {}, timeoutMs = MAPBOX_TIMEOUT_MS) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await fetch(url, { ...options, signal: controller.signal });
+    const data = await response.json().catch(() => ({}));
+    return { ok: response.ok, status: response.status, data };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Turn an error thrown while calling an upstream API into a result
+ * @param {Error} error - The error
+ * @param {string} service - The upstream name for the message, e.g. 'Mapbox API'
+ * @returns {{status: number, body: Object}}
+ */
+function upstreamErrorResult(error, service) {
+  if (error.name === 'AbortError') {
+    console.error(`Request to ${service} timed out`);
+    return result(504, { error: `No response received from ${service}` });
+  }
+
+  console.error(`Error calling ${service}:`, error.message);
+  return result(502, { error: `Failed to reach ${service}`, message: error.message });
+}
+
+/**
+ * Check that a value is a [lng, lat] pair
+ * @param {*} coordinate - The value to check
+ * @returns {boolean} - Whether it is a valid coordinate
+ */
+function isValidCoordinate(coordinate) {
+  return Array.isArray(coordinate) &&
+    coordinate.length === 2 &&
+    coordinate.every(value => typeof value === 'number' && Number.isFinite(value)) &&
+    Math.abs(coordinate[0]) <= 180 &&
+    Math.abs(coordinate[1]) <= 90;
+}
+
+/**
+ * Normalize the profile names clients send to a Mapbox routing profile
+ * @param {string} profile - e.g. 'walking', 'bike' or 'driving-traffic'
+ * @returns {string|null} - The Mapbox profile, or null when it is not supported
+ */
+function normalizeProfile(profile = 'driving') {
+  return PROFILE_ALIASES[String(profile).toLowerCase()] || null;
+}
+
+/**
+ * Split the requested exclusions into those the profile supports and those it does not
+ * @param {string} profile - The Mapbox routing profile
+ * @param {Object} preferences - Route preferences from the client
+ * @returns {{requested: string[], applied: string[], unsupported: string[]}}
+ */
+function resolveExclusions(profile, preferences = {}) {
+  const requested = Object.keys(PREFERENCE_EXCLUSIONS)
+    .filter(key => preferences && preferences[key])
+    .map(key => PREFERENCE_EXCLUSIONS[key]);
+  const supported = PROFILE_EXCLUSIONS[profile] || [];
+
+  return {
+    requested,
+    applied: requested.filter(exclusion => supported.includes(exclusion)),
+    unsupported: requested.filter(exclusion => !supported.includes(exclusion))
+  };
+}
+
+/**
+ * Describe a list of exclusions for a user facing message
+ * @param {string[]} exclusions - Mapbox exclude values
+ * @returns {string} - e.g. "toll roads and ferries"
+ */
+function describeExclusions(exclusions) {
+  const labels = exclusions.map(exclusion => EXCLUSION_LABELS[exclusion] || exclusion);
+  return labels.length > 1 ?
+    `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}` :
+    labels[0];
+}
+
+/**
+ * Reduce a Mapbox geocoding feature to the candidate shape the client ranks
+ * @param {Object} feature - A feature from the Mapbox Geocoding API
+ * @returns {Object} - { name, placeName, coordinates, relevance, placeType, countryCode }
+ */
+function toGeocodingCandidate(feature) {
+  // Countries carry their own code, everything else lists its country in the context
+  const country = (feature.place_type || []).includes('country') ?
+    feature :
+    (feature.context || []).find(item => item.id && item.id.startsWith('country.'));
+  const shortCode = country && (country.short_code || (country.properties && country.properties.short_code));
+
+  return {
+    name: feature.text,
+    placeName: feature.place_name,
+    coordinates: feature.center,
+    relevance: feature.relevance,
+    placeType: (feature.place_type || [])[0],
+    countryCode: shortCode ? shortCode.toLowerCase() : null
+  };
+}
+
+/**
+ * Parse a comma separated environment variable into a list
+ * @param {string} value - e.g. "https://a.example, https://b.example"
+ * @returns {string[]}
+ */
+function parseList(value) {
+  return String(value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(item => item.length > 0);
+}
+
+/**
+ * Get the origin of a URL, or null if it cannot be parsed
+ * @param {string} url - e.g. a Referer header
+ * @returns {string|null}
+ */
+function getOrigin(url) {
+  try {
+    return new URL(url).origin;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check whether a browser request for the public token comes from an allowed page
+ * Same-origin requests are always allowed; other origins must be listed in ALLOWED_ORIGINS
+ * @param {Object} env - Environment holding ALLOWED_ORIGINS
+ * @param {Object} request - { origin, referer, requestOrigin } from the adapter
+ * @returns {boolean}
+ */
+function isAllowedTokenOrigin(env, { origin, referer, requestOrigin } = {}) {
+  // Browsers leave out Origin on same-origin GET requests, so fall back to the Referer
+  const callerOrigin = origin || getOrigin(referer);
+
+  if (!callerOrigin) {
+    return false;
+  }
+
+  return callerOrigin === requestOrigin || parseList(env.ALLOWED_ORIGINS).includes(callerOrigin);
+}
+
+/**
+ * Pick the public token to hand out, switching to MAPBOX_PUBLIC_TOKEN_NEXT once
+ * MAPBOX_PUBLIC_TOKEN_ROTATE_AT has passed
+ * @param {Object} env - Environment holding the public token settings
+ * @param {number} now - Current time in milliseconds
+ * @returns {{token: string|undefined, refreshAfter: number}} - refreshAfter is in seconds
+ */
+function selectPublicToken(env, now = Date.now()) {
+  const refreshAfter = Number(env.MAPBOX_PUBLIC_TOKEN_REFRESH_SECONDS) || DEFAULT_TOKEN_REFRESH_SECONDS;
+  const rotateAt = Date.parse(env.MAPBOX_PUBLIC_TOKEN_ROTATE_AT || '');
+
+  if (!env.MAPBOX_PUBLIC_TOKEN_NEXT || Number.isNaN(rotateAt)) {
+    return { token: env.MAPBOX_PUBLIC_TOKEN, refreshAfter };
+  }
+
+  if (now >= rotateAt) {
+    return { token: env.MAPBOX_PUBLIC_TOKEN_NEXT, refreshAfter };
+  }
+
+  // Make sure clients come back for the new token as soon as it takes over
+  return {
+    token: env.MAPBOX_PUBLIC_TOKEN,
+    refreshAfter: Math.max(1, Math.min(refreshAfter, Math.ceil((rotateAt - now) / 1000)))
+  };
+}
+
+/**
+ * Provide the restricted public Mapbox token to the browser
+ * The secret MAPBOX_TOKEN used by the proxies is never returned
+ * @param {Object} env - Environment holding MAPBOX_PUBLIC_TOKEN and ALLOWED_ORIGINS
+ * @param {Object} request - { origin, referer, requestOrigin } from the adapter
+ * @returns {Promise<{status: number, body: Object, headers: Object}>}
+ */
+async function handleMapboxToken(env, request = {}) {
+  console.log('Request received for Mapbox token');
+  const headers = { 'Cache-Control': 'no-store' };
+
+  if (!isAllowedTokenOrigin(env, request)) {
+    console.warn('Refusing Mapbox token to origin:', request.origin || request.referer || 'unknown');
+    return { ...result(403, { error: 'Origin not allowed' }), headers };
+  }
+
+  const { token, refreshAfter } = selectPublicToken(env);
+
+  if (!token) {
+    console.error('MAPBOX_PUBLIC_TOKEN is not set in environment variables');
+    return {
+      ...result(500, {
+        error: 'Mapbox public token is not configured on the server',
+        message: 'Set MAPBOX_PUBLIC_TOKEN to a restricted public (pk.) token for the map'
+      }),
+      headers
+    };
+  }
+
+  // Refuse to leak a secret token even if one is configured by mistake
+  if (token.startsWith('sk.') || token === env.MAPBOX_TOKEN) {
+    console.error('MAPBOX_PUBLIC_TOKEN must be a separate public token, not the secret MAPBOX_TOKEN');
+    return {
+      ...result(500, {
+        error: 'Mapbox public token is misconfigured on the server',
+        message: 'MAPBOX_PUBLIC_TOKEN must be a restricted public (pk.) token, separate from MAPBOX_TOKEN'
+      }),
+      headers
+    };
+  }
+
+  return { ...result(200, { token, refreshAfter }), headers };
+}
+
+/**
+ * Geocode a place name into ranked candidates
+ * @param {Object} body - { location, proximity?, country? }
+ * @param {Object} env - Environment holding MAPBOX_TOKEN
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function handleGeocoding(body, env) {
+  const { location, proximity, country } = body || {};
+
+  if (!location || typeof location !== 'string' || location.trim().length === 0) {
+    return result(400, { error: 'Invalid location provided' });
+  }
+
+  console.log('Geocoding location:', location);
+
+  const params = new URLSearchParams({
+    access_token: env.MAPBOX_TOKEN,
+    limit: GEOCODING_CANDIDATE_LIMIT
+  });
+
+  // Bias results toward the stops that are already resolved
+  if (isValidCoordinate(proximity)) {
+    params.set('proximity', proximity.join(','));
+  }
+
+  // Restrict results to the given ISO 3166 country code(s)
+  if (country) {
+    params.set('country', Array.isArray(country) ? country.join(',') : country);
+  }
+
+  const url = `${MAPBOX_API}/geocoding/v5/mapbox.places/${encodeURIComponent(location)}.json?${params}`;
+
+  let response;
+  try {
+    response = await fetchJson(url);
+  } catch (error) {
+    return upstreamErrorResult(error, 'Mapbox Geocoding API');
+  }
+
+  if (!response.ok) {
+    console.error('Geocoding API error status:', response.status);
+    console.error('Geocoding API error data:', response.data);
+    return result(response.status, {
+      error: 'Failed to process geocoding request',
+      details: response.data
+    });
+  }
+
+  const features = response.data.features || [];
+
+  if (features.length === 0) {
+    console.warn(`No geocoding results found for: ${location}`);
+    return result(404, { error: `Location not found: ${location}` });
+  }
+
+  const candidates = features.map(toGeocodingCandidate);
+  console.log(`Successfully geocoded "${location}" to:`, candidates[0].coordinates, `(${candidates.length} candidates)`);
+
+  return result(200, { query: location, candidates, features });
+}
+
+/**
+ * Look up the places at a point with the Mapbox Geocoding API
+ * @param {Object} body - { coordinates }
+ * @param {Object} env - Environment holding MAPBOX_TOKEN
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function handleReverseGeocoding(body, env) {
+  const { coordinates } = body || {};
+
+  if (!isValidCoordinate(coordinates)) {
+    return result(400, { error: 'Invalid coordinates. A [lng, lat] point is required.' });
+  }
+
+  // Metre-level precision is all Mapbox uses, and it keeps cache keys stable
+  const point = coordinates.map(value => Math.round(value * 1e5) / 1e5);
+  console.log('Reverse geocoding point:', point);
+
+  const params = new URLSearchParams({ access_token: env.MAPBOX_TOKEN });
+  const url = `${MAPBOX_API}/geocoding/v5/mapbox.places/${point.join(',')}.json?${params}`;
+
+  let response;
+  try {
+    response = await fetchJson(url);
+  } catch (error) {
+    return upstreamErrorResult(error, 'Mapbox Geocoding API');
+  }
+
+  if (!response.ok) {
+    console.error('Reverse geocoding API error:', response.status, response.data);
+    return result(response.status, {
+      error: 'Failed to process reverse geocoding request',
+      details: response.data
+    });
+  }
+
+  const features = response.data.features || [];
+
+  if (features.length === 0) {
+    console.warn('No reverse geocoding results found for:', point);
+    return result(404, { error: `Nothing found at ${point[1]}, ${point[0]}` });
+  }
+
+  const candidates = features.map(toGeocodingCandidate);
+  console.log(`Reverse geocoded ${point.join(',')} to:`, candidates[0].placeName);
+
+  return result(200, { coordinates: point, candidates, features });
+}
+
+/**
+ * Check the departure or arrival time of a directions request
+ * @param {string} profile - The normalized profile
+ * @param {*} departAt - depart_at from the request
+ * @param {*} arriveBy - arrive_by from the request
+ * @returns {string|null} - An error message, or null when the times are fine
+ */
+function validateDirectionsTiming(profile, departAt, arriveBy) {
+  if (departAt && arriveBy) {
+    return 'Only one of depart_at and arrive_by can be given.';
+  }
+
+  const [name, value] = departAt ? ['depart_at', departAt] : ['arrive_by', arriveBy];
+  if (!value) {
+    return null;
+  }
+
+  if (typeof value !== 'string' || !DIRECTIONS_TIME_PATTERN.test(value)) {
+    return `Invalid ${name}: ${value}. Use local time as YYYY-MM-DDTHH:mm.`;
+  }
+  if (name === 'depart_at' && !['driving', 'driving-traffic'].includes(profile)) {
+    return `depart_at is only supported for driving routes, not ${profile}.`;
+  }
+  if (name === 'arrive_by' && profile !== 'driving') {
+    return `arrive_by is only supported for the driving profile, not ${profile}.`;
+  }
+  return null;
+}
+
+/**
+ * Request routes between coordinates from the Mapbox Directions API
+ * Unsupported avoidances, exclusions that leave no route and rejected optional
+ * parameters all fall back to a less restricted request and add a warning
+ * @param {Object} body - See the response contract at the top of this module
+ * @param {Object} env - Environment holding MAPBOX_TOKEN
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function handleDirections(body, env) {
+  const {
+    coordinates,
+    preferences,
+    alternatives,
+    geometries,
+    steps,
+    overview,
+    waypoints_per_route,
+    voice_instructions,
+    banner_instructions,
+    depart_at,
+    arrive_by,
+    annotations
+  } = body || {};
+
+  console.log('Received directions request with coordinates:', coordinates);
+  console.log('Preferences:', preferences);
+
+  if (!Array.isArray(coordinates) || coordinates.length < 2 || !coordinates.every(isValidCoordinate)) {
+    console.error('Invalid coordinates provided:', coordinates);
+    return result(400, { error: 'Invalid coordinates. At least 2 coordinates are required.' });
+  }
+
+  if (coordinates.length > MAX_DIRECTIONS_COORDINATES) {
+    return result(400, { error: `Too many coordinates. At most ${MAX_DIRECTIONS_COORDINATES} are supported.` });
+  }
+
+  const profile = normalizeProfile(body.profile);
+  if (!profile) {
+    return result(400, { error: `Unsupported transport mode: ${body.profile}` });
+  }
+  console.log('Profile:', profile);
+
+  const timingError = validateDirectionsTiming(profile, depart_at, arrive_by);
+  if (timingError) {
+    return result(400, { error: timingError });
+  }
+
+  if (annotations !== undefined && (!Array.isArray(annotations) ||
+      !annotations.every(annotation => DIRECTIONS_ANNOTATIONS.includes(annotation)))) {
+    return result(400, { error: `annotations must list some of: ${DIRECTIONS_ANNOTATIONS.join(', ')}` });
+  }
+
+  const url = `${MAPBOX_API}/directions/v5/mapbox/${profile}/${coordinates.map(coord => coord.join(',')).join(';')}`;
+
+  const params = new URLSearchParams({
+    access_token: env.MAPBOX_TOKEN,
+    alternatives: Boolean(alternatives),
+    geometries: geometries || 'geojson',
+    steps: Boolean(steps),
+    overview: overview || 'full'
+  });
+
+  // Only add waypoints_per_route if it's explicitly provided
+  if (waypoints_per_route !== undefined) {
+    params.set('waypoints_per_route', waypoints_per_route);
+  }
+
+  if (depart_at) {
+    params.set('depart_at', depart_at);
+  }
+  if (arrive_by) {
+    params.set('arrive_by', arrive_by);
+  }
+  if (annotations && annotations.length > 0) {
+    params.set('annotations', annotations.join(','));
+  }
+
+  // Voice and banner instructions are only valid alongside steps
+  if (steps) {
+    params.set('voice_instructions', voice_instructions !== undefined ? Boolean(voice_instructions) : true);
+    params.set('banner_instructions', banner_instructions !== undefined ? Boolean(banner_instructions) : true);
+  }
+
+  // Translate the avoid preferences into Mapbox exclusions the profile can honour
+  const exclusions = resolveExclusions(profile, preferences);
+  const warnings = [];
+
+  if (exclusions.unsupported.length > 0) {
+    warnings.push(`Avoiding ${describeExclusions(exclusions.unsupported)} is not supported for ${profile} routes, so the route may still use them.`);
+  }
+
+  if (exclusions.applied.length > 0) {
+    params.set('exclude', exclusions.applied.join(','));
+  }
+
+  const dropExclusions = reason => {
+    if (exclusions.applied.length > 0) {
+      warnings.push(`${reason} ${describeExclusions(exclusions.applied)}, so the route shown may use them.`);
+      exclusions.applied = [];
+    }
+    params.delete('exclude');
+  };
+
+  let response;
+  try {
+    response = await fetchJson(`${url}?${params}`);
+    console.log('Mapbox response status:', response.status);
+
+    // If nothing satisfies the exclusions, fall back to an unrestricted route and say so
+    if (response.ok && params.has('exclude') && !(response.data.routes && response.data.routes.length > 0)) {
+      console.log('No route satisfies exclusions, retrying without:', params.get('exclude'));
+      dropExclusions('No route could be found that avoids');
+      response = await fetchJson(`${url}?${params}`);
+    }
+
+    // Retry without the optional parameters if Mapbox rejects the request
+    if (response.status === 422 && response.data.code === 'InvalidInput') {
+      console.log('Retrying without problematic parameters...', response.data.message);
+      ['alternatives', 'steps', 'voice_instructions', 'banner_instructions', 'waypoints_per_route', 'annotations'].forEach(key => params.delete(key));
+      dropExclusions('The routing service rejected avoiding');
+      response = await fetchJson(`${url}?${params}`);
+    }
+  } catch (error) {
+    return upstreamErrorResult(error, 'Mapbox API');
+  }
+
+  if (!response.ok) {
+    console.error('Mapbox API error status:', response.status);
+    console.error('Mapbox API error data:', response.data);
+    return result(response.status, {
+      error: 'Mapbox API error',
+      message: response.data.message,
+      details: response.data
+    });
+  }
+
+  if (!response.data.routes || response.data.routes.length === 0) {
+    console.error('No routes found in Mapbox response:', response.data);
+    return result(404, {
+      error: 'No route found between the specified locations',
+      message: `No ${profile} route could be found between these locations. The locations might be too far apart for ${profile}, or there may not be a suitable path.`,
+      details: response.data
+    });
+  }
+
+  // The primary route plus at most two alternatives
+  const routes = response.data.routes.slice(0, MAX_ROUTES);
+  console.log(`Route successfully retrieved from Mapbox. Length: ${routes[0].geometry.coordinates.length} coordinates, ${routes.length} route(s)`);
+
+  return result(200, {
+    ...response.data,
+    routes,
+    profile,
+    exclusions,
+    warnings
+  });
+}
+
+/**
+ * Split the sources and destinations into blocks that fit in one Matrix API request
+ * A small side is kept whole so the other side gets the rest of each request
+ * @param {number} sourceCount - Number of sources
+ * @param {number} destinationCount - Number of destinations
+ * @param {number} limit - Coordinates allowed per request
+ * @returns {Array<{sources: number[], destinations: number[]}>} - Start and end (exclusive) index of each block
+ */
+function planMatrixBlocks(sourceCount, destinationCount, limit) {
+  if (sourceCount + destinationCount <= limit) {
+    return [{ sources: [0, sourceCount], destinations: [0, destinationCount] }];
+  }
+
+  const half = Math.floor(limit / 2);
+  const sourceSize = Math.min(sourceCount, Math.max(half, limit - destinationCount));
+  const destinationSize = Math.min(destinationCount, limit - sourceSize);
+  const blocks = [];
+
+  for (let source = 0; source < sourceCount; source += sourceSize) {
+    for (let destination = 0; destination < destinationCount; destination += destinationSize) {
+      blocks.push({
+        sources: [source, Math.min(source + sourceSize, sourceCount)],
+        destinations: [destination, Math.min(destination + destinationSize, destinationCount)]
+      });
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Get the Matrix API coordinate limit for a profile
+ * @param {string} profile - The Mapbox routing profile
+ * @returns {number}
+ */
+function getMatrixCoordinateLimit(profile) {
+  return profile === 'driving-traffic' ? MAX_TRAFFIC_MATRIX_COORDINATES : MAX_MATRIX_COORDINATES;
+}
+
+/**
+ * Fetch travel times and/or distances from every source to every destination
+ * Matrices beyond the Matrix API's coordinate limit are fetched in blocks and joined
+ * @param {Array<Array<number>>} sources - [lng, lat] pairs
+ * @param {Array<Array<number>>} destinations - [lng, lat] pairs
+ * @param {string} profile - The Mapbox routing profile
+ * @param {string[]} annotations - 'duration' and/or 'distance'
+ * @param {Object} env - Environment holding MAPBOX_TOKEN
+ * @returns {Promise<{durations?: Array, distances?: Array, requests?: number, error?: {status: number, body: Object}}>} -
+ *   rows per source, columns per destination, null where Mapbox found no route
+ */
+async function fetchMatrix(sources, destinations, profile, annotations, env) {
+  const blocks = planMatrixBlocks(sources.length, destinations.length, getMatrixCoordinateLimit(profile));
+  const matrices = Object.fromEntries(annotations.map(annotation => [
+    `${annotation}s`,
+    sources.map(() => new Array(destinations.length).fill(null))
+  ]));
+
+  const fetchBlock = async block => {
+    const blockSources = sources.slice(...block.sources);
+    const blockDestinations = destinations.slice(...block.destinations);
+    const coordinates = [...blockSources, ...blockDestinations];
+
+    const url = `${MAPBOX_API}/directions-matrix/v1/mapbox/${profile}/${coordinates.map(coord => coord.join(',')).join(';')}`;
+    const params = new URLSearchParams({
+      access_token: env.MAPBOX_TOKEN,
+      annotations: annotations.join(','),
+      sources: blockSources.map((coord, index) => index).join(';'),
+      destinations: blockDestinations.map((coord, index) => blockSources.length + index).join(';')
+    });
+
+    const response = await fetchJson(`${url}?${params}`);
+    if (!response.ok || annotations.some(annotation => !Array.isArray(response.data[`${annotation}s`]))) {
+      console.error('Mapbox Matrix API error:', response.status, response.data);
+      return {
+        error: result(response.ok ? 502 : response.status, {
+          error: 'Mapbox Matrix API error',
+          message: response.data.message,
+          details: response.data
+        })
+      };
+    }
+
+    // Copy the block into its place in the full matrix
+    annotations.forEach(annotation => {
+      response.data[`${annotation}s`].forEach((row, rowIndex) => {
+        row.forEach((value, columnIndex) => {
+          matrices[`${annotation}s`][block.sources[0] + rowIndex][block.destinations[0] + columnIndex] = value;
+        });
+      });
+    });
+    return {};
+  };
+
+  try {
+    for (let index = 0; index < blocks.length; index += MATRIX_CONCURRENCY) {
+      const outcomes = await Promise.all(blocks.slice(index, index + MATRIX_CONCURRENCY).map(fetchBlock));
+      const failed = outcomes.find(outcome => outcome.error);
+      if (failed) {
+        return failed;
+      }
+    }
+  } catch (error) {
+    return { error: upstreamErrorResult(error, 'Mapbox Matrix API') };
+  }
+
+  return { ...matrices, requests: blocks.length };
+}
+
+/**
+ * Check a list of coordinates for the matrix endpoint
+ * @param {*} coordinates - The value to check
+ * @param {string} name - The field name for the error message
+ * @returns {{status: number, body: Object}|null} - An error result, or null when the list is valid
+ */
+function validateMatrixCoordinates(coordinates, name) {
+  if (!Array.isArray(coordinates) || coordinates.length === 0 || !coordinates.every(isValidCoordinate)) {
+    return result(400, { error: `Invalid ${name}. Provide a non-empty array of [lng, lat] coordinates.` });
+  }
+  if (coordinates.length > MAX_MATRIX_SIDE) {
+    return result(400, { error: `Too many ${name}. At most ${MAX_MATRIX_SIDE} are supported.` });
+  }
+  return null;
+}
+
+/**
+ * Request travel times and distances from every source to every destination
+ * @param {Object} body - { sources, destinations?, profile?, annotations? }; without
+ *   destinations the matrix is between every pair of sources
+ * @param {Object} env - Environment holding MAPBOX_TOKEN
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function handleMatrix(body, env) {
+  const { sources } = body || {};
+  const destinations = body && body.destinations !== undefined ? body.destinations : sources;
+
+  const invalid = validateMatrixCoordinates(sources, 'sources') || validateMatrixCoordinates(destinations, 'destinations');
+  if (invalid) {
+    return invalid;
+  }
+
+  const profile = normalizeProfile(body.profile);
+  if (!profile) {
+    return result(400, { error: `Unsupported transport mode: ${body.profile}` });
+  }
+
+  const annotations = body.annotations === undefined ? MATRIX_ANNOTATIONS : body.annotations;
+  if (!Array.isArray(annotations) || annotations.length === 0 ||
+      !annotations.every(annotation => MATRIX_ANNOTATIONS.includes(annotation))) {
+    return result(400, { error: `annotations must list one or both of: ${MATRIX_ANNOTATIONS.join(', ')}` });
+  }
+
+  const requests = planMatrixBlocks(sources.length, destinations.length, getMatrixCoordinateLimit(profile)).length;
+  if (requests > MAX_MATRIX_REQUESTS) {
+    return result(400, {
+      error: 'Matrix too large',
+      message: `${sources.length} sources by ${destinations.length} destinations needs ${requests} ${profile} requests; at most ${MAX_MATRIX_REQUESTS} are allowed.`
+    });
+  }
+
+  console.log(`Matrix request: ${sources.length} x ${destinations.length} ${profile} in ${requests} request(s)`);
+
+  const matrix = await fetchMatrix(sources, destinations, profile, [...new Set(annotations)], env);
+  if (matrix.error) {
+    return matrix.error;
+  }
+
+  return result(200, { ...matrix, profile });
+}
+
+/**
+ * Suggest the fastest order to visit a set of stops
+ * The first coordinate stays the start; see lib/route-optimizer.js for the search
+ * @param {Object} body - { coordinates, profile?, roundTrip?, fixedEnd? }
+ * @param {Object} env - Environment holding MAPBOX_TOKEN
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function handleOptimizeRoute(body, env) {
+  const { coordinates } = body || {};
+  const roundTrip = Boolean(body && body.roundTrip);
+  const fixedEnd = Boolean(body && body.fixedEnd) && !roundTrip;
+
+  if (!Array.isArray(coordinates) || coordinates.length < 2 || !coordinates.every(isValidCoordinate)) {
+    return result(400, { error: 'Invalid coordinates. At least 2 coordinates are required.' });
+  }
+
+  const profile = normalizeProfile(body.profile);
+  if (!profile) {
+    return result(400, { error: `Unsupported transport mode: ${body.profile}` });
+  }
+
+  // The optimised order is routed in one directions request
+  if (coordinates.length > MAX_DIRECTIONS_COORDINATES) {
+    return result(400, { error: `Too many stops to optimise. At most ${MAX_DIRECTIONS_COORDINATES} are supported.` });
+  }
+
+  console.log(`Optimising the order of ${coordinates.length} stops for ${profile}`, { roundTrip, fixedEnd });
+
+  const matrix = await fetchMatrix(coordinates, coordinates, profile, ['duration'], env);
+  if (matrix.error) {
+    return matrix.error;
+  }
+
+  // A null duration means Mapbox found no route between that pair of stops
+  if (matrix.durations.some(row => row.some(duration => duration === null))) {
+    return result(404, {
+      error: 'Some stops cannot be reached from each other',
+      message: `No ${profile} route connects every pair of stops, so their order cannot be optimised.`
+    });
+  }
+
+  const { order, duration, originalDuration } = optimizeStopOrder(matrix.durations, { roundTrip, fixedEnd });
+  console.log('Optimised stop order:', order, `saves ${Math.round(originalDuration - duration)}s`);
+
+  return result(200, {
+    order,
+    profile,
+    roundTrip,
+    fixedEnd,
+    duration: {
+      original: originalDuration,
+      optimized: duration,
+      saved: originalDuration - duration
+    }
+  });
+}
+
+/**
+ * Request the areas reachable from a point within one or more times or distances
+ * @param {Object} body - { coordinates, profile?, minutes?, meters? }
+ * @param {Object} env - Environment holding MAPBOX_TOKEN
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function handleIsochrone(body, env) {
+  const { coordinates, minutes, meters } = body || {};
+
+  if (!isValidCoordinate(coordinates)) {
+    return result(400, { error: 'Invalid coordinates. A [lng, lat] origin is required.' });
+  }
+
+  const profile = normalizeProfile(body.profile);
+  if (!profile) {
+    return result(400, { error: `Unsupported transport mode: ${body.profile}` });
+  }
+
+  if ((minutes === undefined) === (meters === undefined)) {
+    return result(400, { error: 'Provide either minutes or meters for the contours' });
+  }
+
+  const metric = minutes !== undefined ? 'minutes' : 'meters';
+  const values = metric === 'minutes' ? minutes : meters;
+  const maximum = metric === 'minutes' ? MAX_ISOCHRONE_MINUTES : MAX_ISOCHRONE_METERS;
+
+  if (!Array.isArray(values) || values.length === 0 || values.length > MAX_ISOCHRONE_CONTOURS ||
+      !values.every(value => Number.isInteger(value) && value > 0 && value <= maximum)) {
+    return result(400, {
+      error: 'Invalid contours',
+      message: `Give 1 to ${MAX_ISOCHRONE_CONTOURS} whole numbers of ${metric} between 1 and ${maximum}`
+    });
+  }
+
+  // Mapbox wants the contours in increasing order
+  const contours = [...new Set(values)].sort((a, b) => a - b);
+  console.log(`Isochrone request: ${contours.join(', ')} ${metric} by ${profile} from`, coordinates);
+
+  const params = new URLSearchParams({
+    access_token: env.MAPBOX_TOKEN,
+    [`contours_${metric}`]: contours.join(','),
+    contours_colors: ISOCHRONE_COLORS.slice(0, contours.length).join(','),
+    polygons: 'true'
+  });
+
+  let response;
+  try {
+    response = await fetchJson(`${MAPBOX_API}/isochrone/v1/mapbox/${profile}/${coordinates.join(',')}?${params}`);
+  } catch (error) {
+    return upstreamErrorResult(error, 'Mapbox Isochrone API');
+  }
+
+  if (!response.ok || !Array.isArray(response.data.features)) {
+    console.error('Mapbox Isochrone API error:', response.status, response.data);
+    return result(response.ok ? 502 : response.status, {
+      error: 'Mapbox Isochrone API error',
+      message: response.data.message,
+      details: response.data
+    });
+  }
+
+  return result(200, {
+    type: 'FeatureCollection',
+    features: response.data.features.map(feature => ({
+      type: 'Feature',
+      geometry: feature.geometry,
+      properties: {
+        contour: feature.properties.contour,
+        metric,
+        color: feature.properties.color || `#${ISOCHRONE_COLORS[contours.indexOf(feature.properties.contour)] || ISOCHRONE_COLORS[0]}`
+      }
+    })),
+    profile,
+    contours: { metric, values: contours }
+  });
+}
+
+/**
+ * Build the URL of a terrain-RGB tile
+ * TERRAIN_TILES_URL points at a local DEM stand-in, e.g. http://localhost:8080/{z}/{x}/{y}.png,
+ * rendered in the terrain-RGB encoding; without it Mapbox's tiles are used
+ * @param {Object} env - Environment holding MAPBOX_TOKEN and optionally TERRAIN_TILES_URL
+ * @param {{z: number, x: number, y: number}} tile - The tile
+ * @returns {string}
+ */
+function getTerrainTileUrl(env, { z, x, y }) {
+  if (env.TERRAIN_TILES_URL) {
+    return env.TERRAIN_TILES_URL.replace('{z}', z).replace('{x}', x).replace('{y}', y);
+  }
+  return `${MAPBOX_API}/v4/mapbox.terrain-rgb/${z}/${x}/${y}.pngraw?access_token=${env.MAPBOX_TOKEN}`;
+}
+
+/**
+ * Fetch and decode one terrain-RGB tile, giving up after a timeout
+ * @param {string} url - The tile URL
+ * @returns {Promise<Object>} - The decoded tile from decodePng
+ */
+async function fetchTerrainTile(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), MAPBOX_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    if (!response.ok) {
+      const error = new Error(`Terrain tile request failed with status ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return await decodePng(await response.arrayBuffer());
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Sample the ground height along a line and summarise the climb
+ * @param {Object} body - { coordinates }
+ * @param {Object} env - Environment holding MAPBOX_TOKEN and optionally TERRAIN_TILES_URL
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function handleElevation(body, env) {
+  const { coordinates } = body || {};
+
+  if (!Array.isArray(coordinates) || coordinates.length < 2 || !coordinates.every(isValidCoordinate)) {
+    return result(400, { error: 'Invalid coordinates. At least two [lng, lat] pairs are required.' });
+  }
+
+  if (coordinates.length > MAX_ELEVATION_COORDINATES) {
+    return result(400, {
+      error: 'Too many coordinates',
+      message: `A line can have at most ${MAX_ELEVATION_COORDINATES} points`
+    });
+  }
+
+  const samples = resampleLine(coordinates);
+  const zoom = chooseTerrainZoom(samples);
+  const source = env.TERRAIN_TILES_URL ? 'local' : 'mapbox';
+
+  // Group the samples by the tile that covers them
+  const tiles = new Map();
+  samples.forEach(sample => {
+    const pixel = getTilePixel(sample.coordinates, zoom);
+    const key = `${pixel.x}/${pixel.y}`;
+    if (!tiles.has(key)) {
+      tiles.set(key, { z: zoom, x: pixel.x, y: pixel.y, samples: [] });
+    }
+    tiles.get(key).samples.push({ sample, pixel });
+  });
+
+  console.log(`Elevation request: ${samples.length} samples from ${tiles.size} ${source} terrain tiles at zoom ${zoom}`);
+
+  const elevations = new Map();
+  const tileList = [...tiles.values()];
+
+  try {
+    for (let index = 0; index < tileList.length; index += TERRAIN_CONCURRENCY) {
+      await Promise.all(tileList.slice(index, index + TERRAIN_CONCURRENCY).map(async tile => {
+        const decoded = await fetchTerrainTile(getTerrainTileUrl(env, tile));
+
+        // Tiles may be 256 or 512 pixels wide, so find each pixel again at the real size
+        tile.samples.forEach(({ sample }) => {
+          const { px, py } = getTilePixel(sample.coordinates, zoom, decoded.width);
+          elevations.set(sample, getTerrainHeight(decoded, px, py));
+        });
+      }));
+    }
+  } catch (error) {
+    if (error.status) {
+      console.error('Terrain tile error:', error.message);
+      return result(error.status === 404 ? 404 : 502, { error: 'Terrain tiles unavailable', message: error.message });
+    }
+    return upstreamErrorResult(error, source === 'local' ? 'the local terrain tiles' : 'Mapbox terrain tiles');
+  }
+
+  const profile = samples.map(sample => ({
+    distance: Math.round(sample.distance * 10) / 10,
+    elevation: elevations.get(sample),
+    coordinates: sample.coordinates.map(value => Math.round(value * 1e6) / 1e6)
+  }));
+
+  return result(200, {
+    samples: profile,
+    summary: summarizeElevation(profile),
+    zoom,
+    source
+  });
+}
+
+/**
+ * Proxy a request to the Gemini API
+ * @param {Object} body - { prompt, functionDeclarations? } or a raw Gemini request with `contents`
+ * @param {Object} env - Environment holding GEMINI_API_KEY
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function handleGemini(body, env) {
+  if (!env.GEMINI_API_KEY) {
+    return result(500, { error: 'Gemini API key not configured' });
+  }
+
+  const { prompt, functionDeclarations, contents } = body || {};
+
+  if (!contents && (!prompt || typeof prompt !== 'string')) {
+    return result(400, { error: 'A prompt or contents is required' });
+  }
+
+  // Raw Gemini requests are forwarded as-is, prompts are wrapped into one
+  const data = contents ? body : {
+    contents: [
+      {
+        parts: [
+          {
+            text: prompt
+          }
+        ]
+      }
+    ]
+  };
+
+  // Add function declarations if provided
+  if (!contents && functionDeclarations) {
+    data.tools = [{
+      functionDeclarations
+    }];
+  }
+
+  console.log('Sending request to Gemini API...');
+
+  let response;
+  try {
+    response = await fetchJson(`${GEMINI_URL}?key=${env.GEMINI_API_KEY}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(data)
+    }, GEMINI_TIMEOUT_MS);
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      console.error('Request to Gemini API timed out');
+      return result(504, {
+        error: 'Gemini API request timed out',
+        fallback: true,
+        message: 'Consider trying a simpler query or using the manual location entry'
+      });
+    }
+    return result(502, {
+      error: 'Failed to process Gemini request',
+      details: error.message,
+      fallback: true,
+      message: 'Try entering locations directly'
+    });
+  }
+
+  if (!response.ok) {
+    console.error('Gemini API error:', response.status, response.data);
+    return result(response.status, {
+      error: 'Failed to process Gemini request',
+      details: response.data,
+      fallback: true,
+      message: 'Try entering locations directly'
+    });
+  }
+
+  console.log('Received response from Gemini API');
+  return result(200, response.data);
+}
+
+/**
+ * Check a route state from the frontend permalink module
+ * @param {*} state - The state to check
+ * @returns {{status: number, body: Object}|null} - An error result, or null when the state is valid
+ */
+function validateRouteState(state) {
+  if (!state || typeof state !== 'object' || Array.isArray(state)) {
+    return result(400, { error: 'A state object is required' });
+  }
+
+  if (new TextEncoder().encode(JSON.stringify(state)).length > MAX_ROUTE_STATE_BYTES) {
+    return result(413, { error: `Route state must be smaller than ${MAX_ROUTE_STATE_BYTES / 1024} KB` });
+  }
+
+  const stops = state.stops;
+  if (!Array.isArray(stops) || stops.length < 2 || stops.length > MAX_DIRECTIONS_COORDINATES ||
+      !stops.every(stop => stop && isValidCoordinate(stop.coordinates))) {
+    return result(400, {
+      error: 'Invalid stops provided',
+      message: `A route needs between 2 and ${MAX_DIRECTIONS_COORDINATES} stops, each with [lng, lat] coordinates`
+    });
+  }
+
+  return null;
+}
+
+/**
+ * Store a route permalink state and return a short id for it
+ * @param {Object} body - { state } where state.stops is [{ coordinates: [lng, lat], ... }]
+ * @param {Object} env - The runtime environment (unused)
+ * @param {Object} store - A store from lib/store.js
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function handleCreateShortLink(body, env, store) {
+  const { state } = body || {};
+
+  const invalid = validateRouteState(state);
+  if (invalid) {
+    return invalid;
+  }
+
+  // The id is derived from the state, so sharing the same route twice gives the same link
+  const id = (await sha256(stableStringify(state))).slice(0, SHORT_LINK_ID_LENGTH);
+
+  try {
+    if (!(await store.get(`short-link:${id}`))) {
+      await store.put(`short-link:${id}`, { state, createdAt: new Date().toISOString() });
+      console.log('Created short link', id);
+    }
+  } catch (error) {
+    console.error('Error saving short link:', error.message);
+    return result(500, { error: 'Could not save short link', message: error.message });
+  }
+
+  return result(201, { id });
+}
+
+/**
+ * Look up the route permalink state behind a short id
+ * @param {string} id - The short link id
+ * @param {Object} env - The runtime environment (unused)
+ * @param {Object} store - A store from lib/store.js
+ * @returns {Promise<{status: number, body: Object, headers?: Object}>}
+ */
+async function handleGetShortLink(id, env, store) {
+  if (!SHORT_LINK_ID_PATTERN.test(String(id || ''))) {
+    return result(400, { error: 'Invalid short link id' });
+  }
+
+  let entry;
+  try {
+    entry = await store.get(`short-link:${id}`);
+  } catch (error) {
+    console.error('Error reading short link:', error.message);
+    return result(500, { error: 'Could not read short link', message: error.message });
+  }
+
+  if (!entry) {
+    return result(404, { error: 'Short link not found' });
+  }
+
+  // A short link always points at the same state, so browsers may keep it
+  return {
+    ...result(200, { id, state: entry.state, createdAt: entry.createdAt }),
+    headers: { 'Cache-Control': 'public, max-age=86400' }
+  };
+}
+
+/**
+ * Get the store key for a saved route
+ * @param {string} clientId - The browser's id
+ * @param {string} id - The saved route id
+ * @returns {string}
+ */
+function savedRouteKey(clientId, id) {
+  return `saved-route:${clientId}:${id}`;
+}
+
+/**
+ * Check the browser id sent with every saved-route request
+ * @param {string} clientId - The X-Client-Id header
+ * @returns {{status: number, body: Object}|null} - An error result, or null when it is valid
+ */
+function validateClientId(clientId) {
+  if (!CLIENT_ID_PATTERN.test(String(clientId || ''))) {
+    return result(400, { error: 'A valid X-Client-Id header is required' });
+  }
+  return null;
+}
+
+/**
+ * Check and tidy a saved route name
+ * @param {*} name - The name from the request
+ * @returns {string|null} - The trimmed name, or null when it is not a usable name
+ */
+function normalizeSavedRouteName(name) {
+  if (typeof name !== 'string') {
+    return null;
+  }
+  const trimmed = name.trim();
+  return trimmed.length > 0 && trimmed.length <= MAX_SAVED_ROUTE_NAME_LENGTH ? trimmed : null;
+}
+
+/**
+ * Get a browser's saved routes, newest first
+ * @param {Object} store - A store from lib/store.js
+ * @param {string} clientId - The browser's id
+ * @returns {Promise<Array<Object>>}
+ */
+async function listSavedRoutes(store, clientId) {
+  const entries = await store.list(savedRouteKey(clientId, ''));
+  return entries
+    .map(entry => entry.value)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * List saved routes
+ * @param {Object} query - { kind? } to list only recent searches or favourites
+ * @param {Object} env - The runtime environment (unused)
+ * @param {Object} context - { store, clientId }
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function handleListSavedRoutes(query, env, { store, clientId }) {
+  const invalid = validateClientId(clientId);
+  if (invalid) {
+    return invalid;
+  }
+
+  const kind = query && query.kind;
+  if (kind && !SAVED_ROUTE_KINDS.includes(kind)) {
+    return result(400, { error: `kind must be one of: ${SAVED_ROUTE_KINDS.join(', ')}` });
+  }
+
+  try {
+    const routes = await listSavedRoutes(store, clientId);
+    return result(200, { routes: kind ? routes.filter(route => route.kind === kind) : routes });
+  } catch (error) {
+    console.error('Error listing saved routes:', error.message);
+    return result(500, { error: 'Could not load saved routes', message: error.message });
+  }
+}
+
+/**
+ * Save a route as a recent search or a named favourite
+ * Saving the same recent search again moves it to the top instead of adding a copy,
+ * and only the newest MAX_RECENT_ROUTES recent searches are kept
+ * @param {Object} body - { kind, name?, state } where favourites need a name
+ * @param {Object} env - The runtime environment (unused)
+ * @param {Object} context - { store, clientId }
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function handleCreateSavedRoute(body, env, { store, clientId }) {
+  const invalid = validateClientId(clientId);
+  if (invalid) {
+    return invalid;
+  }
+
+  const { kind = 'recent', state } = body || {};
+  if (!SAVED_ROUTE_KINDS.includes(kind)) {
+    return result(400, { error: `kind must be one of: ${SAVED_ROUTE_KINDS.join(', ')}` });
+  }
+
+  const invalidState = validateRouteState(state);
+  if (invalidState) {
+    return invalidState;
+  }
+
+  const name = normalizeSavedRouteName(body.name);
+  if (kind === 'favourite' && !name) {
+    return result(400, { error: `Favourites need a name of 1 to ${MAX_SAVED_ROUTE_NAME_LENGTH} characters` });
+  }
+
+  // Recent searches are keyed by the route itself, ignoring the viewport, so repeats are merged
+  const { m, ...route } = state;
+  const id = kind === 'recent' ?
+    `recent-${(await sha256(stableStringify(route))).slice(0, SHORT_LINK_ID_LENGTH)}` :
+    crypto.randomUUID();
+
+  try {
+    const existing = await store.get(savedRouteKey(clientId, id));
+    const now = new Date().toISOString();
+    const saved = {
+      id,
+      kind,
+      name: name || (existing && existing.name) || null,
+      state,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    };
+    await store.put(savedRouteKey(clientId, id), saved);
+
+    if (kind === 'recent') {
+      const recent = (await listSavedRoutes(store, clientId)).filter(route => route.kind === 'recent');
+      await Promise.all(recent.slice(MAX_RECENT_ROUTES)
+        .map(route => store.delete(savedRouteKey(clientId, route.id))));
+    }
+
+    console.log(`Saved ${kind} route`, id);
+    return result(existing ? 200 : 201, { route: saved });
+  } catch (error) {
+    console.error('Error saving route:', error.message);
+    return result(500, { error: 'Could not save route', message: error.message });
+  }
+}
+
+/**
+ * Get one saved route
+ * @param {string} id - The saved route id
+ * @param {Object} env - The runtime environment (unused)
+ * @param {Object} context - { store, clientId }
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function handleGetSavedRoute(id, env, { store, clientId }) {
+  const invalid = validateClientId(clientId);
+  if (invalid) {
+    return invalid;
+  }
+  if (!SAVED_ROUTE_ID_PATTERN.test(String(id || ''))) {
+    return result(400, { error: 'Invalid saved route id' });
+  }
+
+  try {
+    const saved = await store.get(savedRouteKey(clientId, id));
+    return saved ? result(200, { route: saved }) : result(404, { error: 'Saved route not found' });
+  } catch (error) {
+    console.error('Error reading saved route:', error.message);
+    return result(500, { error: 'Could not load saved route', message: error.message });
+  }
+}
+
+/**
+ * Rename a saved route, turn a recent search into a favourite, or replace its state
+ * @param {string} id - The saved route id
+ * @param {Object} body - Any of { name, kind, state }
+ * @param {Object} env - The runtime environment (unused)
+ * @param {Object} context - { store, clientId }
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function handleUpdateSavedRoute(id, body, env, { store, clientId }) {
+  const invalid = validateClientId(clientId);
+  if (invalid) {
+    return invalid;
+  }
+  if (!SAVED_ROUTE_ID_PATTERN.test(String(id || ''))) {
+    return result(400, { error: 'Invalid saved route id' });
+  }
+
+  const changes = body || {};
+  if (changes.kind !== undefined && !SAVED_ROUTE_KINDS.includes(changes.kind)) {
+    return result(400, { error: `kind must be one of: ${SAVED_ROUTE_KINDS.join(', ')}` });
+  }
+  if (changes.state !== undefined) {
+    const invalidState = validateRouteState(changes.state);
+    if (invalidState) {
+      return invalidState;
+    }
+  }
+
+  const name = changes.name === undefined ? undefined : normalizeSavedRouteName(changes.name);
+  if (name === null) {
+    return result(400, { error: `Names must be 1 to ${MAX_SAVED_ROUTE_NAME_LENGTH} characters` });
+  }
+
+  try {
+    const existing = await store.get(savedRouteKey(clientId, id));
+    if (!existing) {
+      return result(404, { error: 'Saved route not found' });
+    }
+
+    const saved = {
+      ...existing,
+      ...(name !== undefined ? { name } : {}),
+      ...(changes.kind !== undefined ? { kind: changes.kind } : {}),
+      ...(changes.state !== undefined ? { state: changes.state } : {}),
+      updatedAt: new Date().toISOString()
+    };
+
+    if (saved.kind === 'favourite' && !saved.name) {
+      return result(400, { error: 'Favourites need a name' });
+    }
+
+    await store.put(savedRouteKey(clientId, id), saved);
+    return result(200, { route: saved });
+  } catch (error) {
+    console.error('Error updating saved route:', error.message);
+    return result(500, { error: 'Could not update saved route', message: error.message });
+  }
+}
+
+/**
+ * Delete a saved route
+ * @param {string} id - The saved route id
+ * @param {Object} env - The runtime environment (unused)
+ * @param {Object} context - { store, clientId }
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function handleDeleteSavedRoute(id, env, { store, clientId }) {
+  const invalid = validateClientId(clientId);
+  if (invalid) {
+    return invalid;
+  }
+  if (!SAVED_ROUTE_ID_PATTERN.test(String(id || ''))) {
+    return result(400, { error: 'Invalid saved route id' });
+  }
+
+  try {
+    if (!(await store.get(savedRouteKey(clientId, id)))) {
+      return result(404, { error: 'Saved route not found' });
+    }
+    await store.delete(savedRouteKey(clientId, id));
+    return result(200, { id, deleted: true });
+  } catch (error) {
+    console.error('Error deleting saved route:', error.message);
+    return result(500, { error: 'Could not delete saved route', message: error.message });
+  }
+}
+
+// Export the handlers and the helpers the adapters need
+export {
+  handleMapboxToken,
+  handleGeocoding,
+  handleReverseGeocoding,
+  handleDirections,
+  handleOptimizeRoute,
+  handleMatrix,
+  handleIsochrone,
+  handleElevation,
+  handleGemini,
+  handleCreateShortLink,
+  handleGetShortLink,
+  handleListSavedRoutes,
+  handleCreateSavedRoute,
+  handleGetSavedRoute,
+  handleUpdateSavedRoute,
+  handleDeleteSavedRoute,
+  isValidCoordinate,
+  normalizeProfile
+};
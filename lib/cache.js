@@ -0,0 +1,241 @@
+/**
+ * Pluggable response caching and request coalescing for the shared API handlers
+ *
+ * A cache is any object with:
+ *   get(key) -> Promise<{status, body} | undefined>
+ *   set(key, value, ttlSeconds) -> Promise<void>
+ *
+ * Three implementations are provided: an in-memory LRU for the Express server,
+ * Workers KV and the Workers Cache API for Cloudflare deployments.
+ */
+
+// Routing answers change with road works, and traffic-aware ones go stale within minutes
+const routingTtlSeconds = body => (body && body.profile === 'driving-traffic' ? 5 * 60 : 60 * 60);
+
+// Cache lifetime for each upstream. Place names and terrain rarely move; routing
+// answers (directions, matrices, isochrones, optimised orders) follow routingTtlSeconds
+const CACHE_POLICIES = {
+  geocoding: { namespace: 'geocoding', ttlSeconds: 7 * 24 * 60 * 60 },
+  reverseGeocoding: { namespace: 'reverse-geocoding', ttlSeconds: 7 * 24 * 60 * 60 },
+  directions: { namespace: 'directions', ttlSeconds: routingTtlSeconds },
+  matrix: { namespace: 'matrix', ttlSeconds: routingTtlSeconds },
+  isochrone: { namespace: 'isochrone', ttlSeconds: routingTtlSeconds },
+  optimization: { namespace: 'optimization', ttlSeconds: routingTtlSeconds },
+  elevation: { namespace: 'elevation', ttlSeconds: 7 * 24 * 60 * 60 },
+  gemini: { namespace: 'gemini', ttlSeconds: 24 * 60 * 60 }
+};
+
+// Workers KV rejects expirations shorter than a minute
+const KV_MIN_TTL_SECONDS = 60;
+
+// Base URL for Cache API keys; it is never fetched
+const CACHE_API_BASE_URL = 'https://route-visualization.cache';
+
+/**
+ * Serialise a value with object keys sorted, so equal requests produce equal keys
+ * @param {*} value - Any JSON value
+ * @returns {string}
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Hash a string with SHA-256 using Web Crypto (available in Node 18+ and Workers)
+ * @param {string} text - The text to hash
+ * @returns {Promise<string>} - Hex digest
+ */
+async function sha256(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Create an in-memory LRU cache with per-entry expiry
+ * @param {Object} options
+ * @param {number} [options.maxEntries=500] - Entries kept before the least recently used is evicted
+ * @returns {Object} - A cache
+ */
+function createMemoryCache({ maxEntries = 500 } = {}) {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) {
+        return undefined;
+      }
+
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+
+      // Re-insert to mark the entry as most recently used
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    async set(key, value, ttlSeconds) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    }
+  };
+}
+
+/**
+ * Create a cache backed by a Workers KV namespace
+ * @param {Object} namespace - The KV namespace binding
+ * @returns {Object} - A cache
+ */
+function createKvCache(namespace) {
+  return {
+    async get(key) {
+      return (await namespace.get(key, 'json')) || undefined;
+    },
+
+    async set(key, value, ttlSeconds) {
+      await namespace.put(key, JSON.stringify(value), {
+        expirationTtl: Math.max(KV_MIN_TTL_SECONDS, Math.ceil(ttlSeconds))
+      });
+    }
+  };
+}
+
+/**
+ * Create a cache backed by the Workers Cache API
+ * @param {Object} cacheStorage - Usually `caches.default`
+ * @returns {Object} - A cache
+ */
+function createCacheApiCache(cacheStorage) {
+  const toRequest = key => new Request(`${CACHE_API_BASE_URL}/${key}`);
+
+  return {
+    async get(key) {
+      const response = await cacheStorage.match(toRequest(key));
+      return response ? response.json() : undefined;
+    },
+
+    async set(key, value, ttlSeconds) {
+      await cacheStorage.put(toRequest(key), new Response(JSON.stringify(value), {
+        headers: {
+          'Content-Type': 'application/json',
+          'Cache-Control': `max-age=${Math.ceil(ttlSeconds)}`
+        }
+      }));
+    }
+  };
+}
+
+/**
+ * Pick the cache for a Cloudflare deployment: KV when a ROUTE_CACHE namespace
+ * is bound, otherwise the data centre's Cache API
+ * @param {Object} env - The Worker or Pages environment
+ * @returns {Object|null} - A cache, or null when neither is available
+ */
+function selectCloudflareCache(env) {
+  if (env && env.ROUTE_CACHE) {
+    return createKvCache(env.ROUTE_CACHE);
+  }
+  if (typeof caches !== 'undefined' && caches.default) {
+    return createCacheApiCache(caches.default);
+  }
+  return null;
+}
+
+/**
+ * Wrap a (body, env) handler with caching and request coalescing
+ * Only successful results are cached. Every result carries an X-Cache header:
+ * HIT, MISS, COALESCED (shared an identical in-flight request) or BYPASS
+ * @param {Function} handler - A handler from lib/api-handlers.js
+ * @param {Object} options
+ * @param {Object|Function} options.cache - A cache, or (env) => cache
+ * @param {Object} options.policy - An entry from CACHE_POLICIES
+ * @returns {Function} - A handler taking (body, env, context) where context may hold waitUntil
+ */
+function createCachedHandler(handler, { cache, policy }) {
+  const inFlight = new Map();
+  const withStatus = (result, status) => ({ ...result, headers: { ...(result.headers || {}), 'X-Cache': status } });
+
+  return async (body, env, context = {}) => {
+    const store = typeof cache === 'function' ? cache(env) : cache;
+    const ttlSeconds = typeof policy.ttlSeconds === 'function' ? policy.ttlSeconds(body) : policy.ttlSeconds;
+
+    if (!store || !(ttlSeconds > 0)) {
+      return withStatus(await handler(body, env), 'BYPASS');
+    }
+
+    const key = `${policy.namespace}:${await sha256(stableStringify(body))}`;
+
+    // Share the lookup with an identical request that is already under way
+    if (inFlight.has(key)) {
+      console.log(`Coalescing ${policy.namespace} request with one already in flight`);
+      const { result } = await inFlight.get(key);
+      return withStatus(result, 'COALESCED');
+    }
+
+    const pending = (async () => {
+      try {
+        const cached = await store.get(key);
+        if (cached) {
+          console.log(`Cache hit for ${policy.namespace} request`);
+          return { result: cached, status: 'HIT' };
+        }
+      } catch (error) {
+        console.error('Cache read failed:', error.message);
+      }
+
+      const result = await handler(body, env);
+
+      if (result.status === 200) {
+        const write = Promise.resolve()
+          .then(() => store.set(key, result, ttlSeconds))
+          .catch(error => console.error('Cache write failed:', error.message));
+
+        // Let the Worker finish the write after the response has been sent
+        if (context.waitUntil) {
+          context.waitUntil(write);
+        } else {
+          await write;
+        }
+      }
+
+      return { result, status: 'MISS' };
+    })();
+
+    inFlight.set(key, pending);
+
+    try {
+      const { result, status } = await pending;
+      return withStatus(result, status);
+    } finally {
+      inFlight.delete(key);
+    }
+  };
+}
+
+// Export the functions
+export {
+  CACHE_POLICIES,
+  createMemoryCache,
+  createKvCache,
+  createCacheApiCache,
+  selectCloudflareCache,
+  createCachedHandler,
+  stableStringify,
+  sha256
+};
@@ -0,0 +1,307 @@
+/**
+ * Elevation sampling along a route from terrain-RGB tiles
+ *
+ * Terrain-RGB tiles (Mapbox's mapbox.terrain-rgb, or any DEM rendered in the same
+ * encoding) store the height of each pixel in its colour:
+ *
+ *   height = -10000 + (R * 256 * 256 + G * 256 + B) * 0.1   metres
+ *
+ * The route is resampled at even spacing, each sample is looked up in the tile that
+ * covers it, and the profile is summarised as total ascent, descent and steepest grades.
+ * Everything here is plain computation apart from PNG inflation, which uses the
+ * DecompressionStream available in Node 18+ and in Workers.
+ */
+
+const EARTH_RADIUS_METERS = 6371008.8;
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+// Samples taken along one route, and the closest they are spaced
+const MAX_ELEVATION_SAMPLES = 300;
+const MIN_SAMPLE_SPACING_METERS = 10;
+
+// Terrain tiles fetched for one route; the zoom is lowered until the route fits
+const MAX_TERRAIN_ZOOM = 14;
+const MIN_TERRAIN_ZOOM = 8;
+const MAX_TERRAIN_TILES = 16;
+
+// Height changes smaller than this are treated as DEM noise when adding up the climb
+const ELEVATION_NOISE_METERS = 2;
+
+// Grades are measured over at least this distance, so single noisy pixels do not show as cliffs
+const GRADE_WINDOW_METERS = 100;
+
+/**
+ * Great-circle distance between two points
+ * @param {Array<number>} from - [lng, lat]
+ * @param {Array<number>} to - [lng, lat]
+ * @returns {number} - Metres
+ */
+function getDistance(from, to) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(to[1] - from[1]);
+  const dLng = toRadians(to[0] - from[0]);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from[1])) * Math.cos(toRadians(to[1])) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Pick evenly spaced points along a line, always including both ends
+ * @param {Array<Array<number>>} coordinates - The line as [lng, lat] pairs
+ * @param {number} maxSamples - The most points to return
+ * @returns {Array<{coordinates: Array<number>, distance: number}>} - distance is metres from the start
+ */
+function resampleLine(coordinates, maxSamples = MAX_ELEVATION_SAMPLES) {
+  const cumulative = [0];
+  for (let index = 1; index < coordinates.length; index++) {
+    cumulative.push(cumulative[index - 1] + getDistance(coordinates[index - 1], coordinates[index]));
+  }
+
+  const length = cumulative[cumulative.length - 1];
+  if (length === 0) {
+    return [{ coordinates: coordinates[0], distance: 0 }];
+  }
+
+  const spacing = Math.max(length / (maxSamples - 1), MIN_SAMPLE_SPACING_METERS);
+  const count = Math.min(maxSamples, Math.floor(length / spacing) + 1);
+  const samples = [];
+  let segment = 1;
+
+  for (let index = 0; index < count; index++) {
+    const distance = index * spacing;
+    while (segment < coordinates.length - 1 && cumulative[segment] < distance) {
+      segment++;
+    }
+
+    const start = cumulative[segment - 1];
+    const span = cumulative[segment] - start;
+    const t = span > 0 ? (distance - start) / span : 0;
+    const [fromLng, fromLat] = coordinates[segment - 1];
+    const [toLng, toLat] = coordinates[segment];
+    samples.push({
+      coordinates: [fromLng + (toLng - fromLng) * t, fromLat + (toLat - fromLat) * t],
+      distance
+    });
+  }
+
+  // End exactly at the last point, however the spacing worked out
+  if (samples[samples.length - 1].distance < length) {
+    samples.push({ coordinates: coordinates[coordinates.length - 1], distance: length });
+  }
+
+  return samples;
+}
+
+/**
+ * Find the web-mercator tile and pixel that cover a point
+ * @param {Array<number>} coordinates - [lng, lat]
+ * @param {number} zoom - The tile zoom
+ * @param {number} tileSize - Tile width in pixels
+ * @returns {{x: number, y: number, px: number, py: number}}
+ */
+function getTilePixel([lng, lat], zoom, tileSize = 256) {
+  const scale = 2 ** zoom;
+  const sinLat = Math.sin(Math.max(-85.05112878, Math.min(85.05112878, lat)) * Math.PI / 180);
+  const worldX = (lng + 180) / 360 * scale;
+  const worldY = (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI)) * scale;
+  const x = Math.min(scale - 1, Math.floor(worldX));
+  const y = Math.min(scale - 1, Math.floor(worldY));
+
+  return {
+    x,
+    y,
+    px: Math.min(tileSize - 1, Math.floor((worldX - x) * tileSize)),
+    py: Math.min(tileSize - 1, Math.floor((worldY - y) * tileSize))
+  };
+}
+
+/**
+ * Choose the most detailed zoom at which the samples need no more than maxTiles tiles
+ * @param {Array<Object>} samples - From resampleLine
+ * @param {number} maxTiles - The most tiles to fetch
+ * @returns {number}
+ */
+function chooseTerrainZoom(samples, maxTiles = MAX_TERRAIN_TILES) {
+  for (let zoom = MAX_TERRAIN_ZOOM; zoom > MIN_TERRAIN_ZOOM; zoom--) {
+    const tiles = new Set(samples.map(sample => {
+      const { x, y } = getTilePixel(sample.coordinates, zoom);
+      return `${x}/${y}`;
+    }));
+    if (tiles.size <= maxTiles) {
+      return zoom;
+    }
+  }
+  return MIN_TERRAIN_ZOOM;
+}
+
+/**
+ * Inflate zlib-compressed bytes
+ * @param {Uint8Array} bytes - The compressed data
+ * @returns {Promise<Uint8Array>}
+ */
+async function inflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Decode an 8-bit RGB or RGBA PNG, as terrain-RGB tiles are
+ * @param {ArrayBuffer|Uint8Array} buffer - The PNG file
+ * @returns {Promise<{width: number, height: number, channels: number, pixels: Uint8Array}>}
+ */
+async function decodePng(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  if (!PNG_SIGNATURE.every((value, index) => bytes[index] === value)) {
+    throw new Error('Terrain tile is not a PNG');
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let width = 0;
+  let height = 0;
+  let channels = 0;
+  const chunks = [];
+
+  for (let offset = 8; offset < bytes.length;) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const data = bytes.subarray(offset + 8, offset + 8 + length);
+
+    if (type === 'IHDR') {
+      width = view.getUint32(offset + 8);
+      height = view.getUint32(offset + 12);
+      const [bitDepth, colorType, , , interlace] = data.subarray(8, 13);
+      if (bitDepth !== 8 || (colorType !== 2 && colorType !== 6) || interlace !== 0) {
+        throw new Error('Terrain tile must be an 8-bit, non-interlaced RGB or RGBA PNG');
+      }
+      channels = colorType === 6 ? 4 : 3;
+    } else if (type === 'IDAT') {
+      chunks.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+
+    // Length, type, data and CRC
+    offset += 12 + length;
+  }
+
+  const compressed = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+  chunks.reduce((offset, chunk) => {
+    compressed.set(chunk, offset);
+    return offset + chunk.length;
+  }, 0);
+  const raw = await inflate(compressed);
+
+  // Undo the per-row filters
+  const stride = width * channels;
+  const pixels = new Uint8Array(stride * height);
+  for (let row = 0; row < height; row++) {
+    const filter = raw[row * (stride + 1)];
+    const line = raw.subarray(row * (stride + 1) + 1, (row + 1) * (stride + 1));
+    const out = row * stride;
+    const previous = row * stride - stride;
+
+    for (let index = 0; index < stride; index++) {
+      const left = index >= channels ? pixels[out + index - channels] : 0;
+      const up = row > 0 ? pixels[previous + index] : 0;
+      const upLeft = row > 0 && index >= channels ? pixels[previous + index - channels] : 0;
+      let value = line[index];
+
+      if (filter === 1) {
+        value += left;
+      } else if (filter === 2) {
+        value += up;
+      } else if (filter === 3) {
+        value += (left + up) >> 1;
+      } else if (filter === 4) {
+        const estimate = left + up - upLeft;
+        const distanceLeft = Math.abs(estimate - left);
+        const distanceUp = Math.abs(estimate - up);
+        const distanceUpLeft = Math.abs(estimate - upLeft);
+        value += distanceLeft <= distanceUp && distanceLeft <= distanceUpLeft ? left :
+          distanceUp <= distanceUpLeft ? up : upLeft;
+      }
+      pixels[out + index] = value & 0xff;
+    }
+  }
+
+  return { width, height, channels, pixels };
+}
+
+/**
+ * Read the height of one pixel of a decoded terrain-RGB tile
+ * @param {Object} tile - From decodePng
+ * @param {number} px - Pixel column
+ * @param {number} py - Pixel row
+ * @returns {number} - Metres, to the nearest decimetre
+ */
+function getTerrainHeight(tile, px, py) {
+  const offset = (py * tile.width + px) * tile.channels;
+  const [red, green, blue] = tile.pixels.subarray(offset, offset + 3);
+  return Math.round((-10000 + (red * 65536 + green * 256 + blue) * 0.1) * 10) / 10;
+}
+
+/**
+ * Add up the climb and find the steepest grades of a profile
+ * @param {Array<{distance: number, elevation: number}>} samples - In order along the route
+ * @returns {{ascent: number, descent: number, maxGrade: number, maxDescentGrade: number,
+ *   minElevation: number, maxElevation: number}} - Metres, and grades in percent
+ */
+function summarizeElevation(samples) {
+  let ascent = 0;
+  let descent = 0;
+  let reference = samples[0].elevation;
+
+  // Only count a change once it is bigger than the noise, then measure from there
+  samples.forEach(({ elevation }) => {
+    const change = elevation - reference;
+    if (Math.abs(change) >= ELEVATION_NOISE_METERS) {
+      if (change > 0) {
+        ascent += change;
+      } else {
+        descent -= change;
+      }
+      reference = elevation;
+    }
+  });
+
+  let maxGrade = 0;
+  let maxDescentGrade = 0;
+  let end = 0;
+  samples.forEach((start, index) => {
+    end = Math.max(end, index + 1);
+    while (end < samples.length && samples[end].distance - start.distance < GRADE_WINDOW_METERS) {
+      end++;
+    }
+    if (end >= samples.length) {
+      return;
+    }
+    const grade = (samples[end].elevation - start.elevation) / (samples[end].distance - start.distance) * 100;
+    maxGrade = Math.max(maxGrade, grade);
+    maxDescentGrade = Math.max(maxDescentGrade, -grade);
+  });
+
+  const elevations = samples.map(sample => sample.elevation);
+  const round = value => Math.round(value * 10) / 10;
+
+  return {
+    ascent: Math.round(ascent),
+    descent: Math.round(descent),
+    maxGrade: round(maxGrade),
+    maxDescentGrade: round(maxDescentGrade),
+    minElevation: round(Math.min(...elevations)),
+    maxElevation: round(Math.max(...elevations))
+  };
+}
+
+// Export the functions
+export {
+  MAX_ELEVATION_SAMPLES,
+  getDistance,
+  resampleLine,
+  getTilePixel,
+  chooseTerrainZoom,
+  decodePng,
+  getTerrainHeight,
+  summarizeElevation
+};
@@ -0,0 +1,107 @@
+/**
+ * Adapter between the shared API handlers and fetch-style runtimes
+ * (the Cloudflare Worker and Cloudflare Pages Functions)
+ */
+
+// CORS headers used by the Pages Functions, which share an origin with the frontend
+const PAGES_CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Expose-Headers': 'X-Cache',
+  'Access-Control-Max-Age': '86400'
+};
+
+/**
+ * Turn a handler result into a Response
+ * @param {{status: number, body: Object, headers?: Object}} result - The handler result
+ * @param {Object} headers - Extra headers, e.g. CORS headers
+ * @returns {Response}
+ */
+function toResponse(result, headers = {}) {
+  return new Response(JSON.stringify(result.body), {
+    status: result.status,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(result.headers || {}),
+      ...headers
+    }
+  });
+}
+
+/**
+ * Parse a JSON request body, resolving to null when it is missing or malformed
+ * @param {Request} request - The incoming request
+ * @returns {Promise<Object|null>}
+ */
+async function readJsonBody(request) {
+  try {
+    return await request.json();
+  } catch (error) {
+    console.error('Invalid JSON request body:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Collect the request details the token handler uses for its origin check
+ * @param {Request} request - The incoming request
+ * @returns {{origin: string|null, referer: string|null, requestOrigin: string}}
+ */
+function getRequestOrigins(request) {
+  return {
+    origin: request.headers.get('Origin'),
+    referer: request.headers.get('Referer'),
+    requestOrigin: new URL(request.url).origin
+  };
+}
+
+/**
+ * Run a body-taking handler against a fetch-style request
+ * @param {Function} handler - A handler from lib/api-handlers.js taking (body, env, context)
+ * @param {Request} request - The incoming request
+ * @param {Object} env - The runtime environment
+ * @param {Object} headers - Extra response headers
+ * @param {Object} context - The execution context, used for waitUntil
+ * @returns {Promise<Response>}
+ */
+async function runJsonHandler(handler, request, env, headers = {}, context = {}) {
+  const body = await readJsonBody(request);
+
+  if (body === null) {
+    return toResponse({ status: 400, body: { error: 'Request body must be valid JSON' } }, headers);
+  }
+
+  return toResponse(await handler(body, env, context), headers);
+}
+
+/**
+ * Create the onRequestPost export for a Pages Function
+ * @param {Function} handler - A handler from lib/api-handlers.js taking (body, env, context)
+ * @returns {Function}
+ */
+function createPagesPostHandler(handler) {
+  return context => runJsonHandler(handler, context.request, context.env, PAGES_CORS_HEADERS, context);
+}
+
+/**
+ * Handle CORS preflight requests for a Pages Function
+ * @returns {Response}
+ */
+function handlePagesOptions() {
+  return new Response(null, {
+    status: 204,
+    headers: PAGES_CORS_HEADERS
+  });
+}
+
+// Export the functions
+export {
+  PAGES_CORS_HEADERS,
+  toResponse,
+  readJsonBody,
+  getRequestOrigins,
+  runJsonHandler,
+  createPagesPostHandler,
+  handlePagesOptions
+};
@@ -0,0 +1,80 @@
+/**
+ * A store (see lib/store.js) kept in a JSON file, for the Express server
+ * Node only: the Worker and Pages Functions use Workers KV instead
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * Create a store that keeps every entry in one JSON file
+ * The file is read once and rewritten after each change; writes are queued so
+ * concurrent requests cannot interleave, and go through a temporary file so a
+ * crash never leaves half a file behind
+ * @param {string} filePath - Where to keep the data
+ * @returns {Object} - A store
+ */
+function createFileStore(filePath) {
+  let entries = null;
+  let loading = null;
+  let writeQueue = Promise.resolve();
+
+  // Requests that arrive before the first read finishes share it
+  const load = () => {
+    if (!loading) {
+      loading = fs.readFile(filePath, 'utf8')
+        .then(text => new Map(Object.entries(JSON.parse(text))))
+        .catch(error => {
+          if (error.code !== 'ENOENT') {
+            console.error(`Could not read ${filePath}, starting empty:`, error.message);
+          }
+          return new Map();
+        })
+        .then(loaded => {
+          entries = loaded;
+          return entries;
+        });
+    }
+    return loading;
+  };
+
+  const save = () => {
+    writeQueue = writeQueue
+      .then(async () => {
+        const temporaryPath = `${filePath}.tmp`;
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(temporaryPath, JSON.stringify(Object.fromEntries(entries), null, 2));
+        await fs.rename(temporaryPath, filePath);
+      })
+      .catch(error => console.error(`Could not write ${filePath}:`, error.message));
+    return writeQueue;
+  };
+
+  return {
+    async get(key) {
+      return (await load()).get(key);
+    },
+
+    async put(key, value) {
+      (await load()).set(key, value);
+      await save();
+    },
+
+    async delete(key) {
+      if ((await load()).delete(key)) {
+        await save();
+      }
+    },
+
+    async list(prefix = '') {
+      return [...(await load())]
+        .filter(([key]) => key.startsWith(prefix))
+        .map(([key, value]) => ({ key, value }));
+    }
+  };
+}
+
+// Export the functions
+export {
+  createFileStore
+};
@@ -0,0 +1,23 @@
+/**
+ * The files in the repository root that make up the frontend: the page, its modules and the charger data
+ * The Express server serves only these, and scripts/build-pages.js copies them into public/ for Cloudflare Pages
+ */
+
+// Top-level scripts that run on the server and must never reach the browser
+const SERVER_FILES = new Set(['server.js', 'worker.js', 'config-template.js']);
+
+const FRONTEND_FILE_PATTERN = /^[\w-]+\.(?:html|js|geojson)$/;
+
+/**
+ * Check whether a file in the repository root belongs to the frontend
+ * @param {string} name - The file name, without a directory
+ * @returns {boolean}
+ */
+function isFrontendFile(name) {
+  return FRONTEND_FILE_PATTERN.test(name) && !SERVER_FILES.has(name);
+}
+
+// Export the functions
+export {
+  isFrontendFile
+};
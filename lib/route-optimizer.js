@@ -0,0 +1,156 @@
+/**
+ * Stop-order optimisation for routes through many stops
+ *
+ * Works on a duration matrix (durations[from][to] in seconds, as returned by the
+ * Mapbox Matrix API) and finds a short visiting order with local search: a
+ * nearest-neighbour tour improved by 2-opt and or-opt moves. The first stop is
+ * always kept first; the last can be kept last, or the tour can return to the start.
+ * Durations may be asymmetric, so every move is scored on the whole tour.
+ */
+
+// Local search stops after this many passes even if it is still improving
+const MAX_IMPROVEMENT_PASSES = 50;
+
+// Longest run of consecutive stops an or-opt move relocates
+const MAX_OR_OPT_SEGMENT = 3;
+
+/**
+ * Total travel time of a visiting order
+ * @param {number[]} order - Stop indices in visiting order
+ * @param {number[][]} durations - The duration matrix
+ * @param {boolean} roundTrip - Whether the tour returns to its first stop
+ * @returns {number} - Seconds
+ */
+function getTourDuration(order, durations, roundTrip = false) {
+  let total = 0;
+  for (let index = 1; index < order.length; index++) {
+    total += durations[order[index - 1]][order[index]];
+  }
+  if (roundTrip && order.length > 1) {
+    total += durations[order[order.length - 1]][order[0]];
+  }
+  return total;
+}
+
+/**
+ * Build a tour by always travelling to the closest unvisited stop
+ * @param {number[][]} durations - The duration matrix
+ * @param {boolean} fixedEnd - Whether the last stop must stay last
+ * @returns {number[]}
+ */
+function getNearestNeighbourOrder(durations, fixedEnd) {
+  const count = durations.length;
+  const last = count - 1;
+  const remaining = new Set([...Array(count).keys()].filter(index => index !== 0 && !(fixedEnd && index === last)));
+  const order = [0];
+
+  while (remaining.size > 0) {
+    const current = order[order.length - 1];
+    let closest = null;
+    remaining.forEach(candidate => {
+      if (closest === null || durations[current][candidate] < durations[current][closest]) {
+        closest = candidate;
+      }
+    });
+    order.push(closest);
+    remaining.delete(closest);
+  }
+
+  if (fixedEnd && count > 1) {
+    order.push(last);
+  }
+  return order;
+}
+
+/**
+ * Improve a tour with 2-opt (reverse a run of stops) and or-opt (move a short run
+ * elsewhere) until neither finds a shorter tour
+ * @param {number[]} order - The starting tour
+ * @param {number[][]} durations - The duration matrix
+ * @param {Object} options - { roundTrip, fixedEnd }
+ * @returns {number[]} - The improved tour
+ */
+function improveOrder(order, durations, { roundTrip, fixedEnd }) {
+  // Positions that may change: never the start, and not the end when it is fixed
+  const first = 1;
+  const last = fixedEnd && !roundTrip ? order.length - 2 : order.length - 1;
+
+  let best = [...order];
+  let bestDuration = getTourDuration(best, durations, roundTrip);
+
+  for (let pass = 0; pass < MAX_IMPROVEMENT_PASSES; pass++) {
+    let improved = false;
+
+    // 2-opt: reverse the stops between i and j
+    for (let i = first; i < last; i++) {
+      for (let j = i + 1; j <= last; j++) {
+        const candidate = [...best.slice(0, i), ...best.slice(i, j + 1).reverse(), ...best.slice(j + 1)];
+        const duration = getTourDuration(candidate, durations, roundTrip);
+        if (duration < bestDuration) {
+          best = candidate;
+          bestDuration = duration;
+          improved = true;
+        }
+      }
+    }
+
+    // Or-opt: move a run of up to MAX_OR_OPT_SEGMENT stops to another position
+    for (let length = 1; length <= MAX_OR_OPT_SEGMENT; length++) {
+      for (let i = first; i + length - 1 <= last; i++) {
+        const segment = best.slice(i, i + length);
+        const rest = [...best.slice(0, i), ...best.slice(i + length)];
+        for (let position = first; position <= last - length + 1; position++) {
+          if (position === i) {
+            continue;
+          }
+          const candidate = [...rest.slice(0, position), ...segment, ...rest.slice(position)];
+          const duration = getTourDuration(candidate, durations, roundTrip);
+          if (duration < bestDuration) {
+            best = candidate;
+            bestDuration = duration;
+            improved = true;
+            break;
+          }
+        }
+      }
+    }
+
+    if (!improved) {
+      break;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Find a short order to visit every stop in
+ * Both the nearest-neighbour tour and the given order are improved, so the result
+ * is never slower than visiting the stops as listed
+ * @param {number[][]} durations - Square duration matrix, finite and non-negative
+ * @param {Object} options - { roundTrip?, fixedEnd? }; fixedEnd is ignored for round trips
+ * @returns {{order: number[], duration: number, originalDuration: number}}
+ */
+function optimizeStopOrder(durations, { roundTrip = false, fixedEnd = false } = {}) {
+  const options = { roundTrip, fixedEnd: fixedEnd && !roundTrip };
+  const typedOrder = [...durations.keys()];
+  const originalDuration = getTourDuration(typedOrder, durations, roundTrip);
+
+  // Nothing can move with two stops, or three with a fixed end
+  if (durations.length <= (options.fixedEnd ? 3 : 2)) {
+    return { order: typedOrder, duration: originalDuration, originalDuration };
+  }
+
+  const candidates = [getNearestNeighbourOrder(durations, options.fixedEnd), typedOrder]
+    .map(order => improveOrder(order, durations, options))
+    .map(order => ({ order, duration: getTourDuration(order, durations, roundTrip) }))
+    .sort((a, b) => a.duration - b.duration);
+
+  return { ...candidates[0], originalDuration };
+}
+
+// Export the functions
+export {
+  getTourDuration,
+  optimizeStopOrder
+};
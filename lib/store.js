@@ -0,0 +1,108 @@
+/**
+ * Persistent key-value stores for data users create, such as short links and saved routes
+ *
+ * A store is any object with:
+ *   get(key) -> Promise<Object | undefined>
+ *   put(key, value) -> Promise<void>
+ *   delete(key) -> Promise<void>
+ *   list(prefix) -> Promise<Array<{key, value}>>
+ *
+ * Unlike the caches in lib/cache.js, entries never expire. The Express server
+ * uses the JSON file store in lib/file-store.js; Cloudflare deployments use
+ * Workers KV, falling back to memory when no namespace is bound.
+ */
+
+/**
+ * Create a store held in memory, lost when the process or isolate restarts
+ * @returns {Object} - A store
+ */
+function createMemoryStore() {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      return entries.get(key);
+    },
+
+    async put(key, value) {
+      entries.set(key, value);
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    async list(prefix = '') {
+      return [...entries]
+        .filter(([key]) => key.startsWith(prefix))
+        .map(([key, value]) => ({ key, value }));
+    }
+  };
+}
+
+/**
+ * Create a store backed by a Workers KV namespace
+ * @param {Object} namespace - The KV namespace binding
+ * @returns {Object} - A store
+ */
+function createKvStore(namespace) {
+  return {
+    async get(key) {
+      return (await namespace.get(key, 'json')) || undefined;
+    },
+
+    async put(key, value) {
+      await namespace.put(key, JSON.stringify(value));
+    },
+
+    async delete(key) {
+      await namespace.delete(key);
+    },
+
+    async list(prefix = '') {
+      const keys = [];
+      let cursor;
+
+      // KV returns at most 1000 keys per call
+      do {
+        const page = await namespace.list({ prefix, cursor });
+        keys.push(...page.keys.map(entry => entry.name));
+        cursor = page.list_complete ? undefined : page.cursor;
+      } while (cursor);
+
+      const values = await Promise.all(keys.map(key => namespace.get(key, 'json')));
+      return keys
+        .map((key, index) => ({ key, value: values[index] }))
+        .filter(entry => entry.value);
+    }
+  };
+}
+
+// Memory fallbacks for isolates without a KV binding, one per binding name
+const memoryStores = new Map();
+
+/**
+ * Pick the store for a Cloudflare deployment: the named KV namespace when it is
+ * bound, otherwise an in-memory store that only lives as long as the isolate
+ * @param {Object} env - The Worker or Pages environment
+ * @param {string} binding - The KV binding name, e.g. 'SHORT_LINKS'
+ * @returns {Object} - A store
+ */
+function selectCloudflareStore(env, binding) {
+  if (env && env[binding]) {
+    return createKvStore(env[binding]);
+  }
+
+  if (!memoryStores.has(binding)) {
+    console.warn(`No ${binding} KV namespace is bound; data will be lost when the Worker restarts`);
+    memoryStores.set(binding, createMemoryStore());
+  }
+  return memoryStores.get(binding);
+}
+
+// Export the functions
+export {
+  createMemoryStore,
+  createKvStore,
+  selectCloudflareStore
+};
@@ -0,0 +1,75 @@
+// Menu shown where the map is clicked, and the "what's here" details for a point
+import { formatCoordinates } from './geocoding.js';
+
+/**
+ * Show a menu of actions at a point on the map, replacing any menu already open
+ * @param {Object} map - The Mapbox GL map
+ * @param {Array<number>} coordinates - [lng, lat] that was clicked
+ * @param {Array<{label: string, onSelect: Function}>} items - The actions; each is called with the coordinates
+ * @returns {Object} - The Mapbox popup holding the menu
+ */
+function showMapMenu(map, coordinates, items) {
+  const menu = document.createElement('div');
+  menu.className = 'map-menu';
+
+  const popup = new mapboxgl.Popup({ closeButton: false, className: 'map-menu-popup' });
+
+  items.forEach(item => {
+    const button = document.createElement('button');
+    button.textContent = item.label;
+    button.addEventListener('click', () => {
+      popup.remove();
+      item.onSelect(coordinates);
+    });
+    menu.appendChild(button);
+  });
+
+  return popup
+    .setLngLat(coordinates)
+    .setDOMContent(menu)
+    .addTo(map);
+}
+
+/**
+ * Show the places found at a point in a popup
+ * @param {Object} map - The Mapbox GL map
+ * @param {Array<number>} coordinates - [lng, lat] that was looked up
+ * @param {Array<Object>} places - Reverse geocoding candidates, the most specific first
+ * @returns {Object} - The Mapbox popup
+ */
+function showPlaceDetails(map, coordinates, places) {
+  const content = document.createElement('div');
+  content.className = 'waypoint-popup';
+
+  const title = document.createElement('strong');
+  title.textContent = places.length > 0 ? places[0].placeName : 'Nothing found here';
+  content.appendChild(title);
+
+  // The wider areas the point is in, e.g. the neighbourhood, town and region
+  if (places.length > 1) {
+    const list = document.createElement('ul');
+    list.className = 'map-menu-places';
+    places.slice(1).forEach(place => {
+      const item = document.createElement('li');
+      item.textContent = `${place.name} (${place.placeType})`;
+      list.appendChild(item);
+    });
+    content.appendChild(list);
+  }
+
+  const point = document.createElement('div');
+  point.className = 'waypoint-coordinates';
+  point.textContent = formatCoordinates(coordinates);
+  content.appendChild(point);
+
+  return new mapboxgl.Popup()
+    .setLngLat(coordinates)
+    .setDOMContent(content)
+    .addTo(map);
+}
+
+// Export the functions
+export {
+  showMapMenu,
+  showPlaceDetails
+};
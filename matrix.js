@@ -0,0 +1,154 @@
+// Distance matrix: travel times and distances from each of several places to each of several others
+import { formatDistance, formatDuration } from './formatting.js';
+import { escapeCsv, downloadFile } from './export.js';
+
+/**
+ * Fetch the travel time and distance matrix between geocoded places
+ * @param {Array<Object>} origins - Geocoded stops to measure from
+ * @param {Array<Object>} destinations - Geocoded stops to measure to
+ * @param {string} profile - The transport mode
+ * @returns {Promise<Object>} - { origins, destinations, profile, durations, distances }
+ */
+async function requestMatrix(origins, destinations, profile) {
+  const response = await fetch('/api/mapbox-matrix', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      sources: origins.map(stop => stop.coordinates),
+      destinations: destinations.map(stop => stop.coordinates),
+      profile
+    })
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.message || errorData.error || 'Could not get the distance matrix');
+  }
+
+  const data = await response.json();
+  console.log(`Matrix of ${origins.length} x ${destinations.length} places in ${data.requests} request(s)`);
+
+  return {
+    origins,
+    destinations,
+    profile: data.profile,
+    durations: data.durations,
+    distances: data.distances
+  };
+}
+
+/**
+ * Get the label shown for a place in the matrix
+ * @param {Object} stop - A geocoded stop
+ * @returns {string}
+ */
+function getPlaceLabel(stop) {
+  return stop.name || stop.query;
+}
+
+/**
+ * Serialise a matrix as CSV, one row per origin and destination pair
+ * @param {Object} matrix - From requestMatrix
+ * @returns {string}
+ */
+function toMatrixCsv(matrix) {
+  const rows = [['from', 'to', 'duration_s', 'distance_m', 'from_lng', 'from_lat', 'to_lng', 'to_lat']];
+
+  matrix.origins.forEach((origin, row) => {
+    matrix.destinations.forEach((destination, column) => {
+      const duration = matrix.durations[row][column];
+      const distance = matrix.distances[row][column];
+      rows.push([
+        getPlaceLabel(origin),
+        getPlaceLabel(destination),
+        duration === null ? '' : Math.round(duration),
+        distance === null ? '' : Math.round(distance),
+        ...origin.coordinates,
+        ...destination.coordinates
+      ]);
+    });
+  });
+
+  return rows.map(row => row.map(escapeCsv).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Show a matrix as a table, origins down the side and destinations across the top
+ * @param {Object} matrix - From requestMatrix
+ */
+function renderMatrixTable(matrix) {
+  const panel = document.getElementById('matrix-panel');
+  const title = document.getElementById('matrix-title');
+  const head = document.getElementById('matrix-head');
+  const body = document.getElementById('matrix-body');
+  const exportButton = document.getElementById('matrix-export');
+
+  title.textContent = `Travel times by ${matrix.profile} (${matrix.origins.length} × ${matrix.destinations.length})`;
+  head.innerHTML = '';
+  body.innerHTML = '';
+
+  const headerRow = document.createElement('tr');
+  headerRow.appendChild(document.createElement('th'));
+  matrix.destinations.forEach(destination => {
+    const cell = document.createElement('th');
+    cell.textContent = getPlaceLabel(destination);
+    cell.title = destination.placeName || destination.query;
+    headerRow.appendChild(cell);
+  });
+  head.appendChild(headerRow);
+
+  matrix.origins.forEach((origin, row) => {
+    const tableRow = document.createElement('tr');
+
+    const label = document.createElement('th');
+    label.textContent = getPlaceLabel(origin);
+    label.title = origin.placeName || origin.query;
+    tableRow.appendChild(label);
+
+    matrix.destinations.forEach((destination, column) => {
+      const cell = document.createElement('td');
+      const duration = matrix.durations[row][column];
+      const distance = matrix.distances[row][column];
+
+      if (duration === null) {
+        cell.textContent = 'No route';
+        cell.className = 'matrix-unreachable';
+      } else if (duration === 0) {
+        // The same place on both axes
+        cell.textContent = '—';
+      } else {
+        const time = document.createElement('div');
+        time.textContent = formatDuration(duration);
+        cell.appendChild(time);
+
+        const length = document.createElement('small');
+        length.textContent = formatDistance(distance);
+        cell.appendChild(length);
+      }
+      tableRow.appendChild(cell);
+    });
+
+    body.appendChild(tableRow);
+  });
+
+  exportButton.onclick = () => downloadFile(toMatrixCsv(matrix), 'distance-matrix.csv', 'text/csv');
+  document.getElementById('matrix-close').onclick = hideMatrixTable;
+  panel.style.display = 'block';
+}
+
+/**
+ * Hide the matrix table
+ */
+function hideMatrixTable() {
+  document.getElementById('matrix-panel').style.display = 'none';
+}
+
+// Export the functions
+export {
+  requestMatrix,
+  toMatrixCsv,
+  renderMatrixTable,
+  hideMatrixTable
+};
@@ -0,0 +1,178 @@
+// Trips that change mode between stops: one directions request per run of legs, stitched into one route
+import { formatDistance, formatDuration } from './formatting.js';
+
+const MODE_SOURCE = 'route-modes';
+
+// How each mode is drawn; dashes are in line widths
+const MODE_STYLES = {
+  driving: { label: 'Driving', color: '#00a0f0', dasharray: null },
+  cycling: { label: 'Cycling', color: '#2ea44f', dasharray: [2, 1.5] },
+  walking: { label: 'Walking', color: '#8e44ad', dasharray: [0, 2] }
+};
+
+const EMPTY_COLLECTION = {
+  type: 'FeatureCollection',
+  features: []
+};
+
+/**
+ * Get the mode of each leg, when the trip changes mode
+ * @param {Object} preferences - Route preferences with legModes
+ * @param {number} legCount - The number of legs between the stops
+ * @returns {{legModes: Array<string>|null, warning: string|null}} - legModes is null for a
+ *   single-mode trip; warning says why modes that do not fit the stops were dropped
+ */
+function getLegModes(preferences, legCount) {
+  const legModes = preferences && preferences.legModes;
+  if (!Array.isArray(legModes) || new Set(legModes).size < 2) {
+    return { legModes: null, warning: null };
+  }
+  if (legModes.length !== legCount) {
+    return {
+      legModes: null,
+      warning: `The modes given for each leg no longer match the stops, so the whole trip is ${preferences.transportMode}.`
+    };
+  }
+  return { legModes, warning: null };
+}
+
+/**
+ * Group consecutive legs that share a mode, so each group needs one directions request
+ * @param {Array<string>} legModes - One mode per leg
+ * @returns {Array<{mode: string, from: number, to: number}>} - The first and last stop of each group
+ */
+function groupLegsByMode(legModes) {
+  return legModes.reduce((groups, mode, leg) => {
+    const last = groups[groups.length - 1];
+    if (last && last.mode === mode) {
+      last.to = leg + 1;
+    } else {
+      groups.push({ mode, from: leg, to: leg + 1 });
+    }
+    return groups;
+  }, []);
+}
+
+/**
+ * Join the routes of each group into one route for the whole trip
+ * Every leg is tagged with its mode, and modeSegments keeps each group's geometry for drawing
+ * @param {Array<{mode: string, route: Object}>} parts - One route per group, in order
+ * @returns {Object} - A route shaped like a Mapbox route, plus modeSegments
+ */
+function stitchRoutes(parts) {
+  const coordinates = [];
+
+  parts.forEach(({ route }, index) => {
+    // Each group starts where the last one ended, so the shared point is only kept once
+    coordinates.push(...route.geometry.coordinates.slice(index === 0 ? 0 : 1));
+  });
+
+  return {
+    geometry: { type: 'LineString', coordinates },
+    distance: parts.reduce((sum, { route }) => sum + route.distance, 0),
+    duration: parts.reduce((sum, { route }) => sum + route.duration, 0),
+    weight: parts.reduce((sum, { route }) => sum + (route.weight || 0), 0),
+    legs: parts.flatMap(({ mode, route }) => (route.legs || []).map(leg => ({ ...leg, mode }))),
+    modeSegments: parts.map(({ mode, route }) => ({ mode, coordinates: route.geometry.coordinates }))
+  };
+}
+
+/**
+ * Add the line styles for each mode over the 'route-line' layer
+ * Must be called from the map 'load' handler, after the 'route-line' layer
+ * @param {Object} map - The Mapbox GL map
+ */
+function addModeLayers(map) {
+  map.addSource(MODE_SOURCE, {
+    type: 'geojson',
+    data: EMPTY_COLLECTION
+  });
+
+  // Dashes cannot vary per feature, so each mode has its own layer
+  Object.entries(MODE_STYLES).forEach(([mode, style]) => {
+    map.addLayer({
+      id: `route-mode-${mode}`,
+      type: 'line',
+      source: MODE_SOURCE,
+      filter: ['==', ['get', 'mode'], mode],
+      layout: {
+        'line-join': 'round',
+        'line-cap': 'round'
+      },
+      paint: {
+        'line-color': style.color,
+        'line-width': 4,
+        ...(style.dasharray ? { 'line-dasharray': style.dasharray } : {})
+      }
+    });
+  });
+}
+
+/**
+ * Draw each mode of a route in its own style, or go back to the plain route line
+ * @param {Object} map - The Mapbox GL map
+ * @param {Object|null} route - A stitched route with modeSegments, or any other route to clear them
+ * @returns {boolean} - Whether the route is drawn by mode
+ */
+function showModeLines(map, route) {
+  const segments = (route && route.modeSegments) || [];
+
+  if (map.getSource(MODE_SOURCE)) {
+    map.getSource(MODE_SOURCE).setData({
+      type: 'FeatureCollection',
+      features: segments.map(({ mode, coordinates }) => ({
+        type: 'Feature',
+        properties: { mode },
+        geometry: { type: 'LineString', coordinates }
+      }))
+    });
+  }
+
+  // The plain line stays underneath, invisible, so it can still be dragged
+  if (map.getLayer('route-line')) {
+    map.setPaintProperty('route-line', 'line-opacity', segments.length > 0 ? 0 : 1);
+  }
+  return segments.length > 0;
+}
+
+/**
+ * Add up the distance and time spent in each mode
+ * @param {Object} route - A route whose legs are tagged with their mode
+ * @returns {Array<{mode: string, label: string, distance: number, duration: number}>} - In the
+ *   order the modes are first used; empty unless the route uses more than one mode
+ */
+function summarizeModes(route) {
+  const totals = new Map();
+
+  (route.legs || []).filter(leg => leg.mode).forEach(leg => {
+    const total = totals.get(leg.mode) || { mode: leg.mode, label: MODE_STYLES[leg.mode].label, distance: 0, duration: 0 };
+    total.distance += leg.distance;
+    total.duration += leg.duration;
+    totals.set(leg.mode, total);
+  });
+
+  return totals.size > 1 ? [...totals.values()] : [];
+}
+
+/**
+ * Describe the time spent in each mode, e.g. "Driving 92 km, 1 h 10 min · Cycling 12 km, 45 min"
+ * @param {Object} route - A route whose legs are tagged with their mode
+ * @returns {string} - Empty for single-mode routes
+ */
+function describeModes(route) {
+  return summarizeModes(route)
+    .map(total => `${total.label} ${formatDistance(total.distance)}, ${formatDuration(total.duration)}`)
+    .join(' · ');
+}
+
+// Export the functions
+export {
+  MODE_STYLES,
+  getLegModes,
+  groupLegsByMode,
+  stitchRoutes,
+  addModeLayers,
+  showModeLines,
+  summarizeModes,
+  describeModes
+};
@@ -2,37 +2,164 @@
 
 // Import configuration - no longer directly importing API keys
 // import config from './config.js';
+import { toLocalDateTime } from './trip-time.js';
+
+// Default route preferences, one flag per Mapbox road exclusion
+const DEFAULT_PREFERENCES = {
+  transportMode: 'driving',
+  avoidTolls: false,
+  avoidHighways: false,
+  avoidFerries: false,
+  avoidUnpaved: false,
+  avoidCashOnlyTolls: false,
+  optimizeOrder: false,
+  roundTrip: false,
+  fixedEnd: false,
+  departAt: null,
+  arriveBy: null,
+  legModes: null,
+  maxDailyHours: null,
+  tripDays: null,
+  evRangeKm: null,
+  startChargePercent: null
+};
+
+// "Distance matrix for ...", "how far is each of ...": a table of travel times, not a route
+const MATRIX_PATTERN = /\b(?:(?:distance|travel[\s-]*time|drive[\s-]*time|driving[\s-]*time|duration)s?\s+(?:matrix|table|grid)|how\s+far\s+(?:is|are)\s+(?:each|every|all)\s+of|(?:from|to)\s+each\s+of)\b/i;
+
+// "Where can I get to in 30 minutes", "everywhere within 5 km of ...": reachable areas, not a route
+const ISOCHRONE_PATTERN = /\b(?:where\s+can\s+(?:I|we|you)\s+(?:get|go|reach|drive|walk|cycle|bike|ride)|how\s+far\s+can\s+(?:I|we|you)\s+(?:get|go|drive|walk|cycle|bike|ride)|(?:everywhere|everything|anywhere|anything|area|areas|places?)\s+(?:(?:I|we|you)\s+can\s+(?:reach|get\s+to)\s+)?within|reachable\s+(?:with)?in|isochrones?)\b/i;
+
+// Contours such as "15 and 30 minutes", "1 hour" or "2, 5 and 10 km"
+const CONTOUR_PATTERN = /((?:\d+(?:\.\d+)?\s*(?:,|and|or|&)?\s*)+)(minutes?|mins?|hours?|hrs?|kilomet(?:re|er)s?|km|miles?|mi|met(?:re|er)s?|m)\b['’]?s?/i;
+
+// Isochrone contours are limited by the backend to four values
+const MAX_ISOCHRONE_CONTOURS = 4;
+
+// "Visit these in any order": the stops may be reordered to save time
+const OPTIMIZE_ORDER_PATTERN = /\b(?:in\s+(?:any|whatever|the\s+(?:best|optimal|most\s+efficient|fastest|quickest|shortest))\s+order|(?:best|optimal|optimi[sz]ed|most\s+efficient|fastest|quickest|shortest)\s+order|optimi[sz]e\s+(?:the\s+)?(?:order|route|stops)|(?:the\s+)?order\s+(?:doesn'?t|does\s+not)\s+matter|re-?order\s+(?:the\s+)?stops)\b/gi;
+
+// "Keep the order I typed": stops are visited as listed again
+const KEEP_ORDER_PATTERN = /\b(?:keep\s+(?:the|my|this)\s+order|in\s+the\s+order\s+(?:I|they|given|typed|listed)\b(?:\s+(?:typed|gave|listed)(?:\s+them)?)?|don'?t\s+(?:re-?order|optimi[sz]e)(?:\s+(?:the\s+)?(?:order|route|stops))?)/gi;
+
+// "...and back to the start": the route returns to where it began
+const ROUND_TRIP_PATTERN = /\b(?:round[\s-]?trip|there\s+and\s+back|(?:and\s+)?back\s+(?:to\s+(?:the\s+)?(?:start|beginning|starting\s+point)|home\s+again)|(?:return(?:ing)?|com(?:e|ing)\s+back)\s+to\s+(?:the\s+)?(?:start|beginning|starting\s+point))\b/gi;
+
+// "...ending at Montmartre": the last stop stays last when the order is optimised
+const FIXED_END_PATTERN = /\b(?:end|finish)(?:ing)?\s+(?:up\s+)?(?:in|at)\b/i;
+
+// "Max 6 hours driving per day", "no more than 5 hours a day": long trips are split into days
+const DAILY_LIMIT_PATTERN = /\b(?:(?:with\s+)?(?:max(?:imum)?|at\s+most|no\s+more\s+than|up\s+to|under|less\s+than)\s+)?(\d+(?:\.\d+)?)\s*(?:hours?|hrs?|h)\s+(?:of\s+)?(?:driving\s+|on\s+the\s+road\s+)?(?:a|per|each|every)\s+day\b/gi;
+
+// "Over 4 days", "split into three days": long trips are split into that many days
+const TRIP_DAYS_PATTERN = /\b(?:over|across|in|within|spread\s+over|split\s+(?:into|over))\s+(\d+|two|three|four|five|six|seven|eight|nine|ten)\s+days\b(?!'?\s*time)/gi;
+
+const NUMBER_WORDS = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten'];
+
+// Days a trip can be split into, and the daily limits that make sense
+const MAX_TRIP_DAYS = 30;
+const MIN_DAILY_HOURS = 1;
+const MAX_DAILY_HOURS = 24;
+
+// "With a 300 km range", "range of 250 miles": plan charging stops for an electric vehicle
+const EV_RANGE_PATTERN = /\b(?:(?:with\s+)?(?:an?\s+)?(\d{2,4})\s*(km|kilomet(?:er|re)s?|mi|miles?)\s+(?:of\s+)?range|(?:with\s+)?(?:an?\s+)?range\s+(?:of\s+)?(\d{2,4})\s*(km|kilomet(?:er|re)s?|mi|miles?))\b/gi;
+
+// "Starting at 80% charge", "battery at 60%": how full the battery is at the start
+const START_CHARGE_PATTERN = /\b(?:(?:(?:start(?:ing)?|leav(?:e|ing))\s+(?:at|with|on)\s+)?(\d{1,3})\s*%\s*(?:charged?|battery)|(?:with\s+)?(?:the\s+)?(?:battery|charge)\s+(?:at|of|is\s+at|on)\s+(\d{1,3})\s*%)/gi;
+
+const KM_PER_MILE = 1.609344;
+
+// Vehicle ranges that make sense, in kilometres
+const MIN_EV_RANGE_KM = 50;
+const MAX_EV_RANGE_KM = 1500;
+
+// A clock time: "8am", "7:30 pm", "18:00", "noon"
+const CLOCK_TIME = String.raw`(?:(\d{1,2})(?!\d)(?:[:.](\d{2}))?(?:\s*([ap])\.?m\b\.?)?|(noon|midday|midnight))`;
+
+// "Leave at 8am", "depart 07:30", "arrive by 6pm", "be there by noon": when the trip happens
+const TRIP_TIME_PATTERN = new RegExp(String.raw`\b(?:(leav(?:e|ing)|depart(?:ing|ure)?|set(?:ting)?\s+off|go(?:ing)?)|(arriv(?:e|ing|al)|get(?:ting)?\s+there|be\s+there))\s+(?:(?:at|by|around|before|for|from)\s+)?${CLOCK_TIME}`, 'i');
+
+// "Today", "tomorrow", "tonight", "on Friday"; only read when a trip time was found
+const TRIP_DAY_PATTERN = /\b(?:(today|tonight|tomorrow)|(?:on\s+|this\s+|next\s+)?(sunday|monday|tuesday|wednesday|thursday|friday|saturday))\b/i;
+
+// Words a bare hour such as "leave at 8" may be followed by; "arrive at 10 Downing Street" is a place
+const BARE_HOUR_FOLLOWERS = /^\s*(?:$|[,.!?;]|o'?clock\b|(?:today|tonight|tomorrow|on|this|next|and|then|from|to|via|in|with|avoiding|by)\b)/i;
+
+// Queries that may mention a time, so Gemini is told the current date and time
+const TIME_HINT_PATTERN = /\b(?:leav|depart|arriv|set\s+off|be\s+there|get\s+there|tomorrow|tonight|noon|midnight|o'?clock|\d{1,2}(?::\d{2})?\s*[ap]\.?m\b|\d{1,2}:\d{2})/i;
+
+// Modes a single leg can use. Verbs name the mode of the leg that follows ("drive to Oxford"),
+// while phrases like "by car" name the mode of the leg they follow ("to Oxford by car")
+const LEG_MODES = ['driving', 'walking', 'cycling'];
+const LEG_MODE_VERBS = {
+  driving: /\bdriv(?:e|ing)\b/gi,
+  walking: /\b(?:walk(?:ing)?|hik(?:e|ing))\b/gi,
+  cycling: /\b(?:cycl(?:e|ing)|bik(?:e|ing))\b/gi
+};
+const LEG_MODE_SUFFIXES = {
+  driving: /\bby\s+car\b/gi,
+  walking: /\bon\s+foot\b/gi,
+  cycling: /\bby\s+(?:bike|bicycle)\b/gi
+};
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
 
 /**
  * Process natural language input to extract locations and route preferences
+ * When a route session is given, follow-ups such as "now avoid tolls" or
+ * "add a stop in Lyon" are treated as edits to the current plan
  * @param {string} query - The natural language query from the user
- * @returns {Promise<Object>} - Structured data with locations and preferences
+ * @param {Object} session - Optional current plan: { locations, preferences, history }
+ * @returns {Promise<Object>} - Structured data with locations and preferences,
+ *   plus isEdit and edits when the query changed the current plan (and modeError when it asked
+ *   for public transport, which cannot be routed), or
+ *   { isMatrix: true, origins, destinations, preferences } for a distance matrix, or
+ *   { isIsochrone: true, origin, contours: { minutes } | { meters }, preferences } for reachable areas
  */
-async function processNaturalLanguage(query) {
+async function processNaturalLanguage(query, session = null) {
   try {
+    // Requests for reachable areas and travel-time tables are recognised before anything else
+    const regexIsochrone = extractIsochroneRequestWithRegex(query);
+    if (regexIsochrone) {
+      console.log('Recognised isochrone request with regex:', regexIsochrone);
+      return regexIsochrone;
+    }
+    
+    const regexMatrix = extractMatrixRequestWithRegex(query);
+    if (regexMatrix) {
+      console.log('Recognised distance matrix request with regex:', regexMatrix);
+      return regexMatrix;
+    }
+    
+    // Common edit phrases are recognised locally, without a round trip to Gemini
+    const regexEdit = extractRouteEditWithRegex(query, session);
+    if (regexEdit) {
+      console.log('Recognised route edit with regex:', regexEdit.edits);
+      return addQueryIntents(regexEdit, query);
+    }
+    
     // Try regex approach first as a fast fallback
     const regexLocations = extractLocationsWithRegex(query);
     
     if (regexLocations && regexLocations.length >= 2) {
       console.log('Successfully extracted locations with regex:', regexLocations);
-      return {
+      return addQueryIntents({
         locations: regexLocations,
         preferences: {
+          ...extractPreferencesWithRegex(query),
+          ...extractStopOrderWithRegex(query),
           transportMode: query.match(/walk|walking|on foot/i) ? 'walking' : 
-                         query.match(/cycl|bike|biking|bicycle/i) ? 'cycling' : 'driving',
-          avoidTolls: !!query.match(/no toll|avoid toll|without toll/i),
-          avoidHighways: !!query.match(/no highway|avoid highway|without highway/i),
-          avoidFerries: !!query.match(/no ferr|avoid ferr|without ferr/i)
+                         query.match(/cycl|bike|biking|bicycle/i) ? 'cycling' : 'driving'
         }
-      };
+      }, query);
     }
     
     // If regex doesn't find enough locations, try using Gemini API
     console.log('Regex found insufficient locations, trying Gemini API...');
     
     // First try using function calling capabilities
-    const response = await fetchGeminiWithFunctionCalling(query);
-    return validateAndFormatResponse(response);
+    const response = await fetchGeminiWithFunctionCalling(query, session);
+    return addQueryIntents(addStopOrderIntent(validateAndFormatResponse(response, session), query), query);
   } catch (error) {
     console.error('Error with function calling approach:', error);
     
@@ -42,15 +169,10 @@ async function processNaturalLanguage(query) {
       // Try one more time with regex as a final fallback
       const regexLocations = extractLocationsWithRegex(query);
       if (regexLocations && regexLocations.length >= 2) {
-        return {
+        return addQueryIntents({
           locations: regexLocations,
-          preferences: {
-            transportMode: 'driving',
-            avoidTolls: false,
-            avoidHighways: false,
-            avoidFerries: false
-          }
-        };
+          preferences: { ...DEFAULT_PREFERENCES }
+        }, query);
       }
     }
     
@@ -59,14 +181,30 @@ async function processNaturalLanguage(query) {
       console.log('Falling back to traditional prompt approach');
       const prompt = `
         Extract location information and route preferences from the following text.
+        ${describeSessionForPrompt(session)}${describeCurrentTimeForPrompt(query)}
         Return a JSON object with the following structure:
         {
+          "intent": "new_route, edit_route, distance_matrix or isochrone",
           "locations": [array of location names in order],
+          "destinations": [for distance_matrix only: the places to measure to],
+          "isochrone": { "minutes": [numbers], "meters": [numbers] } (for isochrone only, one of the two),
           "preferences": {
             "transportMode": "driving/walking/cycling/etc",
             "avoidTolls": boolean,
             "avoidHighways": boolean,
-            "avoidFerries": boolean
+            "avoidFerries": boolean,
+            "avoidUnpaved": boolean,
+            "avoidCashOnlyTolls": boolean,
+            "optimizeOrder": boolean,
+            "roundTrip": boolean,
+            "fixedEnd": boolean,
+            "departAt": "YYYY-MM-DDTHH:mm local time to leave, or null",
+            "arriveBy": "YYYY-MM-DDTHH:mm local time to arrive, or null",
+            "legModes": ["driving" | "walking" | "cycling", ...] or null,
+            "maxDailyHours": number or null,
+            "tripDays": number or null,
+            "evRangeKm": number or null,
+            "startChargePercent": number or null
           }
         }
         
@@ -78,27 +216,84 @@ async function processNaturalLanguage(query) {
         5. If any preference is not specified, use null for that value.
         6. Be flexible with input formats and focus on extracting the key information.
         7. If you're uncertain about a location name, include it anyway.
+        8. Use distance_matrix when the text asks how far or how long it is from each of several places
+           to each of several others; put the places to measure from in locations.
+        9. Use isochrone when the text asks where can be reached within a time or distance; put the
+           starting place (if any) in locations and the times or distances in isochrone.
+        10. Set optimizeOrder when the stops may be visited in any order (e.g. "in any order", "best order"),
+           roundTrip when the route should return to the first location, and fixedEnd when the last
+           location must stay last even if the others are reordered.
+        11. Set departAt when the text says when to leave (e.g. "leave at 8am tomorrow") or arriveBy
+           when it says when to arrive (e.g. "arrive by 6pm"), never both.
+        12. Set legModes when the trip changes mode between stops (e.g. "drive to Oxford, then cycle to
+           Blenheim Palace"): one mode per leg, in order, so one fewer than the locations.
+        13. Set maxDailyHours for a daily limit (e.g. "max 6 hours driving per day") or tripDays for a
+           number of days (e.g. "over 4 days"), never both.
+        14. Set evRangeKm for an electric vehicle's range, in kilometres (convert miles), and
+           startChargePercent for how full its battery is at the start (e.g. "starting at 80% charge").
         
         Text: "${query}"
       `;
 
       const response = await fetchGeminiResponse(prompt);
-      return validateAndFormatResponse(response);
+      return addQueryIntents(addStopOrderIntent(validateAndFormatResponse(response, session), query), query);
     } catch (secondError) {
       console.error('Error with traditional prompt approach:', secondError);
       
       // Final fallback: try to extract locations using regex patterns
-      return extractLocationsWithRegex(query);
+      return addQueryIntents(extractLocationsWithRegex(query), query);
     }
   }
 }
 
+/**
+ * Describe the current route session so Gemini can read follow-ups as edits
+ * @param {Object} session - The current plan: { locations, preferences, history }
+ * @returns {string} - Prompt text, or an empty string when there is no route yet
+ */
+function describeSessionForPrompt(session) {
+  if (!session || !Array.isArray(session.locations) || session.locations.length === 0) {
+    return '';
+  }
+  
+  const history = (session.history || []).map(query => `- "${query}"`).join('\n');
+  
+  return `
+        The user is refining a route they have already planned.
+        Current stops in order: ${JSON.stringify(session.locations)}
+        Current preferences: ${JSON.stringify(session.preferences || DEFAULT_PREFERENCES)}
+        Earlier requests in this conversation:
+        ${history || '(none)'}
+        
+        If the text changes this route (adding, removing, replacing or reordering stops,
+        or changing the transport mode or avoidances), set intent to "edit_route" and
+        return the complete updated list of stops and the complete updated preferences.
+        If the text asks for an unrelated route, set intent to "new_route".
+  `;
+}
+
+/**
+ * Tell Gemini the current local date and time, so "tomorrow at 8" can be resolved
+ * Only added when the query seems to mention a time, so other prompts stay cacheable
+ * @param {string} query - The user's query
+ * @param {Date} now - The current time
+ * @returns {string} - Prompt text, or an empty string
+ */
+function describeCurrentTimeForPrompt(query, now = new Date()) {
+  if (!TIME_HINT_PATTERN.test(query)) {
+    return '';
+  }
+  const weekday = now.toLocaleDateString('en-US', { weekday: 'long' });
+  return `The current local date and time is ${weekday} ${toLocalDateTime(now)}. `;
+}
+
 /**
  * Call the Gemini API with function calling capabilities via our secure server
  * @param {string} query - The user's natural language query
+ * @param {Object} session - Optional current plan the query may be editing
  * @returns {Promise<Object>} - The structured data extracted from the query
  */
-async function fetchGeminiWithFunctionCalling(query) {
+async function fetchGeminiWithFunctionCalling(query, session = null) {
   // The function declarations for the Gemini model
   const functionDeclarations = [{
     name: "extractRouteInfo",
@@ -106,10 +301,36 @@ async function fetchGeminiWithFunctionCalling(query) {
     parameters: {
       type: "OBJECT",
       properties: {
+        intent: {
+          type: "STRING",
+          enum: ["new_route", "edit_route", "distance_matrix", "isochrone"],
+          description: "edit_route when the text changes the current route, distance_matrix when it asks for travel times from each of several places to each of several others, isochrone when it asks where can be reached within a time or distance, new_route otherwise"
+        },
         locations: {
           type: "ARRAY",
           items: { type: "STRING" },
-          description: "List of locations mentioned in order of travel"
+          description: "List of locations mentioned in order of travel; for edit_route, the complete updated list of stops; for distance_matrix, the places to measure from"
+        },
+        destinations: {
+          type: "ARRAY",
+          items: { type: "STRING" },
+          description: "For distance_matrix only: the places to measure to, when they differ from the locations"
+        },
+        isochrone: {
+          type: "OBJECT",
+          description: "For isochrone only: the contours to draw around the first location, as times or distances",
+          properties: {
+            minutes: {
+              type: "ARRAY",
+              items: { type: "NUMBER" },
+              description: "Travel times in minutes, e.g. [15, 30]"
+            },
+            meters: {
+              type: "ARRAY",
+              items: { type: "NUMBER" },
+              description: "Travel distances in metres, e.g. [5000]"
+            }
+          }
         },
         preferences: {
           type: "OBJECT",
@@ -130,6 +351,58 @@ async function fetchGeminiWithFunctionCalling(query) {
             avoidFerries: {
               type: "BOOLEAN",
               description: "Whether to avoid ferries"
+            },
+            avoidUnpaved: {
+              type: "BOOLEAN",
+              description: "Whether to avoid unpaved roads"
+            },
+            avoidCashOnlyTolls: {
+              type: "BOOLEAN",
+              description: "Whether to avoid toll roads that only accept cash"
+            },
+            optimizeOrder: {
+              type: "BOOLEAN",
+              description: "Whether the stops may be visited in whatever order is fastest, e.g. \"in any order\" or \"best order\""
+            },
+            roundTrip: {
+              type: "BOOLEAN",
+              description: "Whether the route should return to the first location at the end"
+            },
+            fixedEnd: {
+              type: "BOOLEAN",
+              description: "Whether the last location must stay last when the order is optimised"
+            },
+            departAt: {
+              type: "STRING",
+              description: "When to leave, as local time YYYY-MM-DDTHH:mm, e.g. for \"leave at 8am tomorrow\"; omit when not given"
+            },
+            arriveBy: {
+              type: "STRING",
+              description: "When to arrive, as local time YYYY-MM-DDTHH:mm, e.g. for \"arrive by 6pm\"; omit when not given"
+            },
+            legModes: {
+              type: "ARRAY",
+              items: {
+                type: "STRING",
+                enum: ["driving", "walking", "cycling"]
+              },
+              description: "The mode of each leg, in order, when the trip changes mode between stops (e.g. \"drive to Oxford, then cycle to Blenheim Palace\"); one fewer than the locations. Omit when the whole trip uses one mode"
+            },
+            maxDailyHours: {
+              type: "NUMBER",
+              description: "Most hours of travel per day, to split a long trip into days, e.g. 6 for \"max 6 hours driving per day\""
+            },
+            tripDays: {
+              type: "INTEGER",
+              description: "Number of days to split a long trip into, e.g. 4 for \"over 4 days\""
+            },
+            evRangeKm: {
+              type: "NUMBER",
+              description: "Range of an electric vehicle on a full charge in kilometres, converting miles, e.g. 300 for \"with a 300 km range\""
+            },
+            startChargePercent: {
+              type: "NUMBER",
+              description: "How full an electric vehicle's battery is at the start, in percent, e.g. 80 for \"starting at 80% charge\""
             }
           }
         }
@@ -145,7 +418,7 @@ async function fetchGeminiWithFunctionCalling(query) {
       'Content-Type': 'application/json'
     },
     body: JSON.stringify({
-      prompt: `Extract routing information from this text: "${query}"`,
+      prompt: `${describeSessionForPrompt(session)}${describeCurrentTimeForPrompt(query)}Extract routing information from this text: "${query}"`,
       functionDeclarations
     })
   });
@@ -244,24 +517,44 @@ async function fetchGeminiResponse(prompt) {
 /**
  * Validate and format the response from Gemini
  * @param {Object} response - The parsed response from Gemini
+ * @param {Object} session - Optional current plan; an edit falls back to its stops and preferences
  * @returns {Object} - Validated and formatted response
  */
-function validateAndFormatResponse(response) {
-  // Ensure we have a locations array
-  const locations = Array.isArray(response.locations) ? response.locations : [];
+function validateAndFormatResponse(response, session = null) {
+  const isEdit = Boolean(session && session.locations && session.locations.length > 0) &&
+    response.intent === 'edit_route';
   
-  // Default preferences
-  const defaultPreferences = {
-    transportMode: 'driving',
-    avoidTolls: false,
-    avoidHighways: false,
-    avoidFerries: false
-  };
+  // Ensure we have a locations array; an edit that only changed preferences keeps the current stops
+  let locations = Array.isArray(response.locations) ? response.locations : [];
+  if (isEdit && locations.length === 0) {
+    locations = [...session.locations];
+  }
+  
+  // Unspecified preferences come back as null and must not override the current plan
+  const specified = Object.fromEntries(Object.entries(response.preferences || {})
+    .filter(([, value]) => value !== null && value !== undefined));
   
   // Merge with provided preferences or use defaults
-  const preferences = response.preferences ? 
-    { ...defaultPreferences, ...response.preferences } : 
-    defaultPreferences;
+  const preferences = {
+    ...DEFAULT_PREFERENCES,
+    ...(isEdit ? session.preferences : {}),
+    ...specified
+  };
+  
+  // A new departure time replaces an earlier arrival time, and the other way round
+  if (specified.departAt) {
+    preferences.arriveBy = null;
+  } else if (specified.arriveBy) {
+    preferences.departAt = null;
+  }
+  
+  // A daily limit replaces a number of days, and the other way round
+  if (specified.maxDailyHours) {
+    preferences.tripDays = null;
+  } else if (specified.tripDays) {
+    preferences.maxDailyHours = null;
+  }
+  Object.assign(preferences, normalizeDailyLimit(preferences), normalizeEvRange(preferences));
   
   // Ensure transportMode is valid
   const validModes = ['driving', 'walking', 'cycling', 'transit'];
@@ -269,10 +562,489 @@ function validateAndFormatResponse(response) {
     preferences.transportMode = 'driving';
   }
   
-  return {
+  // A new mode for the whole trip replaces the modes of each leg
+  if (specified.transportMode && !specified.legModes) {
+    preferences.legModes = null;
+  }
+  // Modes that no longer fit an edited route are kept, so the user is told they were dropped
+  preferences.legModes = normalizeLegModes(preferences.legModes, isEdit ? null : locations.length);
+  if (preferences.legModes) {
+    preferences.transportMode = preferences.legModes[0];
+  }
+  
+  const formatted = {
     locations,
     preferences
   };
+  
+  if (isEdit) {
+    formatted.isEdit = true;
+    formatted.edits = [];
+  }
+  
+  // An isochrone starts from the first location, or the map centre when none was named
+  if (response.intent === 'isochrone' && response.isochrone) {
+    const contours = toIsochroneContours(response.isochrone);
+    if (contours) {
+      return {
+        isIsochrone: true,
+        origin: locations[0] || null,
+        contours,
+        preferences
+      };
+    }
+  }
+  
+  // A distance matrix measures from the locations to the destinations, or between the locations
+  if (response.intent === 'distance_matrix') {
+    const destinations = Array.isArray(response.destinations) && response.destinations.length > 0 ?
+      response.destinations :
+      locations;
+    return {
+      isMatrix: true,
+      origins: locations,
+      destinations,
+      preferences
+    };
+  }
+  
+  return formatted;
+}
+
+/**
+ * Check the mode of each leg against the number of stops
+ * @param {Array<string>|null} legModes - One mode per leg
+ * @param {number|null} locationCount - The number of stops, or null to skip checking the count
+ * @returns {Array<string>|null} - The modes, or null when they do not fit the stops or are all the same
+ */
+function normalizeLegModes(legModes, locationCount) {
+  if (!Array.isArray(legModes) || (locationCount !== null && legModes.length !== locationCount - 1) ||
+      !legModes.every(mode => LEG_MODES.includes(mode))) {
+    return null;
+  }
+  return new Set(legModes).size > 1 ? legModes : null;
+}
+
+/**
+ * Extract road avoidance preferences using regex patterns
+ * Handles lists such as "avoiding tolls, highways and ferries" as well as
+ * "no tolls" / "without ferries" phrasing
+ * @param {string} query - The user's natural language query
+ * @returns {Object} - Default preferences with the detected avoid flags set
+ */
+function extractPreferencesWithRegex(query) {
+  const preferences = { ...DEFAULT_PREFERENCES };
+  
+  // Collect the text following each "avoid", "no" or "without" so that
+  // every item in a list like "avoid tolls and ferries" is picked up
+  const avoidPattern = /\b(?:avoid(?:ing)?|no|without)\s+((?:[a-z-]+(?:\s*,\s*|\s+(?:and|or)\s+|\s+))*?[a-z-]+)(?=\s*(?:[.!?;]|$|\b(?:from|to|via|through|by|using|in|on)\b))/gi;
+  const avoidText = [];
+  let match;
+  while ((match = avoidPattern.exec(query)) !== null) {
+    avoidText.push(match[1].toLowerCase());
+  }
+  
+  getAvoidanceFlags(avoidText.join(' ')).forEach(flag => {
+    preferences[flag] = true;
+  });
+  
+  return preferences;
+}
+
+/**
+ * Detect requests to reorder the stops, e.g. "in any order", "and back to the start"
+ * @param {string} query - The user's natural language query
+ * @returns {Object} - The stop-order flags that were found: optimizeOrder, roundTrip, fixedEnd
+ */
+function extractStopOrderWithRegex(query) {
+  const flags = {};
+  const text = String(query || '');
+  
+  // Patterns are global, so test fresh copies to avoid lastIndex carrying over between calls
+  if (new RegExp(OPTIMIZE_ORDER_PATTERN).test(text)) {
+    flags.optimizeOrder = true;
+  }
+  if (new RegExp(ROUND_TRIP_PATTERN).test(text)) {
+    flags.roundTrip = true;
+  }
+  if (flags.optimizeOrder && !flags.roundTrip && FIXED_END_PATTERN.test(text)) {
+    flags.fixedEnd = true;
+  }
+  
+  return flags;
+}
+
+/**
+ * Make sure stop-order phrases Gemini missed still reach the preferences
+ * Only ever sets flags, so Gemini's own reading is never overridden
+ * @param {Object} formatted - From validateAndFormatResponse
+ * @param {string} query - The user's query
+ * @returns {Object} - The same result with the detected flags set
+ */
+function addStopOrderIntent(formatted, query) {
+  const flags = extractStopOrderWithRegex(query);
+  if (Object.keys(flags).length > 0) {
+    console.log('Detected stop-order intent:', flags);
+    formatted.preferences = { ...formatted.preferences, ...flags };
+  }
+  return formatted;
+}
+
+/**
+ * Find a departure or arrival time, e.g. "leave at 8am tomorrow" or "arrive by 18:30 on Friday"
+ * Times without a day are today, even when they have passed, so the user is told rather
+ * than silently routed for tomorrow
+ * @param {string} query - The user's natural language query
+ * @param {Date} now - The current time
+ * @returns {Object} - { departAt } or { arriveBy } as local YYYY-MM-DDTHH:mm, { timeError }
+ *   when the time cannot be read, or {} when there is no time; plus the matched text
+ */
+function extractTripTimeWithRegex(query, now = new Date()) {
+  const text = String(query || '');
+  const match = TRIP_TIME_PATTERN.exec(text);
+  if (!match) {
+    return {};
+  }
+  
+  const [phrase, departWord, , hourText, minuteText, meridiem, namedTime] = match;
+  const isBareHour = !namedTime && minuteText === undefined && !meridiem;
+  if (isBareHour && !BARE_HOUR_FOLLOWERS.test(text.slice(match.index + phrase.length))) {
+    return {};
+  }
+  
+  const dayMatch = text.match(TRIP_DAY_PATTERN);
+  const matched = [phrase, dayMatch ? dayMatch[0] : null].filter(Boolean);
+  const timeText = phrase.replace(/^\S+(?:\s+(?:off|there))?\s+(?:(?:at|by|around|before|for|from)\s+)?/i, '');
+  
+  let hours;
+  let minutes = 0;
+  if (namedTime) {
+    hours = /midnight/i.test(namedTime) ? 24 : 12;
+  } else {
+    hours = Number(hourText);
+    minutes = minuteText === undefined ? 0 : Number(minuteText);
+    
+    const validHour = meridiem ? hours >= 1 && hours <= 12 : hours <= 23;
+    if (!validHour || minutes > 59) {
+      return { timeError: `"${timeText}" is not a valid time.`, matched };
+    }
+    
+    if (meridiem) {
+      hours = (hours % 12) + (meridiem.toLowerCase() === 'p' ? 12 : 0);
+    } else if (dayMatch && /tonight/i.test(dayMatch[1] || '') && hours < 12) {
+      // "Leave at 8 tonight" means the evening
+      hours += 12;
+    }
+  }
+  
+  const date = new Date(now.getFullYear(), now.getMonth(), now.getDate(), hours, minutes);
+  if (dayMatch && /tomorrow/i.test(dayMatch[1] || '')) {
+    date.setDate(date.getDate() + 1);
+  } else if (dayMatch && dayMatch[2]) {
+    // The next such day, or a week on when it is today and the time has passed
+    let ahead = (WEEKDAYS.indexOf(dayMatch[2].toLowerCase()) - now.getDay() + 7) % 7;
+    if (ahead === 0 && date < now) {
+      ahead = 7;
+    }
+    date.setDate(date.getDate() + ahead);
+  }
+  
+  const key = departWord ? 'departAt' : 'arriveBy';
+  return { [key]: toLocalDateTime(date), matched };
+}
+
+/**
+ * Check a daily limit or number of days
+ * @param {Object} limit - { maxDailyHours, tripDays }
+ * @returns {Object} - The same fields, each null when it is missing or out of range
+ */
+function normalizeDailyLimit({ maxDailyHours, tripDays }) {
+  const hours = Number(maxDailyHours);
+  const days = Number(tripDays);
+  return {
+    maxDailyHours: maxDailyHours && hours >= MIN_DAILY_HOURS && hours <= MAX_DAILY_HOURS ? hours : null,
+    tripDays: tripDays && Number.isInteger(days) && days >= 1 && days <= MAX_TRIP_DAYS ? days : null
+  };
+}
+
+/**
+ * Detect a daily travel limit or a number of days for a long trip
+ * @param {string} query - The user's natural language query
+ * @returns {Object} - { maxDailyHours } or { tripDays } when one was found, otherwise {}
+ */
+function extractDailyLimitWithRegex(query) {
+  const text = String(query || '');
+  
+  // Patterns are global, so test fresh copies to avoid lastIndex carrying over between calls
+  const hours = new RegExp(DAILY_LIMIT_PATTERN).exec(text);
+  if (hours) {
+    const { maxDailyHours } = normalizeDailyLimit({ maxDailyHours: parseFloat(hours[1]) });
+    return maxDailyHours ? { maxDailyHours } : {};
+  }
+  
+  const days = new RegExp(TRIP_DAYS_PATTERN).exec(text);
+  if (days) {
+    const count = NUMBER_WORDS.includes(days[1].toLowerCase()) ?
+      NUMBER_WORDS.indexOf(days[1].toLowerCase()) :
+      parseInt(days[1], 10);
+    const { tripDays } = normalizeDailyLimit({ tripDays: count });
+    return tripDays ? { tripDays } : {};
+  }
+  
+  return {};
+}
+
+/**
+ * Make sure a daily limit or number of days Gemini missed still reaches the preferences
+ * @param {Object} formatted - A route result from the regex or Gemini paths
+ * @param {string} query - The user's query
+ * @returns {Object} - The same result, with maxDailyHours or tripDays set when one was found
+ */
+function addDailyLimitIntent(formatted, query) {
+  if (!formatted || !formatted.preferences) {
+    return formatted;
+  }
+  
+  const limit = extractDailyLimitWithRegex(query);
+  if (limit.maxDailyHours || limit.tripDays) {
+    console.log('Detected daily limit:', limit);
+    formatted.preferences = {
+      ...formatted.preferences,
+      maxDailyHours: limit.maxDailyHours || null,
+      tripDays: limit.tripDays || null
+    };
+  }
+  return formatted;
+}
+
+/**
+ * Check an electric vehicle's range and starting charge
+ * @param {Object} ev - { evRangeKm, startChargePercent }
+ * @returns {Object} - The same fields, each null when it is missing or out of range
+ */
+function normalizeEvRange({ evRangeKm, startChargePercent }) {
+  const range = Number(evRangeKm);
+  const charge = Number(startChargePercent);
+  return {
+    evRangeKm: evRangeKm && range >= MIN_EV_RANGE_KM && range <= MAX_EV_RANGE_KM ? Math.round(range) : null,
+    startChargePercent: startChargePercent && charge > 0 && charge <= 100 ? charge : null
+  };
+}
+
+/**
+ * Detect an electric vehicle's range and starting charge
+ * @param {string} query - The user's natural language query
+ * @returns {Object} - evRangeKm and startChargePercent, for those that were found
+ */
+function extractEvRangeWithRegex(query) {
+  const text = String(query || '');
+  const found = {};
+  
+  // Patterns are global, so test fresh copies to avoid lastIndex carrying over between calls
+  const range = new RegExp(EV_RANGE_PATTERN).exec(text);
+  if (range) {
+    const value = parseFloat(range[1] || range[3]);
+    const unit = (range[2] || range[4]).toLowerCase();
+    found.evRangeKm = unit.startsWith('mi') ? value * KM_PER_MILE : value;
+  }
+  
+  const charge = new RegExp(START_CHARGE_PATTERN).exec(text);
+  if (charge) {
+    found.startChargePercent = parseFloat(charge[1] || charge[2]);
+  }
+  
+  const normalized = normalizeEvRange(found);
+  return Object.fromEntries(Object.entries(normalized).filter(([, value]) => value !== null));
+}
+
+/**
+ * Make sure an electric vehicle's range or starting charge Gemini missed still reaches the preferences
+ * @param {Object} formatted - A route result from the regex or Gemini paths
+ * @param {string} query - The user's query
+ * @returns {Object} - The same result, with evRangeKm or startChargePercent set when found
+ */
+function addEvRangeIntent(formatted, query) {
+  if (!formatted || !formatted.preferences) {
+    return formatted;
+  }
+  
+  const ev = extractEvRangeWithRegex(query);
+  if (Object.keys(ev).length > 0) {
+    console.log('Detected EV range:', ev);
+    formatted.preferences = { ...formatted.preferences, ...ev };
+  }
+  return formatted;
+}
+
+/**
+ * Add what the regex patterns read from the query that Gemini may have missed or misread:
+ * departure and arrival times, the mode of each leg, daily limits and EV range
+ * @param {Object} formatted - A route result from the regex or Gemini paths
+ * @param {string} query - The user's query
+ * @returns {Object} - The same result with the detected preferences set
+ */
+function addQueryIntents(formatted, query) {
+  return [addTripTimeIntent, addLegModeIntent, addDailyLimitIntent, addEvRangeIntent]
+    .reduce((result, addIntent) => addIntent(result, query), formatted);
+}
+
+/**
+ * Make sure a departure or arrival time in the query reaches the preferences
+ * The regex reading replaces Gemini's, since it resolves "tomorrow" against the
+ * browser's clock; a time that cannot be read is reported as timeError
+ * @param {Object} formatted - A route result from the regex or Gemini paths
+ * @param {string} query - The user's query
+ * @returns {Object} - The same result with departAt or arriveBy set, or timeError
+ */
+function addTripTimeIntent(formatted, query) {
+  if (!formatted || !formatted.preferences) {
+    return formatted;
+  }
+  
+  const tripTime = extractTripTimeWithRegex(query);
+  if (tripTime.timeError) {
+    formatted.timeError = tripTime.timeError;
+  } else if (tripTime.departAt || tripTime.arriveBy) {
+    console.log('Detected trip time:', tripTime);
+    formatted.preferences = {
+      ...formatted.preferences,
+      departAt: tripTime.departAt || null,
+      arriveBy: tripTime.arriveBy || null
+    };
+  }
+  return formatted;
+}
+
+/**
+ * Find the modes named in a piece of text
+ * @param {string} text - Text between two destinations
+ * @param {Object} patterns - LEG_MODE_VERBS or LEG_MODE_SUFFIXES
+ * @returns {Array<{mode: string, index: number}>} - In the order they appear
+ */
+function findLegModes(text, patterns) {
+  return LEG_MODES
+    .flatMap(mode => [...text.matchAll(patterns[mode])].map(match => ({ mode, index: match.index })))
+    .sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Extract a mode for each leg using regex patterns
+ * The query is split at each "to"; a mode phrase straight after a destination ("by car")
+ * sets the leg to it, and a verb before the next "to" ("cycle"), or any mode named after
+ * "then", sets the leg after. Legs that name no mode keep the one before
+ * @param {string} query - The user's natural language query
+ * @returns {Array<string>|null} - One mode per leg, or null when fewer than two modes are named
+ */
+function extractLegModesWithRegex(query) {
+  const parts = removeTripTime(query).split(/\s+to\s+/i);
+  const legModes = new Array(parts.length - 1).fill(null);
+
+  parts.forEach((part, index) => {
+    const [head, ...rest] = part.split(/\bthen\b/i);
+    const tail = rest.join(' ');
+
+    const suffixes = findLegModes(head, LEG_MODE_SUFFIXES);
+    if (index > 0 && suffixes.length > 0) {
+      legModes[index - 1] = suffixes[0].mode;
+    }
+
+    const verbs = findLegModes(Object.values(LEG_MODE_SUFFIXES)
+      .reduce((text, pattern) => text.replace(pattern, ' '), head), LEG_MODE_VERBS);
+    const next = [...findLegModes(tail, LEG_MODE_SUFFIXES), ...findLegModes(tail, LEG_MODE_VERBS)]
+      .sort((a, b) => a.index - b.index);
+    const named = next.length > 0 ? next : verbs;
+    if (index < legModes.length && named.length > 0) {
+      legModes[index] = named[named.length - 1].mode;
+    }
+  });
+
+  // Legs before the first named mode use it too
+  const first = legModes.find(Boolean);
+  if (!first) {
+    return null;
+  }
+  let previous = first;
+  const filled = legModes.map(mode => (previous = mode || previous));
+  return new Set(filled).size > 1 ? filled : null;
+}
+
+/**
+ * Remove the mode phrases of a trip that changes mode, so they are not read as places
+ * @param {string} query - The user's query
+ * @returns {string}
+ */
+function removeLegModes(query) {
+  if (!extractLegModesWithRegex(query)) {
+    return query;
+  }
+  return [...Object.values(LEG_MODE_SUFFIXES), ...Object.values(LEG_MODE_VERBS), /,?\s*\bthen\b/gi]
+    .reduce((text, pattern) => text.replace(pattern, ' '), query);
+}
+
+/**
+ * Make sure the modes of each leg in the query reach the preferences
+ * Gemini's reading is kept when it fits the stops; the regex reading fills in otherwise
+ * @param {Object} formatted - A route result from the regex or Gemini paths
+ * @param {string} query - The user's query
+ * @returns {Object} - The same result, with legModes set when the trip changes mode
+ */
+function addLegModeIntent(formatted, query) {
+  if (!formatted || !formatted.preferences || !Array.isArray(formatted.locations) ||
+      formatted.preferences.legModes) {
+    return formatted;
+  }
+  
+  const legModes = normalizeLegModes(extractLegModesWithRegex(query), formatted.locations.length);
+  if (legModes) {
+    console.log('Detected leg modes:', legModes);
+    formatted.preferences = {
+      ...formatted.preferences,
+      transportMode: legModes[0],
+      legModes
+    };
+  }
+  return formatted;
+}
+
+/**
+ * Remove a departure or arrival time from a query so it is not read as a place
+ * @param {string} query - The user's query
+ * @returns {string}
+ */
+function removeTripTime(query) {
+  const { matched = [] } = extractTripTimeWithRegex(query);
+  return matched
+    .reduce((text, phrase) => text.replace(phrase, ' '), query)
+    // Commas that introduced the time, e.g. "to York, leave at 8am"
+    .replace(/\s*,(?=[\s,]*$)/g, '')
+    .replace(/\s*,\s*(?=,)/g, '');
+}
+
+/**
+ * Find which avoid flags a piece of text names, e.g. "tolls and ferries"
+ * @param {string} text - Lower-case text listing road types
+ * @returns {Array<string>} - Preference keys such as 'avoidTolls'
+ */
+function getAvoidanceFlags(text) {
+  const flags = [];
+  
+  if (/cash[\s-]*only\s+tolls?/.test(text)) {
+    flags.push('avoidCashOnlyTolls');
+  }
+  if (/(?<!cash[\s-]*only\s+)\btolls?\b|toll\s*roads?/.test(text)) {
+    flags.push('avoidTolls');
+  }
+  if (/\b(?:highways?|freeways?|motorways?|interstates?)\b/.test(text)) {
+    flags.push('avoidHighways');
+  }
+  if (/\bferr(?:y|ies)\b/.test(text)) {
+    flags.push('avoidFerries');
+  }
+  if (/\b(?:unpaved|dirt|gravel)\b/.test(text)) {
+    flags.push('avoidUnpaved');
+  }
+  
+  return flags;
 }
 
 /**
@@ -283,13 +1055,20 @@ function validateAndFormatResponse(response) {
 function extractLocationsWithRegex(query) {
   console.log('Using regex fallback extraction for:', query);
   
-  // Default preferences
-  const preferences = {
-    transportMode: 'driving',
-    avoidTolls: false,
-    avoidHighways: false,
-    avoidFerries: false
-  };
+  // Extract avoidance preferences and any request to reorder the stops
+  const preferences = { ...extractPreferencesWithRegex(query), ...extractStopOrderWithRegex(query) };
+  
+  // Phrases like "in any order", "leave at 8am", "then cycle" or "over 4 days" are not places
+  query = removeLegModes(removeTripTime(query))
+    .replace(OPTIMIZE_ORDER_PATTERN, ' ')
+    .replace(DAILY_LIMIT_PATTERN, ' ')
+    .replace(TRIP_DAYS_PATTERN, ' ')
+    .replace(EV_RANGE_PATTERN, ' ')
+    .replace(START_CHARGE_PATTERN, ' ')
+    .replace(ROUND_TRIP_PATTERN, ' ')
+    .replace(/\s+/g, ' ')
+    .replace(/[\s,]+$/, '')
+    .trim();
   
   // Extract transport mode
   const transportModeMatch = query.match(/(?:by|using|with|via)\s+(car|driving|walking|cycling|bike|transit|bus|train)/i);
@@ -306,17 +1085,6 @@ function extractLocationsWithRegex(query) {
     }
   }
   
-  // Extract avoidance preferences
-  if (query.match(/avoid(?:ing)?\s+(?:toll|tolls)/i)) {
-    preferences.avoidTolls = true;
-  }
-  if (query.match(/avoid(?:ing)?\s+(?:highway|highways|freeway|freeways)/i)) {
-    preferences.avoidHighways = true;
-  }
-  if (query.match(/avoid(?:ing)?\s+(?:ferry|ferries)/i)) {
-    preferences.avoidFerries = true;
-  }
-  
   // Extract locations using various patterns
   let locations = [];
   
@@ -367,8 +1135,498 @@ function extractLocationsWithRegex(query) {
   };
 }
 
+/**
+ * Split a list of places such as "London, Paris and Berlin"
+ * @param {string} text - The list
+ * @returns {Array<string>}
+ */
+function splitPlaceList(text) {
+  return text
+    .split(/\s*(?:,|;|&|\band\b)\s*/i)
+    .map(cleanPlaceName)
+    .filter(place => place.length > 0);
+}
+
+/**
+ * Tidy isochrone contours from Gemini: whole, positive, distinct values, at most four
+ * @param {Object} isochrone - { minutes } or { meters }
+ * @returns {Object|null} - { minutes } or { meters }, or null when there are no usable values
+ */
+function toIsochroneContours(isochrone) {
+  const metric = Array.isArray(isochrone.minutes) && isochrone.minutes.length > 0 ? 'minutes' : 'meters';
+  const values = [...new Set((isochrone[metric] || [])
+    .map(value => Math.round(Number(value)))
+    .filter(value => Number.isFinite(value) && value > 0))]
+    .sort((a, b) => a - b)
+    .slice(0, MAX_ISOCHRONE_CONTOURS);
+  
+  return values.length > 0 ? { [metric]: values } : null;
+}
+
+/**
+ * Recognise a request for the areas reachable from a place, e.g. "everywhere within
+ * 15 and 30 minutes' walk of Central Park" or "where can I get to in 5 km by bike"
+ * @param {string} query - The user's natural language query
+ * @returns {Object|null} - { isIsochrone: true, origin, contours, preferences }, or null when
+ *   the query is not an isochrone request; origin is null when no place was named
+ */
+function extractIsochroneRequestWithRegex(query) {
+  if (!ISOCHRONE_PATTERN.test(query)) {
+    return null;
+  }
+  
+  const contourMatch = query.match(CONTOUR_PATTERN);
+  if (!contourMatch) {
+    return null;
+  }
+  
+  // Hours become minutes and kilometres or miles become metres
+  const unit = contourMatch[2].toLowerCase();
+  const numbers = contourMatch[1].match(/\d+(?:\.\d+)?/g).map(Number);
+  const isTime = /^(?:min|h)/.test(unit);
+  const scale = /^h/.test(unit) ? 60 : /^k/.test(unit) ? 1000 : /^mi(?!n)/.test(unit) ? 1609.344 : 1;
+  const contours = toIsochroneContours({ [isTime ? 'minutes' : 'meters']: numbers.map(value => value * scale) });
+  
+  const preferences = { ...DEFAULT_PREFERENCES };
+  const modeMatch = query.match(editPattern(String.raw`\b${MODE_WORD}\b`));
+  if (modeMatch) {
+    preferences.transportMode = toTransportMode(modeMatch[0].trim());
+  }
+  
+  // The origin follows "of", "from", "around" or "near" once the contours and mode are removed
+  const text = query
+    .replace(/[.!?]+$/, '')
+    .replace(contourMatch[0], ' ')
+    .replace(editPattern(String.raw`\s*\b(?:by|on)?\s*(?:a\s+)?${MODE_WORD}\b`), ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  const originMatch = text.match(/\b(?:of|from|around|near|starting\s+(?:at|from))\s+(.+)$/i);
+  const origin = originMatch ? cleanPlaceName(originMatch[1].replace(/^(?:here|me)$/i, '')) : '';
+  
+  return {
+    isIsochrone: true,
+    origin: origin || null,
+    contours,
+    preferences
+  };
+}
+
+/**
+ * Recognise a request for a distance matrix, e.g. "distance matrix from London, Paris
+ * to Madrid and Rome" or "how far is each of Leeds, York from each of Hull, Derby"
+ * @param {string} query - The user's natural language query
+ * @returns {Object|null} - { isMatrix: true, origins, destinations, preferences }, or null
+ *   when the query is not a matrix request
+ */
+function extractMatrixRequestWithRegex(query) {
+  if (!MATRIX_PATTERN.test(query)) {
+    return null;
+  }
+  
+  const preferences = { ...DEFAULT_PREFERENCES };
+  let text = query.trim().replace(/[.!?]+$/, '');
+  
+  // "by bike", "for walking" and the like set the mode and are not places
+  text = text.replace(editPattern(String.raw`\s*\b(?:by|on|for|when)\s+(?:a\s+)?${MODE_WORD}\b`), (match, word) => {
+    preferences.transportMode = toTransportMode(word);
+    return '';
+  });
+  text = text.replace(/\s+(walking|cycling|driving)$/i, (match, word) => {
+    preferences.transportMode = toTransportMode(word);
+    return '';
+  });
+  
+  // Drop the lead-in so only the place lists remain
+  text = text
+    .replace(/^.*?\b(?:distance|travel[\s-]*time|drive[\s-]*time|driving[\s-]*time|duration)s?\s+(?:matrix|table|grid)\b\s*(?:for|of|between|from)?\s*/i, match => (/from\s*$/i.test(match) ? 'from ' : ''))
+    .replace(/^\s*how\s+far\s+(?:is|are)\s+(?:each|every|all)\s+of\s+/i, '')
+    .trim();
+  
+  let origins;
+  let destinations;
+  const fromTo = text.match(/^(?:from\s+)?(?:each\s+of\s+)?(.+?)\s+to\s+(?:each\s+of\s+)?(.+)$/i);
+  const toFrom = text.match(/^(.+?)\s+from\s+(?:each\s+of\s+)?(.+)$/i);
+  
+  if (fromTo) {
+    origins = splitPlaceList(fromTo[1]);
+    destinations = splitPlaceList(fromTo[2]);
+  } else if (toFrom) {
+    // "how far is X from Y" measures from Y to X
+    origins = splitPlaceList(toFrom[2]);
+    destinations = splitPlaceList(toFrom[1]);
+  } else {
+    origins = splitPlaceList(text.replace(/^(?:from|between)\s+/i, ''));
+    destinations = origins;
+  }
+  
+  if (origins.length === 0 || destinations.length === 0 || (origins === destinations && origins.length < 2)) {
+    return null;
+  }
+  
+  return {
+    isMatrix: true,
+    origins,
+    destinations,
+    preferences
+  };
+}
+
+// A place name inside a follow-up: words up to a connective like "and", "before" or "instead"
+const PLACE = String.raw`([\p{L}\d'.-]+(?:\s+(?!(?:and|then|before|after|instead|at|as|on|in|with|first|last|too|also|please|from|to|via|but|now)\b)[\p{L}\d'.-]+)*)`;
+
+// Road types that can be avoided or allowed, as a list like "tolls and ferries"
+const ROAD_TYPE = String.raw`(?:cash[\s-]*only\s+)?tolls?(?:\s+roads?)?|highways?|freeways?|motorways?|interstates?|ferr(?:y|ies)|(?:unpaved|dirt|gravel)(?:\s+roads?)?`;
+const ROAD_TYPE_LIST = String.raw`((?:${ROAD_TYPE})(?:(?:\s*,\s*|\s+(?:and|or)\s+)(?:${ROAD_TYPE}))*)`;
+
+// Transport mode words used in follow-ups such as "make it walking" or "by bike instead"
+const MODE_WORD = String.raw`(walk(?:ing)?|foot|cycl(?:e|ing)|bik(?:e|ing)|bicycle|driv(?:e|ing)|car|transit|public transport|bus|train)`;
+
+// Shown when a follow-up asks for buses or trains
+const PUBLIC_TRANSPORT_ERROR = 'Public transport routes are not supported, so the route keeps its current mode.';
+
+// A query that spells out a whole route starts a new plan instead of editing the current one
+const NEW_ROUTE_PATTERN = /\bfrom\s+\S.*?\s+to\s+\S/i;
+
+// Where a stop goes when a follow-up names a position rather than a neighbouring stop
+const POSITION_WORDS = {
+  start: 'origin',
+  beginning: 'origin',
+  origin: 'origin',
+  'starting point': 'origin',
+  end: 'destination',
+  destination: 'destination',
+  'first stop': 'first',
+  first: 'first',
+  'last stop': 'last',
+  'final stop': 'last',
+  last: 'last'
+};
+
+/**
+ * Build a case-insensitive, Unicode-aware pattern from a template using PLACE and friends
+ * @param {string} source - The pattern source
+ * @returns {RegExp}
+ */
+function editPattern(source) {
+  return new RegExp(source, 'giu');
+}
+
+/**
+ * Normalise a place name for comparison: lower case, no leading "the", no punctuation
+ * @param {string} name - A place name
+ * @returns {string}
+ */
+function normalisePlaceName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/^the\s+/, '')
+    .replace(/[^\p{L}\d]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Find a stop in the current plan by name, allowing partial matches such as "Lyon" for "Lyon, France"
+ * @param {Array<string>} locations - The current stops
+ * @param {string} name - The name used in the follow-up
+ * @returns {number} - The stop index, or -1 when no stop matches
+ */
+function findStopIndex(locations, name) {
+  const target = normalisePlaceName(name);
+  if (!target) {
+    return -1;
+  }
+  
+  const exact = locations.findIndex(location => normalisePlaceName(location) === target);
+  if (exact !== -1) {
+    return exact;
+  }
+  
+  return locations.findIndex(location => {
+    const candidate = normalisePlaceName(location);
+    return candidate.includes(target) || target.includes(candidate);
+  });
+}
+
+/**
+ * Turn a transport mode word from a follow-up into a preference value
+ * @param {string} word - e.g. "walk", "bike" or "car"
+ * @returns {string|null} - 'driving', 'walking' or 'cycling'; null for public transport,
+ *   which the directions backends cannot route
+ */
+function toTransportMode(word) {
+  if (/^(?:walk|foot)/i.test(word)) {
+    return 'walking';
+  }
+  if (/^(?:cycl|bik|bicycle)/i.test(word)) {
+    return 'cycling';
+  }
+  if (/^(?:transit|public|bus|train)/i.test(word)) {
+    return null;
+  }
+  return 'driving';
+}
+
+/**
+ * Clean a place name captured from a follow-up
+ * @param {string} name - The captured text
+ * @returns {string}
+ */
+function cleanPlaceName(name) {
+  return String(name || '').trim().replace(/[.,!?;:]+$/, '');
+}
+
+/**
+ * Recognise the common follow-up phrases that edit a route, in the order they appear
+ * Each recognised phrase is blanked out so that later, looser patterns cannot match it again
+ * @param {string} query - The follow-up query
+ * @returns {Array<Object>} - Edit operations, see applyRouteEdits
+ */
+function parseRouteEdits(query) {
+  let text = ` ${query.trim().replace(/[.!?]+$/, '')} `;
+  const edits = [];
+  
+  const take = (pattern, toEdits) => {
+    text = text.replace(pattern, (match, ...groups) => {
+      const found = [].concat(toEdits(...groups) || []);
+      if (found.length === 0) {
+        return match;
+      }
+      edits.push(...found);
+      return ' '.repeat(match.length);
+    });
+  };
+  const position = word => POSITION_WORDS[String(word || '').toLowerCase()] || 'last';
+  
+  // Allowing road types again: "allow tolls", "don't avoid highways", "ferries are fine"
+  take(editPattern(String.raw`\b(?:allow(?:ing)?|use|don'?t avoid|do not avoid|stop avoiding|ok(?:ay)? with)\s+(?:the\s+)?${ROAD_TYPE_LIST}`),
+    list => getAvoidanceFlags(list.toLowerCase()).map(name => ({ type: 'preference', name, value: false })));
+  take(editPattern(String.raw`\b${ROAD_TYPE_LIST}\s+(?:are|is)\s+(?:fine|ok(?:ay)?|allowed)\b`),
+    list => getAvoidanceFlags(list.toLowerCase()).map(name => ({ type: 'preference', name, value: false })));
+  
+  // Replacing stops: "replace Lyon with Dijon", "go to Dijon instead of Lyon"
+  take(editPattern(String.raw`\breplace\s+${PLACE}\s+with\s+${PLACE}`),
+    (from, to) => ({ type: 'replace', from: cleanPlaceName(from), location: cleanPlaceName(to) }));
+  take(editPattern(String.raw`\b(?:go (?:to|through|via)|visit|stop (?:in|at)|use|pick)\s+${PLACE}\s+instead of\s+${PLACE}`),
+    (to, from) => ({ type: 'replace', from: cleanPlaceName(from), location: cleanPlaceName(to) }));
+  take(editPattern(String.raw`\b(?:change|switch|set)\s+(?:the\s+)?(destination|end|start|starting point|origin)\s+to\s+${PLACE}`),
+    (which, to) => ({ type: 'replace', position: position(which), location: cleanPlaceName(to) }));
+  take(editPattern(String.raw`\b(?:start|begin|leave|depart)(?:ing)?\s+(?:from|in|at)\s+${PLACE}`),
+    to => ({ type: 'replace', position: 'origin', location: cleanPlaceName(to) }));
+  take(editPattern(String.raw`\b(?:end|finish|arrive)(?:ing)?\s+(?:up\s+)?(?:in|at)\s+${PLACE}`),
+    to => ({ type: 'replace', position: 'destination', location: cleanPlaceName(to) }));
+  take(editPattern(String.raw`\bgo to\s+${PLACE}\s+instead\b`),
+    to => ({ type: 'replace', position: 'destination', location: cleanPlaceName(to) }));
+  
+  // Stop order: "optimise the order", "keep the order I typed", "make it a round trip"
+  take(KEEP_ORDER_PATTERN, () => ({ type: 'order', optimize: false }));
+  take(OPTIMIZE_ORDER_PATTERN, () => ({ type: 'order', optimize: true }));
+  take(/\b(?:make\s+it\s+a\s+)?round[\s-]?trip\b|\b(?:and\s+)?(?:come|go)\s+back\s+to\s+(?:the\s+)?(?:start|beginning)\b/gi,
+    () => ({ type: 'order', roundTrip: true }));
+  
+  // Reordering: "reverse the route", "swap Lyon and Dijon", "make Lyon the last stop"
+  take(/\breverse\b|\b(?:the\s+)?other way (?:round|around)\b|\bbackwards\b/gi, () => ({ type: 'reverse' }));
+  take(editPattern(String.raw`\bswap\s+${PLACE}\s+and\s+${PLACE}`),
+    (first, second) => ({ type: 'swap', first: cleanPlaceName(first), second: cleanPlaceName(second) }));
+  take(editPattern(String.raw`\bmake\s+${PLACE}\s+the\s+(first stop|last stop|final stop|destination|starting point|start|origin)\b`),
+    (name, which) => ({ type: 'add', location: cleanPlaceName(name), position: position(which) }));
+  
+  // Removing stops: "remove Lyon", "skip the stop in Dijon", "without stopping in Lyon"
+  take(editPattern(String.raw`\b(?:remove|skip|drop|delete|take out|cut|don'?t (?:go through|stop (?:in|at)|visit)|no longer (?:visit|stop (?:in|at)))\s+(?:the\s+(?:stop|visit)\s+(?:in|at|to)\s+)?${PLACE}`),
+    name => ({ type: 'remove', location: cleanPlaceName(name) }));
+  take(editPattern(String.raw`\bwithout\s+(?:stopping|going|passing)\s+(?:in|at|through|by|via)\s+${PLACE}`),
+    name => ({ type: 'remove', location: cleanPlaceName(name) }));
+  
+  // Changing the transport mode: "make it walking", "let's cycle", "by bike instead"; before the stops,
+  // so "go by bus" is not read as a stop in "bus"
+  take(editPattern(String.raw`\b(?:make it|switch(?: it)? to|change(?: it| the mode)? to|let'?s|go|travel|get there|take)\s+(?:by\s+|on\s+)?(?:a\s+|the\s+)?${MODE_WORD}\b`),
+    word => ({ type: 'mode', transportMode: toTransportMode(word) }));
+  take(editPattern(String.raw`\b(?:by|on)\s+(?:a\s+)?${MODE_WORD}\b`),
+    word => ({ type: 'mode', transportMode: toTransportMode(word) }));
+  take(editPattern(String.raw`^\s*${MODE_WORD}(?:\s+instead)?\s*$`),
+    word => ({ type: 'mode', transportMode: toTransportMode(word) }));
+  
+  // Adding or moving stops relative to another: "visit Lyon before Dijon", "add Lyon after Paris"
+  take(editPattern(String.raw`\b(?:add|insert|include|visit|see|put|go (?:to|through|via)|stop (?:in|at))\s+(?:a\s+stop(?:over)?\s+(?:in|at)\s+)?${PLACE}\s+(before|after)\s+${PLACE}`),
+    (name, relation, neighbour) => ({ type: 'add', location: cleanPlaceName(name), [relation.toLowerCase()]: cleanPlaceName(neighbour) }));
+  
+  // Adding or moving stops by position: "add a stop in Lyon", "go to Lyon first", "then continue to Nice"
+  take(editPattern(String.raw`\b(?:visit|see|go to|do|stop (?:in|at))\s+${PLACE}\s+(first|last)\b`),
+    (name, which) => ({ type: 'add', location: cleanPlaceName(name), position: position(which) }));
+  take(editPattern(String.raw`\b(?:add|insert|include)\s+(?:a\s+stop(?:over)?\s+(?:in|at)\s+)?${PLACE}(?:\s+(?:at|as)\s+the\s+(start|beginning|end|origin|destination|first stop|last stop))?`),
+    (name, which) => ({ type: 'add', location: cleanPlaceName(name), position: position(which) }));
+  take(editPattern(String.raw`\b(?:and\s+)?(?:then\s+)?(?:continue|carry on|go on|keep going)\s+(?:on\s+)?to\s+${PLACE}`),
+    name => ({ type: 'add', location: cleanPlaceName(name), position: 'destination' }));
+  take(editPattern(String.raw`\b(?:also\s+)?(?:stop|pass|go)\s+(?:in|at|through|via|by)\s+${PLACE}`),
+    name => ({ type: 'add', location: cleanPlaceName(name), position: 'last' }));
+  take(editPattern(String.raw`\balso\s+visit\s+${PLACE}`),
+    name => ({ type: 'add', location: cleanPlaceName(name), position: 'last' }));
+  
+  // Avoiding road types: "now avoid tolls", "no ferries"
+  const avoided = extractPreferencesWithRegex(text);
+  Object.keys(avoided)
+    .filter(name => avoided[name] === true)
+    .forEach(name => edits.push({ type: 'preference', name, value: true }));
+  
+  return edits;
+}
+
+/**
+ * Apply edit operations to the current plan
+ * Operations are { type, ... } where type is one of:
+ *   add (location, with before/after a stop or position origin/first/last/destination;
+ *        a stop that is already in the plan is moved instead),
+ *   remove (location), replace (location, with from or position), swap (first, second),
+ *   reverse, mode (transportMode), preference (name, value) or
+ *   order (optimize and/or roundTrip, to reorder the stops for speed or return to the start)
+ * @param {Object} session - The current plan: { locations, preferences }
+ * @param {Array<Object>} edits - Operations from parseRouteEdits
+ * @returns {{locations: Array<string>, preferences: Object, applied: Array<Object>}} -
+ *   applied holds the operations that matched the plan, with stop names as they appear in it
+ */
+function applyRouteEdits(session, edits) {
+  const locations = [...session.locations];
+  const preferences = { ...DEFAULT_PREFERENCES, ...(session.preferences || {}) };
+  const applied = [];
+  
+  const indexFor = position => {
+    switch (position) {
+      case 'origin':
+        return 0;
+      case 'first':
+        return Math.min(1, locations.length);
+      case 'destination':
+        return locations.length;
+      default:
+        return Math.max(0, locations.length - 1);
+    }
+  };
+  
+  edits.forEach(edit => {
+    switch (edit.type) {
+      case 'add': {
+        const existing = findStopIndex(locations, edit.location);
+        const location = existing === -1 ? edit.location : locations[existing];
+        if (existing !== -1) {
+          locations.splice(existing, 1);
+        }
+        
+        const neighbour = findStopIndex(locations, edit.before || edit.after);
+        let index = indexFor(edit.position);
+        if (neighbour !== -1) {
+          index = edit.after ? neighbour + 1 : neighbour;
+        }
+        
+        locations.splice(index, 0, location);
+        applied.push({ ...edit, type: existing === -1 ? 'add' : 'move', location });
+        break;
+      }
+      case 'remove': {
+        const index = findStopIndex(locations, edit.location);
+        if (index !== -1) {
+          applied.push({ ...edit, location: locations[index] });
+          locations.splice(index, 1);
+        }
+        break;
+      }
+      case 'replace': {
+        const index = edit.from ?
+          findStopIndex(locations, edit.from) :
+          (edit.position === 'origin' ? 0 : locations.length - 1);
+        if (index !== -1 && locations.length > 0) {
+          applied.push({ ...edit, from: locations[index] });
+          locations[index] = edit.location;
+        }
+        break;
+      }
+      case 'swap': {
+        const first = findStopIndex(locations, edit.first);
+        const second = findStopIndex(locations, edit.second);
+        if (first !== -1 && second !== -1 && first !== second) {
+          [locations[first], locations[second]] = [locations[second], locations[first]];
+          applied.push({ ...edit, first: locations[second], second: locations[first] });
+        }
+        break;
+      }
+      case 'reverse':
+        locations.reverse();
+        applied.push(edit);
+        break;
+      case 'mode':
+        // Public transport has no mode to switch to, so the current one is kept
+        if (!edit.transportMode) {
+          break;
+        }
+        // One mode for the whole trip replaces the mode of each leg, as on the Gemini path
+        preferences.transportMode = edit.transportMode;
+        preferences.legModes = null;
+        applied.push(edit);
+        break;
+      case 'preference':
+        preferences[edit.name] = edit.value;
+        applied.push(edit);
+        break;
+      case 'order':
+        if (edit.optimize !== undefined) {
+          preferences.optimizeOrder = edit.optimize;
+        }
+        if (edit.roundTrip !== undefined) {
+          preferences.roundTrip = edit.roundTrip;
+        }
+        applied.push(edit);
+        break;
+      default:
+        console.warn('Unknown route edit:', edit);
+    }
+  });
+  
+  return { locations, preferences, applied };
+}
+
+/**
+ * Recognise a follow-up query as an edit to the current route using regex patterns
+ * @param {string} query - The user's follow-up query
+ * @param {Object} session - The current plan: { locations, preferences }
+ * @returns {Object|null} - { locations, preferences, isEdit: true, edits }, plus modeError when
+ *   the query asked for public transport; null when there is no current route or the query is
+ *   not a recognised edit
+ */
+function extractRouteEditWithRegex(query, session) {
+  if (!session || !Array.isArray(session.locations) || session.locations.length < 2) {
+    return null;
+  }
+  
+  if (NEW_ROUTE_PATTERN.test(query)) {
+    return null;
+  }
+  
+  const edits = parseRouteEdits(query);
+  const { locations, preferences, applied } = applyRouteEdits(session, edits);
+  
+  // "Go by bus" is still answered, so it is not looked up as a place called "bus"
+  const modeError = edits.some(edit => edit.type === 'mode' && !edit.transportMode) ?
+    PUBLIC_TRANSPORT_ERROR :
+    null;
+  
+  if (applied.length === 0 && !modeError) {
+    return null;
+  }
+  
+  return {
+    locations,
+    preferences,
+    isEdit: true,
+    edits: applied,
+    ...(modeError ? { modeError } : {})
+  };
+}
+
 // Export the functions
 export { 
   processNaturalLanguage,
-  extractLocationsWithRegex
+  extractTripTimeWithRegex,
+  extractLegModesWithRegex,
+  extractDailyLimitWithRegex,
+  extractEvRangeWithRegex,
+  extractLocationsWithRegex,
+  extractRouteEditWithRegex
 };
\ No newline at end of file
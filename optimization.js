@@ -0,0 +1,127 @@
+// Stop-order optimisation: reorder many stops for the fastest route, and round trips
+import { formatDuration } from './formatting.js';
+
+/**
+ * Check whether two stops are the same place
+ * @param {Object} a - A geocoded stop
+ * @param {Object} b - Another geocoded stop
+ * @returns {boolean}
+ */
+function isSameStop(a, b) {
+  return a.coordinates[0] === b.coordinates[0] && a.coordinates[1] === b.coordinates[1];
+}
+
+/**
+ * Ask the server for the fastest order to visit the stops in
+ * @param {Array<Object>} stops - Geocoded stops; the first stays first
+ * @param {Object} options - { profile, roundTrip, fixedEnd }
+ * @returns {Promise<Object>} - The /api/optimize-route response
+ */
+async function requestOptimizedOrder(stops, { profile, roundTrip, fixedEnd }) {
+  const response = await fetch('/api/optimize-route', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      coordinates: stops.map(stop => stop.coordinates),
+      profile,
+      roundTrip,
+      fixedEnd
+    })
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.message || errorData.error || 'Could not optimise the stop order');
+  }
+
+  return response.json();
+}
+
+/**
+ * Put the stops in the order they will be routed in
+ * With optimizeOrder the server picks the fastest order after the first stop; with
+ * roundTrip the start is added again at the end. Optimisation failures keep the
+ * typed order and are reported as a warning rather than stopping the search
+ * @param {Array<Object>} stops - Geocoded stops in the order they were typed
+ * @param {Object} preferences - Route preferences: transportMode, optimizeOrder, roundTrip, fixedEnd
+ * @returns {Promise<{stops: Array<Object>, optimization: Object|null, warning: string|null}>} -
+ *   optimization is { typedStops, stops, duration } when the order was optimised
+ */
+async function planStopOrder(stops, preferences) {
+  const roundTrip = Boolean(preferences.roundTrip);
+
+  // A round trip returns to the start on its own, so drop any repeat of it
+  let planned = roundTrip ? [stops[0], ...stops.slice(1).filter(stop => !isSameStop(stop, stops[0]))] : [...stops];
+  let optimization = null;
+  let warning = null;
+
+  const fixedEnd = Boolean(preferences.fixedEnd) && !roundTrip;
+  const movable = planned.length - 1 - (fixedEnd ? 1 : 0);
+
+  if (preferences.optimizeOrder && movable >= 2) {
+    try {
+      const data = await requestOptimizedOrder(planned, { profile: preferences.transportMode, roundTrip, fixedEnd });
+      console.log('Optimised stop order:', data.order, data.duration);
+
+      const typedStops = planned;
+      planned = data.order.map(index => typedStops[index]);
+      optimization = {
+        typedStops: roundTrip ? [...typedStops, typedStops[0]] : typedStops,
+        stops: roundTrip ? [...planned, planned[0]] : planned,
+        duration: data.duration
+      };
+    } catch (error) {
+      console.error('Error optimising stop order:', error);
+      warning = `The stops are shown in the order given because they could not be reordered: ${error.message}`;
+    }
+  }
+
+  if (roundTrip && planned.length > 1) {
+    planned = [...planned, { ...planned[0] }];
+  }
+
+  return { stops: planned, optimization, warning };
+}
+
+/**
+ * Show the optimised order and the time it saves, or hide the panel
+ * @param {Object|null} optimization - From planStopOrder, or null to hide the panel
+ */
+function renderOptimizationSummary(optimization) {
+  const panel = document.getElementById('route-optimization');
+  const orderList = document.getElementById('route-optimization-order');
+  const saving = document.getElementById('route-optimization-saving');
+
+  orderList.innerHTML = '';
+
+  if (!optimization) {
+    panel.style.display = 'none';
+    return;
+  }
+
+  optimization.stops.forEach((stop, index) => {
+    const item = document.createElement('li');
+    item.textContent = stop.name || stop.query;
+
+    // Mark the stops that moved from where they were typed
+    if (!isSameStop(stop, optimization.typedStops[index])) {
+      item.className = 'moved';
+    }
+    orderList.appendChild(item);
+  });
+
+  const { original, optimized, saved } = optimization.duration;
+  saving.textContent = saved >= 60 ?
+    `Saves about ${formatDuration(saved)} compared with the order you typed (${formatDuration(original)} → ${formatDuration(optimized)}).` :
+    `The order you typed was already the quickest (${formatDuration(optimized)}).`;
+
+  panel.style.display = 'block';
+}
+
+// Export the functions
+export {
+  planStopOrder,
+  renderOptimizationSummary
+};
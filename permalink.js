@@ -0,0 +1,304 @@
+// Shareable permalinks: the planned route encoded in the URL, or a short link for long routes
+
+// URL parameters for a full encoded route and for a short link id
+const ROUTE_PARAM = 'route';
+const SHORT_LINK_PARAM = 'link';
+
+// Longer URLs are not reliably kept by chat apps and email clients, so use a short link instead
+const MAX_URL_LENGTH = 2000;
+
+// Bump when the encoded shape changes; older links are still decoded
+const PERMALINK_VERSION = 1;
+
+// Decimal places kept for coordinates (about one metre)
+const COORDINATE_PRECISION = 5;
+
+// The route behind the short link in the address bar, so panning the map does not drop it
+let shortLinkRouteKey = null;
+
+/**
+ * Round a number for the URL
+ * @param {number} value - The number
+ * @param {number} places - Decimal places to keep
+ * @returns {number}
+ */
+function round(value, places = COORDINATE_PRECISION) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Encode text as URL-safe base64, supporting any Unicode
+ * @param {string} text - The text to encode
+ * @returns {string}
+ */
+function toBase64Url(text) {
+  const binary = [...new TextEncoder().encode(text)].map(byte => String.fromCharCode(byte)).join('');
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode URL-safe base64 produced by toBase64Url
+ * @param {string} encoded - The encoded text
+ * @returns {string}
+ */
+function fromBase64Url(encoded) {
+  const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, character => character.charCodeAt(0)));
+}
+
+/**
+ * Shrink the route state into the compact form stored in links
+ * @param {Object} state - { queries, stops, preferences, activeIndex, viewport }
+ * @returns {Object} - The compact state
+ */
+function compactRouteState(state) {
+  const compact = {
+    v: PERMALINK_VERSION,
+    q: state.queries,
+    // Only the coordinates are needed to route; the names label the stops
+    stops: state.stops.map(stop => ({
+      query: stop.query,
+      placeName: stop.placeName,
+      coordinates: [round(stop.coordinates[0]), round(stop.coordinates[1])],
+      // Charging stops are planned again when the link is opened, so they must be told apart
+      ...(stop.charger ? { charger: stop.charger } : {})
+    })),
+    p: state.preferences,
+    a: state.activeIndex
+  };
+
+  if (state.viewport) {
+    const { center, zoom, bearing, pitch } = state.viewport;
+    compact.m = [round(center[0]), round(center[1]), round(zoom, 2), round(bearing, 1), round(pitch, 1)];
+  }
+
+  return compact;
+}
+
+/**
+ * Expand a compact state from a link, rejecting anything malformed
+ * @param {Object} compact - The compact state
+ * @returns {Object|null} - { queries, stops, preferences, activeIndex, viewport }
+ */
+function expandRouteState(compact) {
+  if (!compact || typeof compact !== 'object' || !Array.isArray(compact.stops)) {
+    return null;
+  }
+
+  const stops = compact.stops
+    .filter(stop => stop && Array.isArray(stop.coordinates) && stop.coordinates.length === 2 &&
+      stop.coordinates.every(Number.isFinite))
+    .map(stop => ({
+      query: String(stop.query || stop.placeName || ''),
+      name: stop.placeName || stop.query,
+      placeName: stop.placeName || stop.query,
+      coordinates: stop.coordinates,
+      ...(stop.charger && typeof stop.charger === 'object' ? { charger: { powerKw: Number(stop.charger.powerKw) || null } } : {})
+    }));
+
+  if (stops.length < 2 || stops.length !== compact.stops.length) {
+    return null;
+  }
+
+  const [lng, lat, zoom, bearing = 0, pitch = 0] = Array.isArray(compact.m) ? compact.m : [];
+
+  return {
+    queries: Array.isArray(compact.q) ? compact.q.map(String) : [],
+    stops,
+    preferences: compact.p && typeof compact.p === 'object' ? compact.p : null,
+    activeIndex: Number.isInteger(compact.a) && compact.a >= 0 ? compact.a : 0,
+    viewport: [lng, lat, zoom].every(Number.isFinite) ? { center: [lng, lat], zoom, bearing, pitch } : null
+  };
+}
+
+/**
+ * Identify a route regardless of the viewport
+ * @param {Object} state - The route state
+ * @returns {string}
+ */
+function getRouteKey(state) {
+  const { m, ...route } = compactRouteState(state);
+  return JSON.stringify(route);
+}
+
+/**
+ * Build the full-length permalink for a route
+ * @param {Object} state - { queries, stops, preferences, activeIndex, viewport }
+ * @returns {string} - An absolute URL
+ */
+function buildPermalink(state) {
+  const url = new URL(window.location.href);
+  url.search = '';
+  url.hash = '';
+  url.searchParams.set(ROUTE_PARAM, toBase64Url(JSON.stringify(compactRouteState(state))));
+  return url.toString();
+}
+
+/**
+ * Build the URL for a short link id
+ * @param {string} id - The short link id
+ * @returns {string} - An absolute URL
+ */
+function buildShortLinkUrl(id) {
+  const url = new URL(window.location.href);
+  url.search = '';
+  url.hash = '';
+  url.searchParams.set(SHORT_LINK_PARAM, id);
+  return url.toString();
+}
+
+/**
+ * Store the route on the server and get a short link for it
+ * @param {Object} state - { queries, stops, preferences, activeIndex, viewport }
+ * @returns {Promise<string>} - The short link URL
+ */
+async function createShortLink(state) {
+  const response = await fetch('/api/short-links', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ state: compactRouteState(state) })
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || 'Could not create a short link');
+  }
+
+  const data = await response.json();
+  return buildShortLinkUrl(data.id);
+}
+
+/**
+ * Read a shared route from the page URL, fetching it from the server for short links
+ * @returns {Promise<Object|null>} - { queries, stops, preferences, activeIndex, viewport },
+ *   or null when the URL does not hold a route
+ */
+async function readPermalink() {
+  const params = new URLSearchParams(window.location.search);
+
+  if (params.has(ROUTE_PARAM)) {
+    try {
+      return expandRouteState(JSON.parse(fromBase64Url(params.get(ROUTE_PARAM))));
+    } catch (error) {
+      console.error('Could not decode the route in the URL:', error);
+      return null;
+    }
+  }
+
+  if (params.has(SHORT_LINK_PARAM)) {
+    const response = await fetch(`/api/short-links/${encodeURIComponent(params.get(SHORT_LINK_PARAM))}`);
+    if (!response.ok) {
+      console.error('Could not load short link:', response.status);
+      return null;
+    }
+    const data = await response.json();
+    const state = expandRouteState(data.state);
+    shortLinkRouteKey = state ? getRouteKey(state) : null;
+    return state;
+  }
+
+  return null;
+}
+
+/**
+ * Keep the address bar in step with the shown route, without adding history entries
+ * Routes too long for a URL drop the parameter until the user shares them as a short link
+ * @param {Object|null} state - The route state, or null when no route is shown
+ */
+function updatePermalink(state) {
+  const url = state ? buildPermalink(state) : null;
+
+  if (url && url.length <= MAX_URL_LENGTH) {
+    window.history.replaceState(null, '', url);
+    return;
+  }
+
+  const plain = new URL(window.location.href);
+  plain.searchParams.delete(ROUTE_PARAM);
+  // A short link stays while the route it points to is still the one shown
+  if (!state || getRouteKey(state) !== shortLinkRouteKey) {
+    plain.searchParams.delete(SHORT_LINK_PARAM);
+  }
+  window.history.replaceState(null, '', plain.toString());
+}
+
+/**
+ * Get a link to share: the full permalink when it is short enough, otherwise a short link
+ * @param {Object} state - The route state
+ * @returns {Promise<string>}
+ */
+async function getShareableLink(state) {
+  const url = buildPermalink(state);
+  if (url.length <= MAX_URL_LENGTH) {
+    return url;
+  }
+
+  console.log(`Permalink is ${url.length} characters, creating a short link`);
+  const shortUrl = await createShortLink(state);
+  shortLinkRouteKey = getRouteKey(state);
+  window.history.replaceState(null, '', shortUrl);
+  return shortUrl;
+}
+
+/**
+ * Wire up the share button: copies a link to the route and shows it for manual copying
+ * @param {Function} getState - Returns the current route state, or null when there is no route
+ */
+function initializeShareButton(getState) {
+  const button = document.getElementById('share-route');
+  const output = document.getElementById('share-link');
+
+  button.addEventListener('click', async () => {
+    const state = getState();
+    if (!state) {
+      alert('Find a route before sharing it');
+      return;
+    }
+
+    button.disabled = true;
+    try {
+      const link = await getShareableLink(state);
+      output.value = link;
+      output.style.display = 'inline-block';
+      output.select();
+
+      try {
+        await navigator.clipboard.writeText(link);
+        button.textContent = 'Link copied';
+      } catch (error) {
+        // Clipboard access can be refused; the link is still selected in the box
+        console.warn('Could not copy link to clipboard:', error);
+      }
+    } catch (error) {
+      console.error('Error sharing route:', error);
+      alert('Error sharing route: ' + error.message);
+    } finally {
+      button.disabled = false;
+      setTimeout(() => {
+        button.textContent = 'Share link';
+      }, 2000);
+    }
+  });
+}
+
+/**
+ * Hide the share box, e.g. when the route changes
+ */
+function resetShareLink() {
+  const output = document.getElementById('share-link');
+  output.value = '';
+  output.style.display = 'none';
+}
+
+// Export the functions
+export {
+  readPermalink,
+  updatePermalink,
+  initializeShareButton,
+  resetShareLink,
+  compactRouteState,
+  expandRouteState
+};
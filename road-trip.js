@@ -0,0 +1,280 @@
+// Long trips split into days, with a town suggested for each overnight stop
+import { fetchPlacesAt, formatCoordinates } from './geocoding.js';
+import { formatDistance, formatDuration } from './formatting.js';
+
+// Per-segment annotations used to split the route at the right times
+const ROAD_TRIP_ANNOTATIONS = ['duration', 'distance'];
+
+// How far back from the end of a day, in seconds, to look for a town to stop in
+const OVERNIGHT_SEARCH_OFFSETS = [0, 15 * 60, 30 * 60];
+
+// Reverse geocoding place types that make a good overnight stop, best first
+const OVERNIGHT_PLACE_TYPES = ['place', 'locality'];
+
+const EARTH_RADIUS_METERS = 6371000;
+
+/**
+ * Get the distance between two points
+ * @param {Array<number>} from - [lng, lat]
+ * @param {Array<number>} to - [lng, lat]
+ * @returns {number} - Metres
+ */
+function getDistance(from, to) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(to[1] - from[1]);
+  const dLng = toRadians(to[0] - from[0]);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from[1])) * Math.cos(toRadians(to[1])) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Work out how long each day of a trip may be
+ * @param {Object} preferences - Route preferences with maxDailyHours or tripDays
+ * @param {number} duration - The route's duration in seconds
+ * @returns {number|null} - Seconds per day, or null when the trip fits in one day
+ */
+function getDailyLimit(preferences, duration) {
+  if (preferences && preferences.maxDailyHours) {
+    const limit = preferences.maxDailyHours * 3600;
+    return duration > limit ? limit : null;
+  }
+  if (preferences && preferences.tripDays > 1) {
+    return duration / preferences.tripDays;
+  }
+  return null;
+}
+
+/**
+ * Get the duration and distance of each segment of a route
+ * Uses the route's annotations when it has them; otherwise the route's duration is
+ * shared out over the segments by their length
+ * @param {Object} route - A Mapbox route
+ * @returns {{durations: Array<number>, distances: Array<number>}} - One value per segment
+ */
+function getSegmentCosts(route) {
+  const coordinates = route.geometry.coordinates;
+  const segmentCount = coordinates.length - 1;
+  const legs = route.legs || [];
+
+  const annotation = name => {
+    const values = legs.every(leg => leg.annotation && Array.isArray(leg.annotation[name])) ?
+      legs.flatMap(leg => leg.annotation[name]) :
+      [];
+    return values.length === segmentCount ? values : null;
+  };
+
+  const distances = annotation('distance') ||
+    coordinates.slice(1).map((coord, index) => getDistance(coordinates[index], coord));
+  const totalDistance = distances.reduce((sum, distance) => sum + distance, 0);
+  const durations = annotation('duration') ||
+    distances.map(distance => (totalDistance > 0 ? route.duration * distance / totalDistance : 0));
+
+  return { durations, distances };
+}
+
+/**
+ * Split a route into days of equal driving time, none longer than the daily limit
+ * @param {Object} route - A Mapbox route
+ * @param {number} dailyLimit - The most seconds of travel in a day
+ * @returns {Array<Object>} - { day, coordinates, distance, duration, end } per day, where end
+ *   is the [lng, lat] the day finishes at
+ */
+function splitRouteIntoDays(route, dailyLimit) {
+  const coordinates = route.geometry.coordinates;
+  const { durations, distances } = getSegmentCosts(route);
+  const total = durations.reduce((sum, duration) => sum + duration, 0);
+
+  // Share the trip evenly over as few days as the limit allows
+  const dayCount = Math.max(1, Math.ceil(total / dailyLimit - 1e-6));
+  const target = total / dayCount;
+
+  const days = [];
+  let day = { coordinates: [coordinates[0]], distance: 0, duration: 0 };
+  let elapsed = 0;
+  let nextSplit = target;
+
+  durations.forEach((duration, index) => {
+    const [from, to] = [coordinates[index], coordinates[index + 1]];
+    let done = 0;
+
+    // A segment can hold the end of more than one day when it is long
+    while (duration > 0 && days.length < dayCount - 1 && elapsed + duration * (1 - done) >= nextSplit) {
+      const fraction = done + (nextSplit - elapsed) / duration;
+      const point = [from[0] + (to[0] - from[0]) * fraction, from[1] + (to[1] - from[1]) * fraction];
+
+      day.coordinates.push(point);
+      day.distance += distances[index] * (fraction - done);
+      day.duration += duration * (fraction - done);
+      days.push({ ...day, end: point });
+
+      elapsed = nextSplit;
+      nextSplit += target;
+      done = fraction;
+      day = { coordinates: [point], distance: 0, duration: 0 };
+    }
+
+    day.coordinates.push(to);
+    day.distance += distances[index] * (1 - done);
+    day.duration += duration * (1 - done);
+    elapsed += duration * (1 - done);
+  });
+
+  days.push({ ...day, end: coordinates[coordinates.length - 1] });
+  console.log(`Split route into ${days.length} days of about ${formatDuration(target)}`);
+  return days.map((entry, index) => ({ day: index + 1, ...entry }));
+}
+
+/**
+ * Find a town to stay in near the end of a day, looking a little further back along
+ * the route when the end itself is not in one
+ * @param {Object} day - A day from splitRouteIntoDays
+ * @returns {Promise<Object|null>} - A reverse geocoding candidate plus the route point it
+ *   was found from, or null when there is no town nearby
+ */
+async function findOvernightStop(day) {
+  const last = day.coordinates.length - 1;
+
+  for (const offset of OVERNIGHT_SEARCH_OFFSETS) {
+    const index = Math.max(0, Math.round(last * (1 - offset / Math.max(day.duration, 1))));
+    const point = day.coordinates[index];
+
+    try {
+      const places = await fetchPlacesAt(point);
+      const town = OVERNIGHT_PLACE_TYPES
+        .map(type => places.find(place => place.placeType === type))
+        .find(Boolean);
+      if (town) {
+        return { ...town, routePoint: point };
+      }
+    } catch (error) {
+      console.error('Error looking for an overnight stop:', error.message);
+    }
+  }
+  return null;
+}
+
+/**
+ * Suggest a town for every night of the trip
+ * @param {Array<Object>} days - From splitRouteIntoDays
+ * @returns {Promise<Array<Object|null>>} - One per night, so one fewer than the days
+ */
+function findOvernightStops(days) {
+  return Promise.all(days.slice(0, -1).map(findOvernightStop));
+}
+
+/**
+ * Get the label for where a day starts or ends
+ * @param {Object|string} stop - A geocoded stop or overnight town, or the text typed for it
+ * @param {Array<number>} point - Where on the route it is, used when nothing else is known
+ * @returns {string}
+ */
+function getPlaceLabel(stop, point) {
+  if (typeof stop === 'string') {
+    return stop;
+  }
+  return (stop && (stop.name || stop.query)) || `near ${formatCoordinates(point)}`;
+}
+
+/**
+ * Show the day-by-day plan of a trip
+ * @param {Array<Object>} days - From splitRouteIntoDays
+ * @param {Array<Object|null>} overnightStops - One per night; missing while they are looked up
+ * @param {Array<Object|string>} stops - The route's stops, for where the trip starts and ends
+ */
+function renderRoadTrip(days, overnightStops, stops) {
+  const panel = document.getElementById('road-trip-panel');
+  const title = document.getElementById('road-trip-title');
+  const list = document.getElementById('road-trip-days');
+
+  title.textContent = `${days.length}-day trip`;
+  list.innerHTML = '';
+
+  days.forEach((day, index) => {
+    const start = index === 0 ?
+      getPlaceLabel(stops[0], day.coordinates[0]) :
+      getPlaceLabel(overnightStops[index - 1], day.coordinates[0]);
+    const end = index === days.length - 1 ?
+      getPlaceLabel(stops[stops.length - 1], day.end) :
+      getPlaceLabel(overnightStops[index], day.end);
+
+    const item = document.createElement('li');
+
+    const heading = document.createElement('strong');
+    heading.textContent = `Day ${day.day}: `;
+    item.appendChild(heading);
+
+    item.appendChild(document.createTextNode(
+      `${start} → ${end} · ${formatDistance(day.distance)} · ${formatDuration(day.duration)}`));
+
+    // The nights still being looked up, or with no town nearby
+    if (index < days.length - 1 && !overnightStops[index]) {
+      const note = document.createElement('small');
+      note.textContent = overnightStops.length > 0 ? ' (no town nearby)' : ' (finding a town…)';
+      item.appendChild(note);
+    }
+
+    list.appendChild(item);
+  });
+
+  panel.style.display = 'block';
+}
+
+/**
+ * Hide the day-by-day plan
+ */
+function hideRoadTrip() {
+  document.getElementById('road-trip-panel').style.display = 'none';
+}
+
+/**
+ * Add a marker for each overnight town
+ * @param {Object} map - The Mapbox GL map
+ * @param {Array<Object>} days - From splitRouteIntoDays
+ * @param {Array<Object|null>} overnightStops - One per night
+ * @returns {Array<Object>} - The Mapbox markers, to pass to removeOvernightMarkers later
+ */
+function addOvernightMarkers(map, days, overnightStops) {
+  return overnightStops.map((stop, index) => {
+    const element = document.createElement('div');
+    element.className = 'overnight-marker';
+    element.textContent = `Night ${index + 1}`;
+
+    const content = document.createElement('div');
+    content.className = 'waypoint-popup';
+
+    const title = document.createElement('strong');
+    title.textContent = stop ? `Night ${index + 1}: ${stop.placeName}` : `Night ${index + 1}`;
+    content.appendChild(title);
+
+    const details = document.createElement('div');
+    details.textContent = `End of day ${index + 1}, after ${formatDuration(days[index].duration)}`;
+    content.appendChild(details);
+
+    return new mapboxgl.Marker({ element })
+      .setLngLat(stop ? stop.coordinates : days[index].end)
+      .setPopup(new mapboxgl.Popup({ offset: 16 }).setDOMContent(content))
+      .addTo(map);
+  });
+}
+
+/**
+ * Remove markers added by addOvernightMarkers
+ * @param {Array<Object>} markers - The Mapbox markers
+ */
+function removeOvernightMarkers(markers) {
+  markers.forEach(marker => marker.remove());
+}
+
+// Export the functions
+export {
+  ROAD_TRIP_ANNOTATIONS,
+  getDailyLimit,
+  getSegmentCosts,
+  splitRouteIntoDays,
+  findOvernightStops,
+  renderRoadTrip,
+  hideRoadTrip,
+  addOvernightMarkers,
+  removeOvernightMarkers
+};
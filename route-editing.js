@@ -0,0 +1,223 @@
+// Editing routes on the map: drag stops or the route line, with undo and redo
+
+// Edits remembered for undo
+const MAX_EDIT_HISTORY = 50;
+
+// A press on the route line only becomes a drag once the pointer has moved this many pixels
+const DRAG_THRESHOLD_PIXELS = 4;
+
+const EMPTY_COLLECTION = {
+  type: 'FeatureCollection',
+  features: []
+};
+
+/**
+ * Start an edit history at a list of stops
+ * @param {Array<Object>} stops - The stops of a freshly searched route
+ * @returns {Object} - { entries, index }
+ */
+function createEditHistory(stops = []) {
+  return { entries: [stops], index: 0 };
+}
+
+/**
+ * Record a new list of stops, dropping anything that could have been redone
+ * @param {Object} history - The edit history
+ * @param {Array<Object>} stops - The stops after the edit
+ * @returns {Object} - The updated history
+ */
+function recordEdit(history, stops) {
+  const entries = [...history.entries.slice(0, history.index + 1), stops].slice(-MAX_EDIT_HISTORY);
+  return { entries, index: entries.length - 1 };
+}
+
+/**
+ * Check whether there is an edit to undo
+ * @param {Object} history - The edit history
+ * @returns {boolean}
+ */
+function canUndo(history) {
+  return history.index > 0;
+}
+
+/**
+ * Check whether there is an undone edit to redo
+ * @param {Object} history - The edit history
+ * @returns {boolean}
+ */
+function canRedo(history) {
+  return history.index < history.entries.length - 1;
+}
+
+/**
+ * Step back one edit
+ * @param {Object} history - The edit history
+ * @returns {Object} - The updated history; unchanged when there is nothing to undo
+ */
+function undoEdit(history) {
+  return canUndo(history) ? { ...history, index: history.index - 1 } : history;
+}
+
+/**
+ * Step forward one undone edit
+ * @param {Object} history - The edit history
+ * @returns {Object} - The updated history; unchanged when there is nothing to redo
+ */
+function redoEdit(history) {
+  return canRedo(history) ? { ...history, index: history.index + 1 } : history;
+}
+
+/**
+ * Get the stops at the current point in the history
+ * @param {Object} history - The edit history
+ * @returns {Array<Object>}
+ */
+function getCurrentStops(history) {
+  return history.entries[history.index];
+}
+
+/**
+ * Find the index of the line vertex closest to a point
+ * Longitude differences are scaled by latitude, which is accurate enough to pick a vertex
+ * @param {Array<Array<number>>} coordinates - The line as [lng, lat] pairs
+ * @param {Array<number>} point - [lng, lat]
+ * @param {number} from - The first vertex to consider
+ * @returns {number}
+ */
+function findNearestVertex(coordinates, point, from = 0) {
+  const scale = Math.cos(point[1] * Math.PI / 180);
+  let nearest = from;
+  let nearestDistance = Infinity;
+
+  for (let index = from; index < coordinates.length; index++) {
+    const dx = (coordinates[index][0] - point[0]) * scale;
+    const dy = coordinates[index][1] - point[1];
+    const distance = dx * dx + dy * dy;
+    if (distance < nearestDistance) {
+      nearest = index;
+      nearestDistance = distance;
+    }
+  }
+  return nearest;
+}
+
+/**
+ * Work out where a point dragged off the route line belongs in the list of stops
+ * Each stop is matched to the stretch of line it starts, in order, and the new
+ * stop goes into the leg that the dragged point was on
+ * @param {Array<Array<number>>} routeCoordinates - The route geometry
+ * @param {Array<Object>} stops - The route's stops, in order
+ * @param {Array<number>} point - [lng, lat] where the line was grabbed
+ * @returns {number} - The index to insert the new stop at, between 1 and stops.length - 1
+ */
+function findInsertPosition(routeCoordinates, stops, point) {
+  const grabbed = findNearestVertex(routeCoordinates, point);
+  let from = 0;
+  let position = 1;
+
+  for (let index = 1; index < stops.length - 1; index++) {
+    from = findNearestVertex(routeCoordinates, stops[index].coordinates, from);
+    if (from <= grabbed) {
+      position = index + 1;
+    }
+  }
+  return position;
+}
+
+/**
+ * Add the point shown while the route line is being dragged
+ * Must be called from the map 'load' handler, after the 'route-line' layer
+ * @param {Object} map - The Mapbox GL map
+ */
+function addRouteDragLayers(map) {
+  map.addSource('route-drag', {
+    type: 'geojson',
+    data: EMPTY_COLLECTION
+  });
+
+  map.addLayer({
+    id: 'route-drag-point',
+    type: 'circle',
+    source: 'route-drag',
+    paint: {
+      'circle-radius': 8,
+      'circle-color': '#fff',
+      'circle-stroke-color': '#00a0f0',
+      'circle-stroke-width': 3
+    }
+  });
+}
+
+/**
+ * Let the user grab the route line and drop it somewhere else to add a via point
+ * @param {Object} map - The Mapbox GL map
+ * @param {string} layerId - The route line layer
+ * @param {Function} onDrop - Called with the grabbed and dropped [lng, lat] points
+ */
+function enableRouteLineDragging(map, layerId, onDrop) {
+  let grabbed = null;
+  let dragging = false;
+
+  const showPoint = coordinates => map.getSource('route-drag').setData(coordinates ? {
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates }
+  } : EMPTY_COLLECTION);
+
+  const onMove = event => {
+    if (!dragging && event.point.dist(grabbed.point) < DRAG_THRESHOLD_PIXELS) {
+      return;
+    }
+    dragging = true;
+    map.getCanvas().style.cursor = 'grabbing';
+    showPoint(event.lngLat.toArray());
+  };
+
+  const onUp = event => {
+    map.off('mousemove', onMove);
+    map.dragPan.enable();
+    map.getCanvas().style.cursor = '';
+    showPoint(null);
+
+    if (dragging) {
+      onDrop(grabbed.lngLat.toArray(), event.lngLat.toArray());
+    }
+    grabbed = null;
+    dragging = false;
+  };
+
+  map.on('mousedown', layerId, event => {
+    // Leave clicks with modifier keys and other buttons to the map
+    if (event.originalEvent.button !== 0 || event.originalEvent.shiftKey) {
+      return;
+    }
+    event.preventDefault();
+    map.dragPan.disable();
+
+    grabbed = { point: event.point, lngLat: event.lngLat };
+    map.on('mousemove', onMove);
+    map.once('mouseup', onUp);
+  });
+
+  map.on('mouseenter', layerId, () => {
+    map.getCanvas().style.cursor = 'pointer';
+  });
+  map.on('mouseleave', layerId, () => {
+    if (!grabbed) {
+      map.getCanvas().style.cursor = '';
+    }
+  });
+}
+
+// Export the functions
+export {
+  createEditHistory,
+  recordEdit,
+  canUndo,
+  canRedo,
+  undoEdit,
+  redoEdit,
+  getCurrentStops,
+  findInsertPosition,
+  addRouteDragLayers,
+  enableRouteLineDragging
+};
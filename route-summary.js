@@ -0,0 +1,102 @@
+// Route summary card: totals, arrival time and a breakdown of each leg between stops
+import { formatDistance, formatDuration, formatClockTime } from './formatting.js';
+import { MODE_STYLES, describeModes } from './multimodal.js';
+
+/**
+ * Get the label shown for a stop
+ * @param {Object|string} stop - A geocoded stop, or the text typed for it
+ * @param {number} index - The stop's position, used when nothing else is known
+ * @returns {string}
+ */
+function getStopLabel(stop, index) {
+  if (!stop) {
+    return `Stop ${index + 1}`;
+  }
+  return typeof stop === 'string' ? stop : stop.name || stop.query || `Stop ${index + 1}`;
+}
+
+/**
+ * Describe when the trip leaves and arrives; the time the user chose is exact, the other is estimated
+ * @param {Object} schedule - { departure, arrival, fixed }, see getTripSchedule
+ * @returns {string}
+ */
+function describeSchedule({ departure, arrival, fixed }) {
+  const now = new Date();
+  if (fixed === 'depart') {
+    return `leave at ${formatClockTime(departure, now)} · arrive around ${formatClockTime(arrival, now)}`;
+  }
+  if (fixed === 'arrive') {
+    return `leave around ${formatClockTime(departure, now)} to arrive by ${formatClockTime(arrival, now)}`;
+  }
+  return `arrive around ${formatClockTime(arrival, now)}`;
+}
+
+/**
+ * Show the summary card for a route
+ * @param {Object} route - A Mapbox route with distance, duration and legs
+ * @param {Array<Object|string>} stops - The stops in route order, one more than the legs
+ * @param {Object} [schedule] - { departure, arrival, fixed } from getTripSchedule; leaving now unless given
+ */
+function renderRouteSummary(route, stops = [], schedule = null) {
+  const card = document.getElementById('route-summary');
+  const totals = document.getElementById('route-summary-totals');
+  const modes = document.getElementById('route-summary-modes');
+  const body = document.getElementById('route-summary-legs');
+
+  const departure = new Date();
+  const trip = schedule || {
+    departure,
+    arrival: new Date(departure.getTime() + route.duration * 1000),
+    fixed: null
+  };
+  totals.textContent = `${formatDistance(route.distance)} · ${formatDuration(route.duration)} · ${describeSchedule(trip)}`;
+
+  // Trips that change mode also show the distance and time in each
+  modes.textContent = describeModes(route);
+  modes.style.display = modes.textContent ? 'block' : 'none';
+
+  body.innerHTML = '';
+
+  (route.legs || []).forEach((leg, index) => {
+    const row = document.createElement('tr');
+
+    const cells = [
+      getStopLabel(stops[index], index),
+      getStopLabel(stops[index + 1], index + 1),
+      formatDistance(leg.distance),
+      formatDuration(leg.duration)
+    ];
+
+    cells.forEach(text => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+
+    // The main roads of the leg, when the directions included them
+    const details = [
+      leg.mode ? MODE_STYLES[leg.mode].label : null,
+      leg.summary ? `via ${leg.summary}` : null
+    ].filter(Boolean).join(', ');
+    if (details) {
+      row.title = details.charAt(0).toUpperCase() + details.slice(1);
+    }
+
+    body.appendChild(row);
+  });
+
+  card.style.display = 'block';
+}
+
+/**
+ * Hide the summary card
+ */
+function hideRouteSummary() {
+  document.getElementById('route-summary').style.display = 'none';
+}
+
+// Export the functions
+export {
+  renderRouteSummary,
+  hideRouteSummary
+};
@@ -0,0 +1,218 @@
+// Saved routes: recent searches and named favourites, stored on the server per browser
+
+// localStorage key for the id that groups this browser's saved routes
+const CLIENT_ID_KEY = 'routeVisualization.clientId';
+
+/**
+ * Get this browser's id, creating one the first time
+ * @returns {string}
+ */
+function getClientId() {
+  let clientId = localStorage.getItem(CLIENT_ID_KEY);
+
+  if (!clientId) {
+    clientId = crypto.randomUUID();
+    localStorage.setItem(CLIENT_ID_KEY, clientId);
+    console.log('Created client id for saved routes:', clientId);
+  }
+
+  return clientId;
+}
+
+/**
+ * Call the saved-routes API
+ * @param {string} path - The path below /api/routes, e.g. '' or '/recent-abc'
+ * @param {Object} options - fetch options; body is sent as JSON
+ * @returns {Promise<Object>} - The response body
+ */
+async function requestSavedRoutes(path, options = {}) {
+  const response = await fetch(`/api/routes${path}`, {
+    method: options.method || 'GET',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Client-Id': getClientId()
+    },
+    body: options.body ? JSON.stringify(options.body) : undefined
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Saved routes request failed (${response.status})`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Load this browser's saved routes, newest first
+ * @returns {Promise<Array<Object>>} - Saved routes: { id, kind, name, state, createdAt, updatedAt }
+ */
+async function fetchSavedRoutes() {
+  const data = await requestSavedRoutes('');
+  return data.routes;
+}
+
+/**
+ * Save a route as a recent search or a favourite
+ * @param {Object} state - A compact route state from compactRouteState
+ * @param {string} kind - 'recent' or 'favourite'
+ * @param {string} name - The favourite's name
+ * @returns {Promise<Object>} - The saved route
+ */
+async function saveRoute(state, kind = 'recent', name = undefined) {
+  const data = await requestSavedRoutes('', { method: 'POST', body: { kind, name, state } });
+  return data.route;
+}
+
+/**
+ * Change a saved route's name or kind
+ * @param {string} id - The saved route id
+ * @param {Object} changes - { name?, kind? }
+ * @returns {Promise<Object>} - The updated route
+ */
+async function updateSavedRoute(id, changes) {
+  const data = await requestSavedRoutes(`/${encodeURIComponent(id)}`, { method: 'PUT', body: changes });
+  return data.route;
+}
+
+/**
+ * Delete a saved route
+ * @param {string} id - The saved route id
+ * @returns {Promise<void>}
+ */
+async function deleteSavedRoute(id) {
+  await requestSavedRoutes(`/${encodeURIComponent(id)}`, { method: 'DELETE' });
+}
+
+/**
+ * Describe a saved route: its name, the last query, or the stops it goes through
+ * @param {Object} saved - A saved route
+ * @returns {string}
+ */
+function describeSavedRoute(saved) {
+  if (saved.name) {
+    return saved.name;
+  }
+
+  const queries = Array.isArray(saved.state.q) ? saved.state.q : [];
+  if (queries.length > 0) {
+    return queries[queries.length - 1];
+  }
+
+  return saved.state.stops.map(stop => stop.placeName || stop.query).join(' → ');
+}
+
+/**
+ * Build one list of saved routes
+ * @param {Array<Object>} routes - The saved routes to show
+ * @param {Array<Array>} actions - [label, handler] pairs; handlers get the saved route
+ * @param {Function} onOpen - Called with the saved route when its title is clicked
+ * @returns {HTMLElement} - A ul element
+ */
+function buildSavedRouteList(routes, actions, onOpen) {
+  const list = document.createElement('ul');
+
+  routes.forEach(saved => {
+    const item = document.createElement('li');
+
+    const title = document.createElement('button');
+    title.className = 'saved-route-title';
+    title.textContent = describeSavedRoute(saved);
+    title.title = saved.state.stops.map(stop => stop.placeName || stop.query).join(' → ');
+    title.addEventListener('click', () => onOpen(saved));
+    item.appendChild(title);
+
+    const meta = document.createElement('div');
+    meta.className = 'saved-route-meta';
+    meta.textContent = `${saved.state.stops.length} stops · ${new Date(saved.updatedAt).toLocaleString()}`;
+    item.appendChild(meta);
+
+    actions.forEach(([label, handler]) => {
+      const button = document.createElement('button');
+      button.className = 'saved-route-action';
+      button.textContent = label;
+      button.addEventListener('click', () => handler(saved));
+      item.appendChild(button);
+    });
+
+    list.appendChild(item);
+  });
+
+  return list;
+}
+
+/**
+ * Show favourites and recent searches in the sidebar
+ * @param {Array<Object>|null} routes - Saved routes, or null when they could not be loaded
+ * @param {Object} handlers - { onOpen, onFavourite, onRename, onDelete }, each called with a saved route
+ */
+function renderSavedRoutes(routes, handlers) {
+  const container = document.getElementById('saved-routes-content');
+  container.innerHTML = '';
+
+  if (!routes) {
+    const message = document.createElement('p');
+    message.className = 'saved-routes-empty';
+    message.textContent = 'Saved routes are unavailable right now.';
+    container.appendChild(message);
+    return;
+  }
+
+  const sections = [
+    {
+      title: 'Favourites',
+      routes: routes.filter(saved => saved.kind === 'favourite'),
+      empty: 'Save a recent search to keep it here.',
+      actions: [['Rename', handlers.onRename], ['Delete', handlers.onDelete]]
+    },
+    {
+      title: 'Recent searches',
+      routes: routes.filter(saved => saved.kind === 'recent'),
+      empty: 'Routes you find will appear here.',
+      actions: [['Save', handlers.onFavourite], ['Delete', handlers.onDelete]]
+    }
+  ];
+
+  sections.forEach(section => {
+    const heading = document.createElement('h3');
+    heading.textContent = section.title;
+    container.appendChild(heading);
+
+    if (section.routes.length === 0) {
+      const message = document.createElement('p');
+      message.className = 'saved-routes-empty';
+      message.textContent = section.empty;
+      container.appendChild(message);
+      return;
+    }
+
+    container.appendChild(buildSavedRouteList(section.routes, section.actions, handlers.onOpen));
+  });
+}
+
+/**
+ * Wire up the sidebar's show/hide toggle
+ * @param {Function} onToggle - Called after the sidebar is collapsed or expanded
+ */
+function initializeSavedRoutesPanel(onToggle = () => {}) {
+  const panel = document.getElementById('saved-routes');
+  const toggle = document.getElementById('saved-routes-toggle');
+
+  toggle.addEventListener('click', () => {
+    const collapsed = panel.classList.toggle('collapsed');
+    toggle.textContent = collapsed ? 'Show' : 'Hide';
+    toggle.setAttribute('aria-expanded', String(!collapsed));
+    onToggle();
+  });
+}
+
+// Export the functions
+export {
+  fetchSavedRoutes,
+  saveRoute,
+  updateSavedRoute,
+  deleteSavedRoute,
+  describeSavedRoute,
+  renderSavedRoutes,
+  initializeSavedRoutesPanel
+};
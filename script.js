@@ -1,6 +1,102 @@
 // Import configuration and NLP module
 // import config from './config.js';
-import { processNaturalLanguage, extractLocationsWithRegex } from './nlp.js';
+import { processNaturalLanguage, extractLocationsWithRegex, extractRouteEditWithRegex } from './nlp.js';
+import { addItineraryLayers, renderItinerary, hideItinerary, initializeItineraryPanel } from './itinerary.js';
+import { geocodeLocations, reverseGeocode, fetchPlacesAt } from './geocoding.js';
+import { showMapMenu, showPlaceDetails } from './map-menu.js';
+import { addAlternativeLayers, drawAlternatives, renderAlternativesTable, clearAlternatives } from './alternatives.js';
+import { createRouteSession, getSessionContext, recordRouteTurn, renderRouteSession } from './session.js';
+import { createRouteExport, initializeExportMenu, showExportMenu } from './export.js';
+import { planStopOrder, renderOptimizationSummary } from './optimization.js';
+import { requestMatrix, renderMatrixTable, hideMatrixTable } from './matrix.js';
+import {
+  requestIsochrone,
+  addIsochroneLayers,
+  showIsochrones,
+  clearIsochrones,
+  renderIsochroneLegend
+} from './isochrone.js';
+import { renderRouteSummary, hideRouteSummary } from './route-summary.js';
+import {
+  toLocalDateTime,
+  parseLocalDateTime,
+  validateTripTime,
+  getDirectionsTiming,
+  getTripSchedule
+} from './trip-time.js';
+import { TRAFFIC_ANNOTATIONS, addTrafficLayers, showRouteTraffic } from './traffic.js';
+import { getLegModes, groupLegsByMode, stitchRoutes, addModeLayers, showModeLines } from './multimodal.js';
+import {
+  ROAD_TRIP_ANNOTATIONS,
+  getDailyLimit,
+  splitRouteIntoDays,
+  findOvernightStops,
+  renderRoadTrip,
+  hideRoadTrip,
+  addOvernightMarkers,
+  removeOvernightMarkers
+} from './road-trip.js';
+import {
+  loadEvSettings,
+  initializeEvSettings,
+  applyEvSettings,
+  needsChargingPlan,
+  createGeoJsonChargerSource,
+  getChargerSearchBounds,
+  planChargingStops,
+  insertChargingStops,
+  simulateBattery,
+  renderChargingPlan,
+  hideChargingPlan
+} from './ev.js';
+import { addWaypointMarkers, removeWaypointMarkers } from './waypoints.js';
+import {
+  createEditHistory,
+  recordEdit,
+  canUndo,
+  canRedo,
+  undoEdit,
+  redoEdit,
+  getCurrentStops,
+  findInsertPosition,
+  addRouteDragLayers,
+  enableRouteLineDragging
+} from './route-editing.js';
+import {
+  hasElevationProfile,
+  requestElevation,
+  addElevationLayers,
+  showElevationMarker,
+  renderElevationChart,
+  hideElevationChart
+} from './elevation.js';
+import {
+  readPermalink,
+  updatePermalink,
+  initializeShareButton,
+  resetShareLink,
+  compactRouteState,
+  expandRouteState
+} from './permalink.js';
+import {
+  fetchSavedRoutes,
+  saveRoute,
+  updateSavedRoute,
+  deleteSavedRoute,
+  describeSavedRoute,
+  renderSavedRoutes,
+  initializeSavedRoutesPanel
+} from './saved-routes.js';
+import {
+  parseRouteFile,
+  summariseImportedRoute,
+  getReplanStops,
+  addImportedRouteLayers,
+  removeImportedRouteLayers,
+  zoomToImportedRoute,
+  renderImportedRoutes,
+  initializeImportControls
+} from './import.js';
 
 // No longer getting the token from config
 // const mapboxToken = config.mapbox.token;
@@ -9,33 +105,118 @@ import { processNaturalLanguage, extractLocationsWithRegex } from './nlp.js';
 // Let's fetch it from the server first
 let map;
 
+// The routes returned by the last directions request and which one is shown as active
+let currentRoute = {
+  routes: [],
+  activeIndex: 0,
+  locations: [],
+  stops: [],
+  profile: null,
+  preferences: null
+};
+
+// Numbered markers for the stops of the current route
+let waypointMarkers = [];
+
+// Stops after each change made by dragging on the map, for undo and redo
+let editHistory = createEditHistory();
+
+// Map edits are routed once the user pauses, so quick successive drags need one request
+const REROUTE_DELAY_MS = 400;
+let rerouteTimer = null;
+
+// The Directions API routes through at most 25 stops
+const MAX_ROUTE_STOPS = 25;
+
+// The menu opened by clicking the map, and the ends picked from it before there is a route
+let mapMenu = null;
+let pickedEnds = { from: null, to: null };
+
+// Counts elevation requests so a slow answer for an earlier route is ignored
+let elevationRequest = 0;
+
+// Counts overnight stop lookups the same way, and the markers for the current trip's nights
+let roadTripRequest = 0;
+let overnightMarkers = [];
+
+// Where charging stops are found, and the vehicle from the EV settings panel
+let chargerSource = createGeoJsonChargerSource();
+let evSettings = loadEvSettings();
+
+// The conversation so far, so follow-up queries edit the current plan instead of starting over
+let routeSession = createRouteSession();
+
+// Files imported onto the map: { id, imported, summary }
+let importedRoutes = [];
+let nextImportId = 0;
+
+// Recent searches and favourites from the server, or null when they could not be loaded
+let savedRoutes = null;
+
+// Timer for the next public token refresh
+let tokenRefreshTimer = null;
+
+// Timer for updating the permalink after the map stops moving
+let permalinkTimer = null;
+
+/**
+ * Fetch the restricted public Mapbox token from the server and hand it to Mapbox GL
+ * Schedules itself again after the server's refreshAfter so rotated tokens are picked up
+ * @returns {Promise<string>} - The token
+ */
+async function refreshMapboxToken() {
+  console.log('Fetching Mapbox token from server...');
+  const response = await fetch('/api/mapbox-token', { cache: 'no-store' });
+  if (!response.ok) {
+    throw new Error(`Server returned ${response.status}: ${response.statusText}`);
+  }
+  const data = await response.json();
+  console.log('Token received:', data.token ? 'yes (length: ' + data.token.length + ')' : 'no');
+  
+  if (!data.token) {
+    throw new Error('No Mapbox token received from server');
+  }
+  
+  if (mapboxgl.accessToken && mapboxgl.accessToken !== data.token) {
+    console.log('Mapbox token has been rotated');
+  }
+  
+  // Tiles requested from now on use the new token
+  mapboxgl.accessToken = data.token;
+  
+  clearTimeout(tokenRefreshTimer);
+  if (data.refreshAfter > 0) {
+    tokenRefreshTimer = setTimeout(() => {
+      refreshMapboxToken().catch(error => console.error('Error refreshing Mapbox token:', error));
+    }, data.refreshAfter * 1000);
+  }
+  
+  return data.token;
+}
+
 // Initialize the map after we fetch the token
 async function initializeMap() {
   try {
     console.log('Starting map initialization...');
     // Fetch the Mapbox token from the server
-    console.log('Fetching Mapbox token from server...');
-    const response = await fetch('/api/mapbox-token');
-    if (!response.ok) {
-      throw new Error(`Server returned ${response.status}: ${response.statusText}`);
-    }
-    const data = await response.json();
-    console.log('Token received:', data.token ? 'yes (length: ' + data.token.length + ')' : 'no');
-    
-    if (!data.token) {
-      throw new Error('No Mapbox token received from server');
-    }
-    
-    // Set the token for Mapbox GL
-    mapboxgl.accessToken = data.token;
+    await refreshMapboxToken();
     console.log('Mapbox token set, initializing map...');
     
+    // A shared link in the URL holds a route to rebuild once the map has loaded
+    const sharedRoute = await readPermalink().catch(error => {
+      console.error('Error reading shared route:', error);
+      return null;
+    });
+    const viewport = sharedRoute && sharedRoute.viewport;
+    
     // Initialize the map
     map = new mapboxgl.Map({
       container: 'map',
       style: 'mapbox://styles/mapbox/streets-v12',
-      center: [-122.42136449, 37.80176523], // Center the map on San Francisco
-      zoom: 8
+      center: viewport ? viewport.center : [-122.42136449, 37.80176523], // Center the map on San Francisco
+      zoom: viewport ? viewport.zoom : 8,
+      bearing: viewport ? viewport.bearing : 0,
+      pitch: viewport ? viewport.pitch : 0
     });
     
     console.log('Map object created, waiting for load event...');
@@ -66,12 +247,57 @@ async function initializeMap() {
           'line-width': 3
         }
       });
+      
+      // Traffic colours are drawn over the plain route line when the route has them
+      addTrafficLayers(map);
+      
+      // Trips that change mode draw each mode in its own style instead
+      addModeLayers(map);
+      
+      // Alternative routes sit underneath the active route and can be clicked to select them
+      addAlternativeLayers(map, setActiveRoute);
+      
+      // Highlight layer for the maneuver selected in the itinerary panel
+      addItineraryLayers(map);
+      
+      // Marker that follows the cursor over the elevation chart
+      addElevationLayers(map);
+      
+      // Grabbing the route line and dropping it elsewhere adds a via point there
+      addRouteDragLayers(map);
+      enableRouteLineDragging(map, 'route-line', insertViaPoint);
+      
+      // Clicking anywhere else offers to route from, to or through that point
+      map.on('click', openMapMenu);
+      map.on('contextmenu', openMapMenu);
+      
+      // Reachable-area contours are drawn underneath everything else
+      addIsochroneLayers(map);
       console.log('Layer added');
+      
+      if (sharedRoute) {
+        restoreSharedRoute(sharedRoute);
+      }
+    });
+    
+    // Keep the viewport in the permalink once the map settles
+    map.on('moveend', () => {
+      clearTimeout(permalinkTimer);
+      permalinkTimer = setTimeout(() => {
+        if (currentRoute.routes.length > 0) {
+          updatePermalink(getPermalinkState());
+        }
+      }, 500);
     });
     
     // Add error event listener to the map
     map.on('error', (e) => {
       console.error('Mapbox GL error:', e.error);
+      
+      // A rejected token usually means it was rotated, so fetch the current one
+      if (e.error && (e.error.status === 401 || e.error.status === 403)) {
+        refreshMapboxToken().catch(error => console.error('Error refreshing Mapbox token:', error));
+      }
     });
   } catch (error) {
     console.error('Error initializing map:', error);
@@ -82,6 +308,45 @@ async function initializeMap() {
 
 // Call the initialize function when the page loads
 document.addEventListener('DOMContentLoaded', initializeMap);
+document.addEventListener('DOMContentLoaded', () => {
+  // The map has to be resized whenever the itinerary panel changes width
+  initializeItineraryPanel(() => map && map.resize());
+  
+  // Exports are built from the active route when a format is picked
+  initializeExportMenu(getActiveRouteExport);
+  initializeShareButton(getPermalinkState);
+  
+  // The vehicle range and charge used for driving routes when the query does not give them
+  initializeEvSettings(settings => {
+    evSettings = settings;
+  });
+  
+  // GPX, KML and GeoJSON files can be picked or dropped onto the map
+  initializeImportControls(handleImportedFile);
+  
+  // Undo and redo changes made by dragging on the map
+  document.getElementById('route-undo').addEventListener('click', undoMapEdit);
+  document.getElementById('route-redo').addEventListener('click', redoMapEdit);
+  document.addEventListener('keydown', event => {
+    const target = event.target.tagName;
+    if (!(event.ctrlKey || event.metaKey) || target === 'INPUT' || target === 'TEXTAREA') {
+      return;
+    }
+    
+    const key = event.key.toLowerCase();
+    if (key === 'z' && !event.shiftKey) {
+      event.preventDefault();
+      undoMapEdit();
+    } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+      event.preventDefault();
+      redoMapEdit();
+    }
+  });
+  
+  // Recent searches and favourites reopen without another NLP request
+  initializeSavedRoutesPanel(() => map && map.resize());
+  loadSavedRoutes();
+});
 
 const searchInput = document.getElementById('search-input');
 const searchButton = document.getElementById('search-button');
@@ -99,6 +364,9 @@ searchButton.addEventListener('click', async () => {
   loadingIndicator.style.display = 'block';
   loadingIndicator.textContent = 'Processing your request...';
   
+  // Follow-ups are read against the current plan
+  const sessionContext = getSessionContext(routeSession);
+  
   // Set a timeout for the entire operation
   const timeoutPromise = new Promise((_, reject) => 
     setTimeout(() => reject(new Error('Request timed out')), 10000)
@@ -107,16 +375,43 @@ searchButton.addEventListener('click', async () => {
   try {
     // Race between the NLP processing and the timeout
     const result = await Promise.race([
-      processNaturalLanguage(inputValue),
+      processNaturalLanguage(inputValue, sessionContext),
       timeoutPromise
     ]);
     
     console.log('NLP Result:', result);
     
-    if (result.locations && result.locations.length > 0) {
+    // A time that was recognised but could not be read is better asked about than guessed
+    if (result.timeError) {
+      alert(result.timeError);
+      loadingIndicator.style.display = 'none';
+      return;
+    }
+    
+    // Public transport cannot be routed; any other change in the same follow-up still applies
+    if (result.modeError) {
+      alert(result.modeError);
+      if (!(result.edits && result.edits.length > 0)) {
+        loadingIndicator.style.display = 'none';
+        return;
+      }
+    }
+    
+    if (result.isIsochrone) {
+      loadingIndicator.textContent = 'Finding reachable area...';
+      showReachableArea(result.origin, result.contours, result.preferences);
+    } else if (result.isMatrix) {
+      // A table of travel times leaves the current route as it is
+      loadingIndicator.textContent = 'Measuring travel times...';
+      showDistanceMatrix(result.origins, result.destinations, result.preferences);
+    } else if (result.locations && result.locations.length > 0) {
       // Process the extracted locations and preferences
-      loadingIndicator.textContent = 'Finding route...';
-      getRouteCoordinates(result.locations, result.preferences, true);
+      loadingIndicator.textContent = result.isEdit ? 'Updating route...' : 'Finding route...';
+      getRouteCoordinates(result.locations, result.preferences, true, {
+        query: inputValue,
+        isEdit: result.isEdit,
+        edits: result.edits
+      });
     } else {
       // Fallback to direct processing if NLP fails to extract locations
       loadingIndicator.textContent = 'Finding route...';
@@ -128,35 +423,765 @@ searchButton.addEventListener('click', async () => {
     // Don't show technical error to the user, just continue with a simpler message
     loadingIndicator.textContent = 'Finding route...';
     
-    // Try extracting locations with regex directly
-    const regexLocations = extractLocationsWithRegex(inputValue);
-    if (regexLocations && regexLocations.length >= 2) {
-      console.log('Using regex-extracted locations as fallback:', regexLocations);
-      getRouteCoordinates(regexLocations, null, true);
+    // A recognisable follow-up still edits the current route
+    const regexEdit = extractRouteEditWithRegex(inputValue, sessionContext);
+    if (regexEdit && regexEdit.modeError) {
+      alert(regexEdit.modeError);
+      if (regexEdit.edits.length === 0) {
+        loadingIndicator.style.display = 'none';
+        return;
+      }
+    }
+    if (regexEdit) {
+      console.log('Using regex-recognised route edit as fallback:', regexEdit.edits);
+      getRouteCoordinates(regexEdit.locations, regexEdit.preferences, true, {
+        query: inputValue,
+        isEdit: true,
+        edits: regexEdit.edits
+      });
+      return;
+    }
+    
+    // Try extracting locations with regex directly, keeping its avoid preferences
+    const regexResult = extractLocationsWithRegex(inputValue);
+    if (regexResult && regexResult.locations && regexResult.locations.length >= 2) {
+      console.log('Using regex-extracted locations as fallback:', regexResult.locations);
+      getRouteCoordinates(regexResult.locations, regexResult.preferences, true, { query: inputValue });
     } else {
       // If no locations found with regex, try direct processing
-      getRouteCoordinates(inputValue);
+      getRouteCoordinates(inputValue, regexResult && regexResult.preferences);
     }
   }
 });
 
+/**
+ * Show messages from the backend about the current route, or hide the notice box
+ * @param {Array<string>} messages - Messages to display, e.g. avoidances that could not be honoured
+ */
+function showRouteNotices(messages = []) {
+  const noticeBox = document.getElementById('route-notice');
+  
+  if (!messages || messages.length === 0) {
+    noticeBox.style.display = 'none';
+    noticeBox.textContent = '';
+    return;
+  }
+  
+  console.warn('Route notices:', messages);
+  noticeBox.textContent = messages.join(' ');
+  noticeBox.style.display = 'block';
+}
+
+/**
+ * Forget the current plan so the next query starts a new route
+ */
+function resetRouteSession() {
+  console.log('Starting a new route session');
+  routeSession = createRouteSession();
+  renderRouteSession(routeSession, resetRouteSession);
+  renderOptimizationSummary(null);
+  updatePermalink(null);
+  resetShareLink();
+}
+
+/**
+ * Collect what a permalink needs to rebuild the shown route
+ * @returns {Object|null} - { queries, stops, preferences, activeIndex, viewport }, or null without a route
+ */
+function getPermalinkState() {
+  if (currentRoute.routes.length === 0 || currentRoute.stops.length < 2) {
+    return null;
+  }
+  
+  return {
+    queries: routeSession.history.map(turn => turn.query),
+    stops: currentRoute.stops,
+    preferences: routeSession.preferences,
+    activeIndex: currentRoute.activeIndex,
+    viewport: {
+      center: map.getCenter().toArray(),
+      zoom: map.getZoom(),
+      bearing: map.getBearing(),
+      pitch: map.getPitch()
+    }
+  };
+}
+
+/**
+ * Rebuild a route from a shared link without geocoding its stops again
+ * @param {Object} shared - From readPermalink
+ */
+function restoreSharedRoute(shared) {
+  console.log('Restoring shared route:', shared);
+  const queries = shared.queries.length > 0 ?
+    shared.queries :
+    [shared.stops.map(stop => stop.query).join(' to ')];
+  
+  searchInput.value = queries[queries.length - 1];
+  loadingIndicator.style.display = 'block';
+  loadingIndicator.textContent = 'Loading shared route...';
+  
+  getRouteCoordinates(shared.stops.map(stop => stop.query), shared.preferences, true, {
+    query: queries[queries.length - 1],
+    history: queries.slice(0, -1),
+    stops: shared.stops,
+    activeIndex: shared.activeIndex,
+    keepViewport: Boolean(shared.viewport)
+  });
+}
+
+/**
+ * Build the export model for the active route
+ * @returns {Object|null} - See createRouteExport, or null when no route is shown
+ */
+function getActiveRouteExport() {
+  const route = currentRoute.routes[currentRoute.activeIndex];
+  
+  if (!route) {
+    return null;
+  }
+  
+  return createRouteExport({
+    route,
+    stops: currentRoute.stops,
+    queries: routeSession.history.map(turn => turn.query),
+    profile: currentRoute.profile
+  });
+}
+
+/**
+ * Parse an imported file and draw it on the map beside the planned route
+ * @param {string} text - The file contents
+ * @param {string} fileName - The file name
+ */
+function handleImportedFile(text, fileName) {
+  if (!map || !map.loaded()) {
+    alert('Please wait for the map to load before importing files');
+    return;
+  }
+  
+  let imported;
+  try {
+    imported = parseRouteFile(text, fileName);
+  } catch (error) {
+    console.error('Error importing file:', error);
+    alert('Error importing file: ' + error.message);
+    return;
+  }
+  
+  const entry = {
+    id: nextImportId++,
+    imported,
+    summary: summariseImportedRoute(imported)
+  };
+  console.log(`Imported ${fileName}:`, entry.summary);
+  
+  addImportedRouteLayers(map, entry.id, imported);
+  importedRoutes.push(entry);
+  renderImportedRoutes(importedRoutes, importHandlers);
+  zoomToImportedRoute(map, entry.summary);
+}
+
+// Actions offered for each imported file
+const importHandlers = {
+  onZoom(id) {
+    const entry = importedRoutes.find(item => item.id === id);
+    if (entry) {
+      zoomToImportedRoute(map, entry.summary);
+    }
+  },
+  
+  onReplan(id) {
+    const entry = importedRoutes.find(item => item.id === id);
+    if (!entry) {
+      return;
+    }
+    
+    const stops = getReplanStops(entry.imported);
+    if (stops.length < 2) {
+      alert('This file needs at least two points to plan a route through');
+      return;
+    }
+    
+    console.log(`Re-planning ${entry.imported.name} through ${stops.length} stops`);
+    loadingIndicator.style.display = 'block';
+    loadingIndicator.textContent = 'Finding route...';
+    getRouteCoordinates(stops.map(stop => stop.query), routeSession.preferences, true, {
+      query: `Re-plan of ${entry.imported.name}`,
+      stops
+    });
+  },
+  
+  onRemove(id) {
+    removeImportedRouteLayers(map, id);
+    importedRoutes = importedRoutes.filter(item => item.id !== id);
+    renderImportedRoutes(importedRoutes, importHandlers);
+  }
+};
+
+/**
+ * Draw the areas reachable from a place within the requested times or distances
+ * @param {string|null} origin - The place to start from, or null for the map centre
+ * @param {Object} contours - { minutes: [...] } or { meters: [...] }
+ * @param {Object} preferences - Route preferences; only the transport mode is used
+ */
+async function showReachableArea(origin, contours, preferences) {
+  if (!map || !map.loaded()) {
+    alert('Please wait for the map to load before searching');
+    loadingIndicator.style.display = 'none';
+    return;
+  }
+  
+  clearIsochrones(map);
+  
+  try {
+    const [stop] = origin ?
+      await geocodeLocations([origin]) :
+      [{ name: 'the map centre', coordinates: map.getCenter().toArray() }];
+    
+    const isochrone = await requestIsochrone(stop.coordinates, preferences.transportMode, contours);
+    console.log(`Isochrone with ${isochrone.features.length} contours around`, stop.coordinates);
+    
+    showIsochrones(map, isochrone, stop.coordinates);
+    renderIsochroneLegend(isochrone, stop.name || origin, () => clearIsochrones(map));
+  } catch (error) {
+    console.error('Error finding reachable area:', error);
+    if (!error.cancelled) {
+      alert('Error finding reachable area: ' + error.message);
+    }
+  } finally {
+    loadingIndicator.style.display = 'none';
+  }
+}
+
+/**
+ * Geocode the places in a matrix request and show the travel times between them
+ * @param {Array<string>} origins - Places to measure from
+ * @param {Array<string>} destinations - Places to measure to
+ * @param {Object} preferences - Route preferences; only the transport mode is used
+ */
+async function showDistanceMatrix(origins, destinations, preferences) {
+  hideMatrixTable();
+  
+  try {
+    const originStops = await geocodeLocations(origins);
+    // Places named on both sides are only looked up once
+    const destinationStops = await geocodeLocations(destinations, originStops);
+    
+    const matrix = await requestMatrix(originStops, destinationStops, preferences.transportMode);
+    renderMatrixTable(matrix);
+  } catch (error) {
+    console.error('Error building distance matrix:', error);
+    if (!error.cancelled) {
+      alert('Error building distance matrix: ' + error.message);
+    }
+  } finally {
+    loadingIndicator.style.display = 'none';
+  }
+}
+
+/**
+ * Fetch the saved routes and show them in the sidebar
+ */
+async function loadSavedRoutes() {
+  try {
+    savedRoutes = await fetchSavedRoutes();
+    console.log(`Loaded ${savedRoutes.length} saved routes`);
+  } catch (error) {
+    console.error('Error loading saved routes:', error);
+    savedRoutes = null;
+  }
+  renderSavedRoutes(savedRoutes, savedRouteHandlers);
+}
+
+/**
+ * Put a saved route at the top of the sidebar list, replacing any older copy
+ * @param {Object} saved - The saved route from the server
+ */
+function showSavedRoute(saved) {
+  savedRoutes = [saved, ...(savedRoutes || []).filter(item => item.id !== saved.id)];
+  renderSavedRoutes(savedRoutes, savedRouteHandlers);
+}
+
+/**
+ * Add the route on screen to the recent searches
+ * Failures are only logged: search history is a convenience and must not get in the way of routing
+ */
+async function recordRecentSearch() {
+  const state = getPermalinkState();
+  if (!state) {
+    return;
+  }
+  
+  try {
+    await saveRoute(compactRouteState(state), 'recent');
+    // The server drops the oldest recent searches, so reload rather than adding to the list
+    await loadSavedRoutes();
+  } catch (error) {
+    console.warn('Could not record recent search:', error);
+  }
+}
+
+// Actions offered for each saved route
+const savedRouteHandlers = {
+  onOpen(saved) {
+    const state = expandRouteState(saved.state);
+    if (!state) {
+      alert('This saved route could not be loaded');
+      return;
+    }
+    
+    if (!map || !map.loaded()) {
+      alert('Please wait for the map to load before opening saved routes');
+      return;
+    }
+    
+    console.log('Opening saved route', saved.id);
+    // Fit the map to the route rather than the viewport it was saved with
+    restoreSharedRoute({ ...state, viewport: null });
+  },
+  
+  async onFavourite(saved) {
+    const name = prompt('Name this route', describeSavedRoute(saved));
+    if (name === null) {
+      return;
+    }
+    if (!name.trim()) {
+      alert('Please enter a name for the route');
+      return;
+    }
+    
+    try {
+      showSavedRoute(await saveRoute(saved.state, 'favourite', name.trim()));
+    } catch (error) {
+      console.error('Error saving favourite:', error);
+      alert('Error saving favourite: ' + error.message);
+    }
+  },
+  
+  async onRename(saved) {
+    const name = prompt('Rename this route', saved.name);
+    if (name === null || name.trim() === saved.name) {
+      return;
+    }
+    if (!name.trim()) {
+      alert('Please enter a name for the route');
+      return;
+    }
+    
+    try {
+      showSavedRoute(await updateSavedRoute(saved.id, { name: name.trim() }));
+    } catch (error) {
+      console.error('Error renaming route:', error);
+      alert('Error renaming route: ' + error.message);
+    }
+  },
+  
+  async onDelete(saved) {
+    if (saved.kind === 'favourite' && !confirm(`Delete "${describeSavedRoute(saved)}"?`)) {
+      return;
+    }
+    
+    try {
+      await deleteSavedRoute(saved.id);
+      savedRoutes = savedRoutes.filter(item => item.id !== saved.id);
+      renderSavedRoutes(savedRoutes, savedRouteHandlers);
+    } catch (error) {
+      console.error('Error deleting saved route:', error);
+      alert('Error deleting saved route: ' + error.message);
+    }
+  }
+};
+
+/**
+ * Make one of the current routes the active route
+ * Draws it on the 'route-line' layer, moves the others to the alternative layers
+ * and refreshes the comparison table and itinerary panel
+ * @param {number} index - The index of the route in the directions response
+ */
+function setActiveRoute(index) {
+  const route = currentRoute.routes[index];
+  
+  if (!route || !map.getSource('route')) {
+    console.error('Cannot activate route', index);
+    return;
+  }
+  
+  console.log('Activating route', index);
+  currentRoute.activeIndex = index;
+  
+  map.getSource('route').setData({
+    type: 'Feature',
+    geometry: route.geometry
+  });
+  
+  showRouteTraffic(map, route);
+  showModeLines(map, route);
+  drawAlternatives(map, currentRoute.routes, index);
+  renderAlternativesTable(currentRoute.routes, index, setActiveRoute);
+  
+  // The battery along an electric vehicle's route; time spent charging delays the arrival
+  const battery = needsChargingPlan(currentRoute.preferences) ?
+    simulateBattery(route, currentRoute.stops, currentRoute.preferences) :
+    null;
+  if (battery) {
+    renderChargingPlan(battery, currentRoute.preferences);
+  } else {
+    hideChargingPlan();
+  }
+  
+  // Totals, arrival time and legs for whichever route is now active
+  renderRouteSummary(
+    route,
+    currentRoute.stops.length > 0 ? currentRoute.stops : currentRoute.locations,
+    getTripSchedule(currentRoute.preferences, route.duration + (battery ? battery.chargingSeconds : 0))
+  );
+  
+  // Show the turn-by-turn directions beside the map
+  renderItinerary(map, route, currentRoute.locations);
+  showRouteElevation(route);
+  showRoadTrip(route);
+  showExportMenu(true);
+  
+  // The address bar always links to what is on screen
+  updatePermalink(getPermalinkState());
+  resetShareLink();
+  map.resize();
+}
+
+/**
+ * Replace the stop markers with markers for new stops
+ * @param {Array<Object>} stops - Geocoded stops in route order, or [] to clear the markers
+ */
+function showWaypointMarkers(stops) {
+  removeWaypointMarkers(waypointMarkers);
+  waypointMarkers = addWaypointMarkers(map, stops, moveStop);
+}
+
+/**
+ * Enable the undo and redo buttons when there is something to undo or redo
+ */
+function renderEditControls() {
+  document.getElementById('route-undo').disabled = !canUndo(editHistory);
+  document.getElementById('route-redo').disabled = !canRedo(editHistory);
+}
+
+/**
+ * Route through the stops at the current point in the edit history once the user pauses
+ * @param {string} query - What changed, recorded in the route session
+ * @param {Array<Object>} edits - The change, in the NLP edit format
+ */
+function scheduleReroute(query, edits) {
+  const stops = getCurrentStops(editHistory);
+  showWaypointMarkers(stops);
+  renderEditControls();
+  
+  clearTimeout(rerouteTimer);
+  rerouteTimer = setTimeout(() => {
+    console.log('Re-routing after map edit:', query);
+    loadingIndicator.style.display = 'block';
+    loadingIndicator.textContent = 'Updating route...';
+    
+    getRouteCoordinates(stops.map(stop => stop.query), routeSession.preferences, true, {
+      query,
+      isEdit: true,
+      isMapEdit: true,
+      edits,
+      stops,
+      keepViewport: true
+    });
+  }, REROUTE_DELAY_MS);
+}
+
+/**
+ * Move a stop to where its marker was dropped, naming it after the place it landed on
+ * @param {number} index - The stop's position in the route
+ * @param {Array<number>} coordinates - [lng, lat] where it was dropped
+ */
+async function moveStop(index, coordinates) {
+  const stop = await reverseGeocode(coordinates);
+  const stops = [...getCurrentStops(editHistory)];
+  const previous = stops[index];
+  stops[index] = stop;
+  
+  // A round trip starts and ends at the same place, so both ends move together
+  const lastIndex = stops.length - 1;
+  if (routeSession.preferences && routeSession.preferences.roundTrip && (index === 0 || index === lastIndex)) {
+    stops[index === 0 ? lastIndex : 0] = { ...stop };
+  }
+  
+  editHistory = recordEdit(editHistory, stops);
+  scheduleReroute(`Moved ${previous.query} to ${stop.query} on the map`, [
+    { type: 'replace', from: previous.query, location: stop.query }
+  ]);
+}
+
+/**
+ * Add a via point where the route line was dropped, in the leg it was grabbed from
+ * @param {Array<number>} grabbed - [lng, lat] where the line was grabbed
+ * @param {Array<number>} dropped - [lng, lat] where it was dropped
+ */
+async function insertViaPoint(grabbed, dropped) {
+  const route = currentRoute.routes[currentRoute.activeIndex];
+  if (!route) {
+    return;
+  }
+  
+  if (getCurrentStops(editHistory).length >= MAX_ROUTE_STOPS) {
+    alert(`A route can have at most ${MAX_ROUTE_STOPS} stops`);
+    return;
+  }
+  
+  const stop = await reverseGeocode(dropped);
+  const stops = [...getCurrentStops(editHistory)];
+  const position = findInsertPosition(route.geometry.coordinates, stops, grabbed);
+  stops.splice(position, 0, stop);
+  
+  editHistory = recordEdit(editHistory, stops);
+  scheduleReroute(`Added ${stop.query} on the map`, [{ type: 'add', location: stop.query }]);
+}
+
+/**
+ * Open the menu of actions for the point that was clicked
+ * Clicks on the routes themselves and on the stop markers are left to their own handlers
+ * @param {Object} event - The Mapbox mouse event
+ */
+function openMapMenu(event) {
+  if (event.originalEvent.target !== map.getCanvas() ||
+      map.queryRenderedFeatures(event.point).some(feature => feature.layer.id.startsWith('route-'))) {
+    return;
+  }
+  
+  if (mapMenu) {
+    mapMenu.remove();
+  }
+  
+  const items = [
+    { label: 'Route from here', onSelect: coordinates => setRouteEnd('from', coordinates) },
+    { label: 'Route to here', onSelect: coordinates => setRouteEnd('to', coordinates) }
+  ];
+  if (currentRoute.routes.length > 0) {
+    items.push({ label: 'Add as stop', onSelect: coordinates => insertViaPoint(coordinates, coordinates) });
+  }
+  items.push({ label: "What's here?", onSelect: describePlace });
+  
+  mapMenu = showMapMenu(map, event.lngLat.toArray(), items);
+}
+
+/**
+ * Start or end the route at a point picked on the map
+ * With a route on the map its first or last stop moves there; otherwise the point is
+ * remembered until the other end is picked too
+ * @param {string} end - 'from' or 'to'
+ * @param {Array<number>} coordinates - [lng, lat]
+ */
+async function setRouteEnd(end, coordinates) {
+  if (currentRoute.routes.length > 0) {
+    moveStop(end === 'from' ? 0 : getCurrentStops(editHistory).length - 1, coordinates);
+    return;
+  }
+  
+  pickedEnds = { ...pickedEnds, [end]: await reverseGeocode(coordinates) };
+  const { from, to } = pickedEnds;
+  
+  if (!from || !to) {
+    showRouteNotices([from ?
+      `Starting from ${from.query}. Click the map again to choose where to go.` :
+      `Going to ${to.query}. Click the map again to choose where to start.`]);
+    return;
+  }
+  
+  pickedEnds = { from: null, to: null };
+  searchInput.value = `${from.query} to ${to.query}`;
+  loadingIndicator.style.display = 'block';
+  loadingIndicator.textContent = 'Finding route...';
+  getRouteCoordinates([from.query, to.query], routeSession.preferences, true, {
+    query: searchInput.value,
+    stops: [from, to]
+  });
+}
+
+/**
+ * Show what is at a point on the map
+ * @param {Array<number>} coordinates - [lng, lat]
+ */
+async function describePlace(coordinates) {
+  let places = [];
+  try {
+    places = await fetchPlacesAt(coordinates);
+  } catch (error) {
+    console.error('Error looking up point:', error);
+  }
+  mapMenu = showPlaceDetails(map, coordinates, places);
+}
+
+/**
+ * Undo the last change made on the map
+ */
+function undoMapEdit() {
+  if (canUndo(editHistory)) {
+    editHistory = undoEdit(editHistory);
+    scheduleReroute('Undo', [{ type: 'undo' }]);
+  }
+}
+
+/**
+ * Redo the last change that was undone
+ */
+function redoMapEdit() {
+  if (canRedo(editHistory)) {
+    editHistory = redoEdit(editHistory);
+    scheduleReroute('Redo', [{ type: 'redo' }]);
+  }
+}
+
+/**
+ * Split a long route into days and suggest a town for each night, when the search asked for it
+ * @param {Object|null} route - The active Mapbox route, or null to clear the plan
+ */
+async function showRoadTrip(route) {
+  const request = ++roadTripRequest;
+  removeOvernightMarkers(overnightMarkers);
+  overnightMarkers = [];
+  
+  const dailyLimit = route && getDailyLimit(currentRoute.preferences, route.duration);
+  if (!dailyLimit) {
+    hideRoadTrip();
+    return;
+  }
+  
+  const stops = currentRoute.stops.length > 0 ? currentRoute.stops : currentRoute.locations;
+  const days = splitRouteIntoDays(route, dailyLimit);
+  renderRoadTrip(days, [], stops);
+  
+  const overnightStops = await findOvernightStops(days);
+  if (request !== roadTripRequest) {
+    return;
+  }
+  
+  console.log('Overnight stops:', overnightStops.map(stop => stop && stop.placeName));
+  renderRoadTrip(days, overnightStops, stops);
+  overnightMarkers = addOvernightMarkers(map, days, overnightStops);
+}
+
+/**
+ * Show the elevation chart for a walking or cycling route, or hide it for other modes
+ * A failure only hides the chart, since the route itself is still usable
+ * @param {Object} route - The active Mapbox route
+ */
+async function showRouteElevation(route) {
+  const request = ++elevationRequest;
+  showElevationMarker(map, null);
+  
+  if (!hasElevationProfile(currentRoute.profile)) {
+    hideElevationChart();
+    return;
+  }
+  
+  try {
+    const elevation = await requestElevation(route.geometry.coordinates);
+    if (request !== elevationRequest) {
+      return;
+    }
+    
+    console.log('Elevation summary:', elevation.summary);
+    renderElevationChart(elevation, sample => showElevationMarker(map, sample && sample.coordinates));
+    map.resize();
+  } catch (error) {
+    console.error('Error getting elevation profile:', error);
+    if (request === elevationRequest) {
+      hideElevationChart();
+    }
+  }
+}
+
 // Remove the geocodingUrl direct reference
 // const geocodingUrl = 'https://api.mapbox.com/geocoding/v5/mapbox.places/';
 
+/**
+ * Request routes from the directions backend
+ * @param {Array<Array<number>>} coordinates - The stops' coordinates
+ * @param {Object} preferences - Route preferences
+ * @param {Object} timing - The profile and time parameters from getDirectionsTiming
+ * @param {Object} options - Optional request fields, e.g. alternatives, steps or annotations
+ * @returns {Promise<Object>} - The directions response; rejects with the backend's error
+ */
+function requestDirections(coordinates, preferences, timing, options = {}) {
+  const requestBody = {
+    coordinates,
+    profile: timing.profile,
+    preferences,
+    geometries: 'geojson',
+    overview: 'full',
+    ...options
+  };
+  
+  if (timing.depart_at) {
+    requestBody.depart_at = timing.depart_at;
+  } else if (timing.arrive_by) {
+    requestBody.arrive_by = timing.arrive_by;
+  }
+  
+  return fetch('/api/mapbox-directions', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(requestBody)
+  })
+  .then(response => {
+    if (!response.ok) {
+      return response.json().then(errorData => {
+        throw new Error(errorData.error || 'Error finding route');
+      });
+    }
+    return response.json();
+  });
+}
+
 /**
  * Get route coordinates based on input and preferences
  * @param {string|Array} input - The input string or array of locations
  * @param {Object} preferences - Optional route preferences
  * @param {boolean} isLocationArray - Whether the input is already an array of locations
+ * @param {Object} turn - Optional details of the query for the route session: { query, isEdit, edits },
+ *   plus stops when the locations are already resolved (imported files, shared links), and for
+ *   shared links the earlier queries (history), the selected alternative (activeIndex) and keepViewport;
+ *   isMapEdit marks changes made by dragging on the map, which keep the undo history
  */
-function getRouteCoordinates(input, preferences = null, isLocationArray = false) {
+function getRouteCoordinates(input, preferences = null, isLocationArray = false, turn = null) {
   // Default preferences if not provided
   preferences = preferences || {
     transportMode: 'driving',
     avoidTolls: false,
     avoidHighways: false,
-    avoidFerries: false
+    avoidFerries: false,
+    avoidUnpaved: false,
+    avoidCashOnlyTolls: false
   };
+  
+  // Driving routes are planned for an electric vehicle when the settings panel says so
+  if (preferences.transportMode === 'driving') {
+    preferences = applyEvSettings(preferences, evSettings);
+  }
+  
+  // Clear notices left over from the previous search
+  showRouteNotices([]);
+
+  // A new search must not leave in the past; a saved or edited route whose time
+  // has since passed is shown for leaving now instead
+  const timeProblem = validateTripTime(preferences);
+  const timeWarnings = [];
+  if (timeProblem) {
+    if (!(turn && turn.stops)) {
+      alert(timeProblem);
+      document.getElementById('loading-indicator').style.display = 'none';
+      return;
+    }
+    console.log('Dropping trip time:', timeProblem);
+    preferences = { ...preferences, departAt: null, arriveBy: null };
+    timeWarnings.push('The departure or arrival time of this route has passed, so it is shown for leaving now.');
+  }
 
   // Handle the input based on whether it's an array or string
   let locations;
@@ -219,116 +1244,134 @@ function getRouteCoordinates(input, preferences = null, isLocationArray = false)
     return;
   }
 
-  // Now we need to geocode each location using our server proxy
-  const geocodePromises = locations.map(location =>
-    fetch('/api/mapbox-geocoding', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({ location })
-    })
-      .then(response => {
-        if (!response.ok) {
-          return response.json().then(errorData => {
-            throw new Error(errorData.error || `Unable to geocode location: ${location}`);
-          });
-        }
-        return response.json();
-      })
-      .then(data => {
-        if (data.features && data.features.length > 0) {
-          const coordinates = data.features[0].geometry.coordinates;
-          console.log(`Geocoded "${location}" to:`, coordinates);
-          return coordinates; // Return as array, not string
-        } else {
-          throw new Error(`Unable to geocode location: ${location}`);
-        }
-      })
-      .catch(error => {
-        console.error(`Error geocoding "${location}":`, error.message);
-        throw new Error(`Unable to find "${location}" on the map`);
-      })
-  );
+  // The geocoded stops, filled in once every location has been resolved and ordered
+  let resolvedStops = [];
+  
+  // Warnings from planning the stop order, shown with those from the directions request
+  let planWarnings = [];
+  
+  // An electric vehicle's trip is routed once to find where it must charge, then again through the chargers
+  let chargingPlanned = false;
+  let chargingWarnings = [];
 
   // Use our server proxy instead of directly calling Mapbox API
   let routeAttempt = 0;
   const maxRouteAttempts = 2;
 
+  /**
+   * Draw the routes from a directions response and make them the current route
+   * @param {Object} data - { routes, profile }, from the backend or stitched from several requests
+   * @param {Object} preferences - The preferences the routes were planned with
+   * @param {Array<string>} warnings - Messages about the request, e.g. avoidances that could not be honoured
+   */
+  function showRoutes(data, preferences, warnings) {
+    // Let the user know about any avoidances the backend could not honour
+    showRouteNotices([...timeWarnings, ...planWarnings, ...chargingWarnings, ...warnings.filter(Boolean)]);
+    
+    if (!(data.routes && data.routes.length > 0)) {
+      console.error('No valid route found in the API response');
+      throw new Error('Could not find a valid route between the specified locations');
+    }
+    
+    const routeCoordinates = data.routes[0].geometry.coordinates;
+    
+    if (!routeCoordinates || routeCoordinates.length < 2) {
+      console.error('Route coordinates are invalid:', routeCoordinates);
+      throw new Error('Received invalid route data from the server');
+    }
+    
+    console.log('Drawing route with', routeCoordinates.length, 'points');
+    
+    // Update the map with the route data
+    if (!(map.loaded() && map.getSource('route'))) {
+      console.error('Map or source not ready');
+      return;
+    }
+    
+    console.log('Updating map with route data');
+    currentRoute = {
+      routes: data.routes,
+      activeIndex: 0,
+      locations,
+      stops: resolvedStops,
+      profile: data.profile || preferences.transportMode,
+      preferences
+    };
+    
+    // Changes made on the map extend the undo history; any other search starts a new one
+    if (!(turn && turn.isMapEdit)) {
+      editHistory = createEditHistory(resolvedStops);
+    }
+    pickedEnds = { from: null, to: null };
+    renderEditControls();
+    showWaypointMarkers(resolvedStops);
+    
+    // The plan the next follow-up will edit
+    routeSession = recordRouteTurn(routeSession, {
+      query: turn ? turn.query : String(input),
+      history: turn && turn.history,
+      isEdit: Boolean(turn && turn.isEdit),
+      edits: turn && turn.edits,
+      locations,
+      preferences,
+      stops: resolvedStops
+    });
+    renderRouteSession(routeSession, resetRouteSession);
+    
+    // A shared link picks the alternative that was selected when it was shared
+    const activeIndex = turn && turn.activeIndex < data.routes.length ? turn.activeIndex : 0;
+    setActiveRoute(activeIndex);
+    
+    // Shared links keep the viewport they were shared with
+    if (!(turn && turn.keepViewport)) {
+      // Compute the bounding box for all coordinates
+      const bounds = routeCoordinates.reduce((bounds, coord) => {
+        return bounds.extend(coord);
+      }, new mapboxgl.LngLatBounds(routeCoordinates[0], routeCoordinates[0]));
+
+      // Fit the map to the bounds
+      map.fitBounds(bounds, {
+        padding: 50
+      });
+    }
+    
+    recordRecentSearch();
+  }
+
   function findRoute(coordinates, preferences) {
     routeAttempt++;
     console.log(`Route attempt ${routeAttempt} of ${maxRouteAttempts}`);
     
-    // Simplify parameters on retry attempts
-    const requestBody = {
-      coordinates,
-      profile: preferences.transportMode,
-      geometries: 'geojson',
-      overview: 'full'
-    };
+    // Driving at a given time uses live or typical traffic for that time
+    const timing = getDirectionsTiming(preferences);
     
     // Only add optional parameters on first attempt
-    if (routeAttempt === 1) {
-      requestBody.alternatives = false;
-      requestBody.steps = false;
-    }
+    // Preferences and times are kept on retries so they are never silently dropped
+    const options = routeAttempt === 1 ? {
+      alternatives: true,
+      steps: true,
+      voice_instructions: true,
+      banner_instructions: true,
+      annotations: [...TRAFFIC_ANNOTATIONS, ...ROAD_TRIP_ANNOTATIONS]
+    } : {};
     
-    fetch('/api/mapbox-directions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(requestBody)
-    })
-    .then(response => {
-      if (!response.ok) {
-        return response.json().then(errorData => {
-          throw new Error(errorData.error || 'Error finding route');
-        });
+    requestDirections(coordinates, preferences, timing, options)
+    .then(data => {
+      console.log('Route data:', data);
+      
+      if (needsChargingPlan(preferences) && !chargingPlanned && data.routes && data.routes.length > 0) {
+        chargingPlanned = true;
+        return routeThroughChargers(data.routes[0], preferences).then(rerouting => (rerouting ? null : data));
       }
-      return response.json();
+      return data;
     })
     .then(data => {
-      console.log('Route data:', data);
-      if (data.routes && data.routes.length > 0) {
-        const routeCoordinates = data.routes[0].geometry.coordinates;
-        
-        if (!routeCoordinates || routeCoordinates.length < 2) {
-          console.error('Route coordinates are invalid:', routeCoordinates);
-          throw new Error('Received invalid route data from the server');
-        }
-        
-        console.log('Drawing route with', routeCoordinates.length, 'points');
-        
-        const mapData = {
-          type: 'Feature',
-          geometry: {
-            type: 'LineString',
-            coordinates: routeCoordinates
-          }
-        };
-        
-        // Update the map with the route data
-        if (map.loaded() && map.getSource('route')) {
-          console.log('Updating map with route data');
-          map.getSource('route').setData(mapData);
-          
-          // Compute the bounding box for all coordinates
-          const bounds = routeCoordinates.reduce((bounds, coord) => {
-            return bounds.extend(coord);
-          }, new mapboxgl.LngLatBounds(routeCoordinates[0], routeCoordinates[0]));
-
-          // Fit the map to the bounds
-          map.fitBounds(bounds, {
-            padding: 50
-          });
-        } else {
-          console.error('Map or source not ready');
-        }
-      } else {
-        console.error('No valid route found in the API response');
-        throw new Error('Could not find a valid route between the specified locations');
+      // The route through the chargers is shown by its own request
+      if (!data) {
+        return;
       }
+      showRoutes(data, preferences, [timing.warning, ...(data.warnings || [])]);
+      
       // Hide loading indicator after processing completes
       document.getElementById('loading-indicator').style.display = 'none';
       // Reset route attempt counter
@@ -351,8 +1394,113 @@ function getRouteCoordinates(input, preferences = null, isLocationArray = false)
     });
   }
 
-  Promise.all(geocodePromises)
-    .then(coordinates => {
+  /**
+   * Add the chargers an electric vehicle needs along a route to the stops and route through them
+   * @param {Object} route - The route planned without charging stops
+   * @param {Object} preferences - Route preferences with evRangeKm
+   * @returns {Promise<boolean>} - Whether the trip is being routed again; when not, the route
+   *   needs no charging or no charger could be found for it
+   */
+  function routeThroughChargers(route, preferences) {
+    return chargerSource.findChargers(getChargerSearchBounds(route))
+      .then(chargers => planChargingStops(route, preferences, chargers))
+      .catch(error => {
+        console.error('Error finding chargers:', error);
+        return { chargers: [], error: `Charging stops could not be planned: ${error.message}` };
+      })
+      .then(plan => {
+        chargingWarnings = plan.error ? [plan.error] : [];
+        if (plan.chargers.length === 0) {
+          return false;
+        }
+        
+        if (resolvedStops.length + plan.chargers.length > MAX_ROUTE_STOPS) {
+          chargingWarnings = [`This trip needs ${plan.chargers.length} charging stops, more than a route can hold.`];
+          return false;
+        }
+        
+        resolvedStops = insertChargingStops(route, resolvedStops, plan.chargers);
+        locations = resolvedStops.map(stop => stop.query);
+        console.log('Routing through charging stops:', locations);
+        
+        routeAttempt = 0;
+        findRoute(resolvedStops.map(stop => stop.coordinates), preferences);
+        return true;
+      });
+  }
+
+  /**
+   * Route a trip that changes mode, one request per run of legs with the same mode
+   * @param {Array<Array<number>>} coordinates - The stops' coordinates
+   * @param {Array<string>} legModes - One mode per leg
+   * @param {Object} preferences - Route preferences
+   */
+  function findMultiModalRoute(coordinates, legModes, preferences) {
+    const groups = groupLegsByMode(legModes);
+    console.log('Routing each mode separately:', groups);
+    
+    const routeGroup = (group, times) => {
+      const groupPreferences = { ...preferences, transportMode: group.mode, departAt: null, arriveBy: null, ...times };
+      const timing = getDirectionsTiming(groupPreferences);
+      
+      return requestDirections(coordinates.slice(group.from, group.to + 1), groupPreferences, timing, {
+        steps: true,
+        voice_instructions: true,
+        banner_instructions: true
+      }).then(data => ({ mode: group.mode, data, timing }));
+    };
+    
+    // With a time, each group sets off when the one before it arrives, so driving groups get the
+    // traffic for when they start; an arrival time is worked back from the last group instead
+    const arriving = Boolean(preferences.arriveBy);
+    const tripTime = parseLocalDateTime(arriving ? preferences.arriveBy : preferences.departAt);
+    let routing;
+    
+    if (!tripTime) {
+      routing = Promise.all(groups.map(group => routeGroup(group, {})));
+    } else {
+      let time = tripTime;
+      routing = (arriving ? [...groups].reverse() : groups)
+        .reduce((previous, group) => previous.then(results => {
+          // Groups worked back to before now are planned for leaving now
+          const text = time > new Date() ? toLocalDateTime(time) : null;
+          return routeGroup(group, arriving ? { arriveBy: text } : { departAt: text }).then(result => {
+            const duration = result.data.routes[0].duration * 1000;
+            time = new Date(time.getTime() + (arriving ? -duration : duration));
+            return [...results, result];
+          });
+        }), Promise.resolve([]))
+        .then(results => (arriving ? results.reverse() : results));
+    }
+    
+    routing
+    .then(results => {
+      console.log('Route data for each mode:', results);
+      const route = stitchRoutes(results.map(({ mode, data }) => ({ mode, route: data.routes[0] })));
+      const warnings = results.flatMap(({ data, timing }) => [timing.warning, ...(data.warnings || [])]);
+      
+      showRoutes({ routes: [route], profile: 'multimodal' }, preferences, [...new Set(warnings)]);
+      document.getElementById('loading-indicator').style.display = 'none';
+    })
+    .catch(error => {
+      console.error('Error fetching directions:', error);
+      alert('Error getting directions: ' + error.message);
+      document.getElementById('loading-indicator').style.display = 'none';
+    });
+  }
+
+  // Geocode the locations in order, so each stop is biased toward the ones before it
+  // Edits reuse the stops that were already resolved
+  const geocoding = turn && turn.stops ?
+    Promise.resolve(turn.stops) :
+    geocodeLocations(locations, turn && turn.isEdit ? routeSession.stops : []);
+  
+  geocoding
+    .then(geocoded => {
+      // Charging stops are planned afresh for every route, so those of an earlier plan are dropped
+      const stops = geocoded.filter(stop => !stop.charger);
+      const coordinates = stops.map(stop => stop.coordinates);
+      resolvedStops = stops;
       console.log('Geocoded coordinates:', coordinates);
       console.log('Number of locations:', locations.length, 'Number of coordinates:', coordinates.length);
       
@@ -377,6 +1525,23 @@ function getRouteCoordinates(input, preferences = null, isLocationArray = false)
             coordinates: []
           }
         });
+        hideItinerary(map);
+        clearAlternatives(map);
+        hideRouteSummary();
+        showRouteTraffic(map, null);
+        showModeLines(map, null);
+        showRoadTrip(null);
+        hideChargingPlan();
+        showWaypointMarkers([]);
+        editHistory = createEditHistory();
+        renderEditControls();
+        elevationRequest++;
+        hideElevationChart();
+        showElevationMarker(map, null);
+        currentRoute = { routes: [], activeIndex: 0, locations: [], stops: [], profile: null, preferences: null };
+        showExportMenu(false);
+        resetRouteSession();
+        map.resize();
         
         // Hide loading indicator for single location case
         document.getElementById('loading-indicator').style.display = 'none';
@@ -386,7 +1551,9 @@ function getRouteCoordinates(input, preferences = null, isLocationArray = false)
       // Ensure we have at least 2 coordinates for a valid route
       if (coordinates.length < 2) {
         console.error('Need at least 2 valid coordinates for a route');
-        alert('Please provide at least two valid locations for a route');
+        alert(turn && turn.isEdit ?
+          'A route needs at least two stops, so that change cannot be made' :
+          'Please provide at least two valid locations for a route');
         // Hide loading indicator when not enough coordinates
         document.getElementById('loading-indicator').style.display = 'none';
         return;
@@ -396,12 +1563,42 @@ function getRouteCoordinates(input, preferences = null, isLocationArray = false)
       // This fixes issues like "From New York to Los Angeles to Chicago" only routing NY to Chicago
       console.log('Processing multi-stop route with all waypoints:', locations);
       
-      // Call our new findRoute function
-      findRoute(coordinates, preferences);
+      // Reorder the stops when any order will do and close round trips; stops that
+      // were resolved already (shared links, imports) are routed exactly as given
+      // Trips that change mode keep their stops in the order given
+      const keepOrder = Boolean(preferences.legModes && preferences.optimizeOrder);
+      const planning = turn && turn.stops ?
+        Promise.resolve({ stops, optimization: null, warning: null }) :
+        planStopOrder(stops, keepOrder ? { ...preferences, optimizeOrder: false } : preferences);
+      
+      return planning.then(plan => {
+        resolvedStops = plan.stops;
+        locations = plan.stops.map(stop => stop.query);
+        planWarnings = plan.warning ? [plan.warning] : [];
+        if (keepOrder) {
+          planWarnings.push('The stops are kept in the order given, since each leg has its own mode.');
+        }
+        renderOptimizationSummary(plan.optimization);
+        
+        const coordinates = plan.stops.map(stop => stop.coordinates);
+        const { legModes, warning: modeWarning } = getLegModes(preferences, coordinates.length - 1);
+        if (modeWarning) {
+          planWarnings.push(modeWarning);
+        }
+        
+        if (legModes) {
+          findMultiModalRoute(coordinates, legModes, preferences);
+        } else {
+          // Call our new findRoute function
+          findRoute(coordinates, preferences);
+        }
+      });
     })
     .catch(error => {
       console.error('Error geocoding locations:', error);
-      alert('Error finding locations: ' + error.message);
+      if (!error.cancelled) {
+        alert('Error finding locations: ' + error.message);
+      }
       // Hide loading indicator in case of geocoding error
       document.getElementById('loading-indicator').style.display = 'none';
     });
@@ -0,0 +1,20 @@
+// Copy the frontend from the repository root into public/, the output directory for Cloudflare Pages
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { isFrontendFile } from '../lib/frontend-assets.js';
+
+const root = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const output = path.join(root, 'public');
+
+fs.mkdirSync(output, { recursive: true });
+
+// Remove files left by an earlier build; _redirects is the Pages configuration and stays
+fs.readdirSync(output)
+  .filter(isFrontendFile)
+  .forEach(name => fs.rmSync(path.join(output, name)));
+
+const files = fs.readdirSync(root).filter(isFrontendFile);
+files.forEach(name => fs.copyFileSync(path.join(root, name), path.join(output, name)));
+
+console.log(`Copied ${files.length} frontend files to public/`);
@@ -1,10 +1,30 @@
 // Backend server to handle API requests securely
 import express from 'express';
 import cors from 'cors';
-import axios from 'axios';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import path from 'path';
+import {
+  handleMapboxToken,
+  handleGeocoding,
+  handleReverseGeocoding,
+  handleDirections,
+  handleOptimizeRoute,
+  handleMatrix,
+  handleIsochrone,
+  handleElevation,
+  handleGemini,
+  handleCreateShortLink,
+  handleGetShortLink,
+  handleListSavedRoutes,
+  handleCreateSavedRoute,
+  handleGetSavedRoute,
+  handleUpdateSavedRoute,
+  handleDeleteSavedRoute
+} from './lib/api-handlers.js';
+import { CACHE_POLICIES, createCachedHandler, createMemoryCache } from './lib/cache.js';
+import { createFileStore } from './lib/file-store.js';
+import { isFrontendFile } from './lib/frontend-assets.js';
 
 // Setup __dirname equivalent for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -16,10 +36,22 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a TLS-terminating proxy, req.protocol has to come from X-Forwarded-Proto, or the
+// same-origin check for the public token sees http:// while the page is on https://
+// Proxies on private networks are trusted by default; TRUST_PROXY takes a hop count or a list of addresses
+const trustProxy = process.env.TRUST_PROXY || 'loopback, linklocal, uniquelocal';
+app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+
 // Middleware
-app.use(cors());
+app.use(cors({ exposedHeaders: ['X-Cache'] }));
 app.use(express.json());
-app.use(express.static(path.join(__dirname, '.')));
+// Only the frontend is served from the repository root (see lib/frontend-assets.js).
+// Server code, package files and data/, where short links and saved routes are written, stay private
+const serveFrontend = express.static(__dirname, { index: false });
+app.use((req, res, next) => {
+  const isFrontendAsset = /^\/[^/]+$/.test(req.path) && isFrontendFile(req.path.slice(1));
+  return isFrontendAsset ? serveFrontend(req, res, next) : next();
+});
 
 // Add request logging middleware
 app.use((req, res, next) => {
@@ -36,221 +68,108 @@ if (missingEnvVars.length > 0) {
   process.exit(1);
 }
 
-// Proxy route for Mapbox API
+// The browser map needs its own restricted token; the secret MAPBOX_TOKEN is never sent to it
+if (!process.env.MAPBOX_PUBLIC_TOKEN) {
+  console.warn('MAPBOX_PUBLIC_TOKEN is not set, so the map will not load. Create a restricted public token for the browser.');
+}
+
+/**
+ * Send a result from the shared API handlers as an Express response
+ * @param {Object} res - The Express response
+ * @param {{status: number, body: Object, headers?: Object}} result - The handler result
+ */
+function sendResult(res, result) {
+  res.set(result.headers || {});
+  res.status(result.status).json(result.body);
+}
+
+// Upstream responses are kept in an in-memory LRU cache with a TTL per upstream,
+// and identical requests that arrive together share one upstream call
+const cache = createMemoryCache({ maxEntries: Number(process.env.CACHE_MAX_ENTRIES) || 500 });
+const cachedGeocoding = createCachedHandler(handleGeocoding, { cache, policy: CACHE_POLICIES.geocoding });
+const cachedReverseGeocoding = createCachedHandler(handleReverseGeocoding, { cache, policy: CACHE_POLICIES.reverseGeocoding });
+const cachedDirections = createCachedHandler(handleDirections, { cache, policy: CACHE_POLICIES.directions });
+const cachedGemini = createCachedHandler(handleGemini, { cache, policy: CACHE_POLICIES.gemini });
+const cachedMatrix = createCachedHandler(handleMatrix, { cache, policy: CACHE_POLICIES.matrix });
+const cachedIsochrone = createCachedHandler(handleIsochrone, { cache, policy: CACHE_POLICIES.isochrone });
+const cachedOptimization = createCachedHandler(handleOptimizeRoute, { cache, policy: CACHE_POLICIES.optimization });
+const cachedElevation = createCachedHandler(handleElevation, { cache, policy: CACHE_POLICIES.elevation });
+
+// Short links for shared routes are kept in a JSON file so they survive restarts
+const shortLinkStore = createFileStore(process.env.SHORT_LINK_FILE || path.join(__dirname, 'data', 'short-links.json'));
+
+// Saved routes and search history, grouped by the browser's X-Client-Id header
+const savedRouteStore = createFileStore(process.env.SAVED_ROUTES_FILE || path.join(__dirname, 'data', 'saved-routes.json'));
+const savedRouteContext = req => ({ store: savedRouteStore, clientId: req.get('X-Client-Id') });
+
+// The API routes are thin adapters over the handlers in lib/api-handlers.js,
+// which the Cloudflare Worker and Pages Functions share
 app.post('/api/mapbox-directions', async (req, res) => {
-  try {
-    const { coordinates, profile, alternatives, geometries, steps, overview, waypoints_per_route } = req.body;
-    
-    console.log('Received directions request with coordinates:', coordinates);
-    console.log('Profile:', profile);
-    
-    if (!coordinates || !Array.isArray(coordinates) || coordinates.length < 2) {
-      console.error('Invalid coordinates provided:', coordinates);
-      return res.status(400).json({ error: 'Invalid coordinates. At least 2 coordinates are required.' });
-    }
-    
-    const coordinatesString = coordinates.map(coord => coord.join(',')).join(';');
-    const mapboxUrl = `https://api.mapbox.com/directions/v5/mapbox/${profile}/${coordinatesString}`;
-    
-    console.log('Mapbox URL:', mapboxUrl);
-    
-    // Add parameters for the Mapbox Directions API
-    const params = {
-      access_token: process.env.MAPBOX_TOKEN,
-      alternatives: alternatives || false,
-      geometries: geometries || 'geojson',
-      steps: steps || false,
-      overview: overview || 'full'
-    };
-    
-    // Only add waypoints_per_route if it's explicitly provided
-    if (waypoints_per_route !== undefined) {
-      params.waypoints_per_route = waypoints_per_route;
-    }
-    
-    console.log('Request params:', params);
-    
-    try {
-      const response = await axios.get(mapboxUrl, { 
-        params,
-        timeout: 10000 // 10 second timeout
-      });
-      
-      console.log('Mapbox response status:', response.status);
-      console.log('Mapbox response contains routes:', response.data && response.data.routes ? response.data.routes.length : 'none');
-      
-      if (!response.data || !response.data.routes || response.data.routes.length === 0) {
-        console.error('No routes found in Mapbox response:', response.data);
-        return res.status(404).json({
-          error: 'No route found between the specified locations',
-          mapboxResponse: response.data
-        });
-      }
-      
-      console.log('Route successfully retrieved from Mapbox. Length:', 
-                  response.data.routes[0].geometry.coordinates.length, 
-                  'coordinates');
-      
-      res.json(response.data);
-    } catch (axiosError) {
-      console.error('Axios error when calling Mapbox API:', axiosError.message);
-      
-      if (axiosError.response) {
-        console.error('Mapbox API error status:', axiosError.response.status);
-        console.error('Mapbox API error data:', axiosError.response.data);
-        
-        return res.status(axiosError.response.status).json({
-          error: 'Mapbox API error',
-          details: axiosError.response.data
-        });
-      } else if (axiosError.request) {
-        console.error('No response received from Mapbox API');
-        return res.status(504).json({
-          error: 'No response received from Mapbox API'
-        });
-      } else {
-        console.error('Error setting up Mapbox API request');
-        return res.status(500).json({
-          error: 'Error setting up Mapbox API request',
-          message: axiosError.message
-        });
-      }
-    }
-  } catch (error) {
-    console.error('Error in Mapbox directions endpoint:', error.message);
-    res.status(500).json({ 
-      error: 'Failed to process Mapbox request',
-      details: error.message
-    });
-  }
+  sendResult(res, await cachedDirections(req.body, process.env));
+});
+
+app.post('/api/mapbox-matrix', async (req, res) => {
+  sendResult(res, await cachedMatrix(req.body, process.env));
+});
+
+app.post('/api/isochrone', async (req, res) => {
+  sendResult(res, await cachedIsochrone(req.body, process.env));
+});
+
+app.post('/api/elevation', async (req, res) => {
+  sendResult(res, await cachedElevation(req.body, process.env));
+});
+
+app.post('/api/optimize-route', async (req, res) => {
+  sendResult(res, await cachedOptimization(req.body, process.env));
 });
 
-// Proxy route for Mapbox Geocoding API
 app.post('/api/mapbox-geocoding', async (req, res) => {
-  try {
-    const { location } = req.body;
-    
-    if (!location || typeof location !== 'string' || location.trim().length === 0) {
-      return res.status(400).json({ error: 'Invalid location provided' });
-    }
-    
-    console.log('Geocoding location:', location);
-    
-    const mapboxUrl = `https://api.mapbox.com/geocoding/v5/mapbox.places/${encodeURIComponent(location)}.json`;
-    
-    const response = await axios.get(mapboxUrl, {
-      params: {
-        access_token: process.env.MAPBOX_TOKEN,
-        limit: 1
-      },
-      timeout: 10000 // 10 second timeout
-    });
-    
-    if (!response.data || !response.data.features || response.data.features.length === 0) {
-      console.warn(`No geocoding results found for: ${location}`);
-      return res.status(404).json({ error: `Location not found: ${location}` });
-    }
-    
-    console.log(`Successfully geocoded "${location}" to:`, response.data.features[0].geometry.coordinates);
-    
-    res.json(response.data);
-  } catch (error) {
-    console.error('Error proxying Mapbox Geocoding request:', error.message);
-    
-    if (error.response) {
-      console.error('Geocoding API error status:', error.response.status);
-      console.error('Geocoding API error data:', error.response.data);
-    } else if (error.request) {
-      console.error('No response received from Geocoding API');
-    }
-    
-    res.status(500).json({ 
-      error: 'Failed to process geocoding request',
-      details: error.response?.data || error.message
-    });
-  }
+  sendResult(res, await cachedGeocoding(req.body, process.env));
+});
+
+app.post('/api/mapbox-reverse-geocoding', async (req, res) => {
+  sendResult(res, await cachedReverseGeocoding(req.body, process.env));
 });
 
-// Endpoint to provide the Mapbox token to the client
-app.get('/api/mapbox-token', (req, res) => {
-  console.log('Request received for Mapbox token');
-  
-  if (!process.env.MAPBOX_TOKEN) {
-    console.error('MAPBOX_TOKEN is not set in environment variables');
-    return res.status(500).json({ 
-      error: 'Mapbox token is not configured on the server',
-      message: 'Please check the server configuration and make sure MAPBOX_TOKEN is set in the .env file'
-    });
-  }
-  
-  console.log('Sending token (first 10 chars):', process.env.MAPBOX_TOKEN.substring(0, 10) + '...');
-  res.json({ token: process.env.MAPBOX_TOKEN });
+app.get('/api/mapbox-token', async (req, res) => {
+  sendResult(res, await handleMapboxToken(process.env, {
+    origin: req.get('Origin'),
+    referer: req.get('Referer'),
+    requestOrigin: `${req.protocol}://${req.get('host')}`
+  }));
 });
 
-// Proxy route for Gemini API
 app.post('/api/gemini', async (req, res) => {
-  try {
-    const { prompt, functionDeclarations } = req.body;
-    
-    const geminiUrl = 'https://generativelanguage.googleapis.com/v1/models/gemini-pro:generateContent';
-    
-    const data = {
-      contents: [
-        {
-          parts: [
-            {
-              text: prompt
-            }
-          ]
-        }
-      ]
-    };
-    
-    // Add function declarations if provided
-    if (functionDeclarations) {
-      data.tools = [{
-        functionDeclarations
-      }];
-    }
-    
-    console.log('Sending request to Gemini API...');
-    
-    // Set a timeout of 5 seconds for the request
-    const response = await axios.post(
-      `${geminiUrl}?key=${process.env.GEMINI_API_KEY}`, 
-      data,
-      { timeout: 5000 } // 5 second timeout
-    );
-    
-    console.log('Received response from Gemini API');
-    res.json(response.data);
-  } catch (error) {
-    console.error('Error proxying Gemini request:', error.message);
-    
-    // Provide more specific error information
-    if (error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED') {
-      console.error('Request to Gemini API timed out');
-      return res.status(504).json({ 
-        error: 'Gemini API request timed out',
-        fallback: true,
-        message: 'Consider trying a simpler query or using the manual location entry'
-      });
-    }
-    
-    if (error.response) {
-      console.error('Response status:', error.response.status);
-      console.error('Response data:', error.response.data);
-    } else if (error.request) {
-      console.error('No response received from Gemini API');
-    }
-    
-    res.status(500).json({ 
-      error: 'Failed to process Gemini request',
-      details: error.response?.data || error.message,
-      fallback: true,
-      message: 'Try entering locations directly'
-    });
-  }
+  sendResult(res, await cachedGemini(req.body, process.env));
+});
+
+app.post('/api/short-links', async (req, res) => {
+  sendResult(res, await handleCreateShortLink(req.body, process.env, shortLinkStore));
+});
+
+app.get('/api/short-links/:id', async (req, res) => {
+  sendResult(res, await handleGetShortLink(req.params.id, process.env, shortLinkStore));
+});
+
+app.get('/api/routes', async (req, res) => {
+  sendResult(res, await handleListSavedRoutes(req.query, process.env, savedRouteContext(req)));
+});
+
+app.post('/api/routes', async (req, res) => {
+  sendResult(res, await handleCreateSavedRoute(req.body, process.env, savedRouteContext(req)));
+});
+
+app.get('/api/routes/:id', async (req, res) => {
+  sendResult(res, await handleGetSavedRoute(req.params.id, process.env, savedRouteContext(req)));
+});
+
+app.put('/api/routes/:id', async (req, res) => {
+  sendResult(res, await handleUpdateSavedRoute(req.params.id, req.body, process.env, savedRouteContext(req)));
+});
+
+app.delete('/api/routes/:id', async (req, res) => {
+  sendResult(res, await handleDeleteSavedRoute(req.params.id, process.env, savedRouteContext(req)));
 });
 
 // Main route
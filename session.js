@@ -0,0 +1,203 @@
+// Route session: the current plan and the queries that built it, so follow-ups can edit it
+import { describeTripTime } from './trip-time.js';
+
+// Queries kept as conversation context for Gemini
+const MAX_HISTORY = 10;
+
+// How each avoid flag is described to the user
+const PREFERENCE_LABELS = {
+  avoidTolls: 'tolls',
+  avoidHighways: 'highways',
+  avoidFerries: 'ferries',
+  avoidUnpaved: 'unpaved roads',
+  avoidCashOnlyTolls: 'cash-only tolls'
+};
+
+/**
+ * Create an empty route session
+ * @returns {Object} - { locations, preferences, stops, history, lastEdits }
+ */
+function createRouteSession() {
+  return {
+    locations: [],
+    preferences: null,
+    stops: [],
+    history: [],
+    lastEdits: []
+  };
+}
+
+/**
+ * Check whether the session holds a route that follow-ups can edit
+ * @param {Object} session - The route session
+ * @returns {boolean}
+ */
+function hasActiveRoute(session) {
+  return session.locations.length >= 2;
+}
+
+/**
+ * Get the part of the session sent to the NLP module as context
+ * @param {Object} session - The route session
+ * @returns {Object|null} - { locations, preferences, history }, or null when there is no route yet
+ */
+function getSessionContext(session) {
+  if (!hasActiveRoute(session)) {
+    return null;
+  }
+
+  return {
+    locations: session.locations,
+    preferences: session.preferences,
+    history: session.history.map(turn => turn.query)
+  };
+}
+
+/**
+ * Record a query whose route was found
+ * An edit extends the conversation; anything else starts a new one, seeded with
+ * turn.history when the earlier queries are known (e.g. from a shared link)
+ * @param {Object} session - The route session
+ * @param {Object} turn - { query, history?, isEdit, edits, locations, preferences, stops }
+ * @returns {Object} - The updated session
+ */
+function recordRouteTurn(session, turn) {
+  const history = turn.isEdit ?
+    session.history :
+    (turn.history || []).map((query, index) => ({ query, isEdit: index > 0 }));
+
+  return {
+    locations: turn.locations,
+    preferences: turn.preferences,
+    stops: turn.stops,
+    history: [...history, { query: turn.query, isEdit: Boolean(turn.isEdit) }].slice(-MAX_HISTORY),
+    lastEdits: turn.isEdit ? (turn.edits || []) : []
+  };
+}
+
+/**
+ * Describe an edit operation from the NLP module for the session panel
+ * @param {Object} edit - An applied edit, e.g. { type: 'add', location: 'Lyon' }
+ * @returns {string}
+ */
+function describeRouteEdit(edit) {
+  switch (edit.type) {
+    case 'add':
+      return `added ${edit.location}`;
+    case 'move':
+      return `moved ${edit.location}`;
+    case 'remove':
+      return `removed ${edit.location}`;
+    case 'replace':
+      return `replaced ${edit.from} with ${edit.location}`;
+    case 'swap':
+      return `swapped ${edit.first} and ${edit.second}`;
+    case 'reverse':
+      return 'reversed the route';
+    case 'mode':
+      return `switched to ${edit.transportMode}`;
+    case 'order':
+      if (edit.optimize === false) {
+        return 'kept the current stop order';
+      }
+      return edit.roundTrip && edit.optimize === undefined ? 'made it a round trip' : 'optimised the stop order';
+    case 'undo':
+      return 'undid the last change on the map';
+    case 'redo':
+      return 'redid the change on the map';
+    case 'preference':
+      return `${edit.value ? 'avoiding' : 'allowing'} ${PREFERENCE_LABELS[edit.name] || edit.name}`;
+    default:
+      return 'updated the route';
+  }
+}
+
+/**
+ * Describe the session's preferences, e.g. "driving, avoiding tolls and ferries, best order, leaving 08:00"
+ * @param {Object} preferences - Route preferences
+ * @returns {string}
+ */
+function describePreferences(preferences) {
+  const avoided = Object.keys(PREFERENCE_LABELS)
+    .filter(name => preferences[name])
+    .map(name => PREFERENCE_LABELS[name]);
+  const parts = [Array.isArray(preferences.legModes) ? preferences.legModes.join(' then ') : preferences.transportMode];
+
+  if (avoided.length > 0) {
+    const list = avoided.length > 1 ?
+      `${avoided.slice(0, -1).join(', ')} and ${avoided[avoided.length - 1]}` :
+      avoided[0];
+    parts.push(`avoiding ${list}`);
+  }
+  if (preferences.optimizeOrder) {
+    parts.push('best order');
+  }
+  if (preferences.roundTrip) {
+    parts.push('round trip');
+  }
+
+  if (preferences.maxDailyHours) {
+    parts.push(`at most ${preferences.maxDailyHours} h a day`);
+  } else if (preferences.tripDays) {
+    parts.push(`over ${preferences.tripDays} days`);
+  }
+
+  if (preferences.evRangeKm) {
+    parts.push(`EV, ${preferences.evRangeKm} km range from ${preferences.startChargePercent || 100}%`);
+  }
+
+  const tripTime = describeTripTime(preferences);
+  if (tripTime) {
+    parts.push(tripTime);
+  }
+
+  return parts.join(', ');
+}
+
+/**
+ * Show the current plan and the last change above the map, or hide the panel
+ * @param {Object} session - The route session
+ * @param {Function} onReset - Called when the user starts a new route
+ */
+function renderRouteSession(session, onReset) {
+  const panel = document.getElementById('route-session');
+  const summary = document.getElementById('route-session-summary');
+  const change = document.getElementById('route-session-change');
+  const resetButton = document.getElementById('route-session-reset');
+  const searchInput = document.getElementById('search-input');
+
+  // Remember the original hint so it can be restored when the session ends
+  if (!searchInput.dataset.defaultPlaceholder) {
+    searchInput.dataset.defaultPlaceholder = searchInput.placeholder;
+  }
+
+  if (!hasActiveRoute(session)) {
+    panel.style.display = 'none';
+    searchInput.placeholder = searchInput.dataset.defaultPlaceholder;
+    return;
+  }
+
+  summary.textContent = `${session.locations.join(' → ')} (${describePreferences(session.preferences)})`;
+
+  if (session.lastEdits.length > 0) {
+    change.textContent = `Last change: ${session.lastEdits.map(describeRouteEdit).join(', ')}`;
+  } else if (session.history.length > 1) {
+    change.textContent = 'Last change: updated the route';
+  } else {
+    change.textContent = '';
+  }
+
+  resetButton.onclick = onReset;
+  searchInput.placeholder = 'Refine this route, e.g. "add a stop in Lyon", "now avoid tolls" or "make it walking"';
+  panel.style.display = 'block';
+}
+
+// Export the functions
+export {
+  createRouteSession,
+  hasActiveRoute,
+  getSessionContext,
+  recordRouteTurn,
+  describeRouteEdit,
+  renderRouteSession
+};
@@ -0,0 +1,158 @@
+// Route line coloured by traffic, from the congestion annotations of the directions response
+
+const TRAFFIC_SOURCE = 'route-traffic';
+const TRAFFIC_LAYER = 'route-traffic-line';
+
+// Mapbox congestion levels, lightest first; 'unknown' keeps the plain route colour
+const CONGESTION_LEVELS = [
+  { level: 'low', label: 'Light', color: '#2ea44f' },
+  { level: 'moderate', label: 'Moderate', color: '#f0ad4e' },
+  { level: 'heavy', label: 'Heavy', color: '#e8590c' },
+  { level: 'severe', label: 'Severe', color: '#c0392b' }
+];
+
+const UNKNOWN_COLOR = '#00a0f0';
+
+// The annotations requested with every route
+const TRAFFIC_ANNOTATIONS = ['congestion', 'speed'];
+
+const EMPTY_COLLECTION = {
+  type: 'FeatureCollection',
+  features: []
+};
+
+/**
+ * Join one annotation across the legs of a route
+ * @param {Object} route - A Mapbox route
+ * @param {string} name - e.g. 'congestion' or 'speed'
+ * @returns {Array|null} - One value per segment of the route geometry, or null when a leg lacks it
+ */
+function getRouteAnnotation(route, name) {
+  const legs = route.legs || [];
+  if (legs.length === 0 || !legs.every(leg => leg.annotation && Array.isArray(leg.annotation[name]))) {
+    return null;
+  }
+  return legs.flatMap(leg => leg.annotation[name]);
+}
+
+/**
+ * Split a route into one feature per segment, each with its congestion level and speed
+ * @param {Object} route - A Mapbox route requested with the congestion annotation
+ * @returns {Object|null} - A FeatureCollection, or null when the route has no usable traffic data
+ */
+function splitRouteByCongestion(route) {
+  const coordinates = route.geometry.coordinates;
+  const congestion = getRouteAnnotation(route, 'congestion');
+
+  // Annotations describe the full geometry, one value between each pair of points
+  if (!congestion || congestion.length !== coordinates.length - 1 ||
+      congestion.every(level => level === 'unknown')) {
+    return null;
+  }
+
+  const speeds = getRouteAnnotation(route, 'speed');
+
+  return {
+    type: 'FeatureCollection',
+    features: congestion.map((level, index) => ({
+      type: 'Feature',
+      properties: {
+        congestion: level,
+        // Mapbox gives speeds in metres per second
+        speed: speeds && speeds.length === congestion.length ? Math.round(speeds[index] * 3.6) : null
+      },
+      geometry: {
+        type: 'LineString',
+        coordinates: [coordinates[index], coordinates[index + 1]]
+      }
+    }))
+  };
+}
+
+/**
+ * Add the traffic-coloured line over the 'route-line' layer
+ * Must be called from the map 'load' handler, after the 'route-line' layer
+ * @param {Object} map - The Mapbox GL map
+ */
+function addTrafficLayers(map) {
+  map.addSource(TRAFFIC_SOURCE, {
+    type: 'geojson',
+    data: EMPTY_COLLECTION
+  });
+
+  map.addLayer({
+    id: TRAFFIC_LAYER,
+    type: 'line',
+    source: TRAFFIC_SOURCE,
+    layout: {
+      'line-join': 'round',
+      'line-cap': 'round'
+    },
+    paint: {
+      'line-color': [
+        'match',
+        ['get', 'congestion'],
+        ...CONGESTION_LEVELS.flatMap(({ level, color }) => [level, color]),
+        UNKNOWN_COLOR
+      ],
+      'line-width': 3
+    }
+  });
+}
+
+/**
+ * Colour a route by traffic, or leave the plain route line showing when there is no traffic data
+ * @param {Object} map - The Mapbox GL map
+ * @param {Object|null} route - A Mapbox route, or null to clear the traffic colours
+ * @returns {boolean} - Whether traffic colours are shown
+ */
+function showRouteTraffic(map, route) {
+  const segments = route ? splitRouteByCongestion(route) : null;
+
+  if (map.getSource(TRAFFIC_SOURCE)) {
+    map.getSource(TRAFFIC_SOURCE).setData(segments || EMPTY_COLLECTION);
+  }
+  console.log(segments ? `Showing traffic on ${segments.features.length} segments` : 'No traffic data for this route');
+  renderTrafficLegend(Boolean(segments));
+  return Boolean(segments);
+}
+
+/**
+ * Show the key to the traffic colours, or hide it
+ * @param {boolean} visible - Whether the route is coloured by traffic
+ */
+function renderTrafficLegend(visible) {
+  const legend = document.getElementById('traffic-legend');
+  legend.innerHTML = '';
+
+  if (!visible) {
+    legend.style.display = 'none';
+    return;
+  }
+
+  const title = document.createElement('li');
+  title.textContent = 'Traffic:';
+  legend.appendChild(title);
+
+  CONGESTION_LEVELS.forEach(({ label, color }) => {
+    const item = document.createElement('li');
+
+    const swatch = document.createElement('span');
+    swatch.className = 'traffic-swatch';
+    swatch.style.backgroundColor = color;
+    item.appendChild(swatch);
+
+    item.appendChild(document.createTextNode(label));
+    legend.appendChild(item);
+  });
+
+  legend.style.display = 'flex';
+}
+
+// Export the functions
+export {
+  TRAFFIC_ANNOTATIONS,
+  splitRouteByCongestion,
+  addTrafficLayers,
+  showRouteTraffic
+};
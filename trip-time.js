@@ -0,0 +1,159 @@
+// Departure and arrival times: validation, the directions options they need and how they are shown
+import { formatClockTime } from './formatting.js';
+
+// Times are kept as local date and time at the start of the route, the format Mapbox expects
+const LOCAL_DATE_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/;
+
+// A time given a moment ago is still "now", not in the past
+const PAST_TOLERANCE_MS = 60 * 1000;
+
+/**
+ * Format a date as local YYYY-MM-DDTHH:mm
+ * @param {Date} date - The date
+ * @returns {string}
+ */
+function toLocalDateTime(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Read a local YYYY-MM-DDTHH:mm date and time
+ * @param {string} text - The date and time
+ * @returns {Date|null} - null when the text is not a real date and time
+ */
+function parseLocalDateTime(text) {
+  const match = LOCAL_DATE_TIME_PATTERN.exec(String(text || ''));
+  if (!match) {
+    return null;
+  }
+
+  const [year, month, day, hours, minutes] = match.slice(1).map(Number);
+  const date = new Date(year, month - 1, day, hours, minutes);
+
+  // Reject values such as 2024-02-30 or 25:00 that Date would roll over
+  return toLocalDateTime(date) === match[0] ? date : null;
+}
+
+/**
+ * Get the departure or arrival time from the route preferences
+ * @param {Object} preferences - Route preferences with departAt or arriveBy
+ * @returns {{type: string, text: string, time: Date|null}|null} - type is 'depart' or 'arrive';
+ *   null when no time was given
+ */
+function getTripTime(preferences) {
+  if (!preferences) {
+    return null;
+  }
+  if (preferences.departAt) {
+    return { type: 'depart', text: preferences.departAt, time: parseLocalDateTime(preferences.departAt) };
+  }
+  if (preferences.arriveBy) {
+    return { type: 'arrive', text: preferences.arriveBy, time: parseLocalDateTime(preferences.arriveBy) };
+  }
+  return null;
+}
+
+/**
+ * Check the departure or arrival time in the route preferences
+ * @param {Object} preferences - Route preferences
+ * @param {Date} now - The current time
+ * @returns {string|null} - A message for the user, or null when the time is fine or missing
+ */
+function validateTripTime(preferences, now = new Date()) {
+  const tripTime = getTripTime(preferences);
+  if (!tripTime) {
+    return null;
+  }
+
+  const label = tripTime.type === 'depart' ? 'departure' : 'arrival';
+
+  if (!tripTime.time) {
+    return `The ${label} time "${tripTime.text}" is not a valid date and time.`;
+  }
+
+  if (tripTime.time.getTime() < now.getTime() - PAST_TOLERANCE_MS) {
+    return `The ${label} time, ${formatClockTime(tripTime.time, now)} on ${tripTime.time.toLocaleDateString()}, ` +
+      'has already passed. Add a day, e.g. "tomorrow", for a time that is later than now.';
+  }
+
+  return null;
+}
+
+/**
+ * Work out the directions profile and time parameters for a route
+ * Driving is planned with traffic, now or at the departure time, except for arrival
+ * times, which Mapbox only plans on the plain driving profile
+ * @param {Object} preferences - Route preferences
+ * @returns {{profile: string, depart_at?: string, arrive_by?: string, warning?: string}}
+ */
+function getDirectionsTiming(preferences) {
+  const tripTime = getTripTime(preferences);
+  const profile = preferences.transportMode;
+
+  if (!tripTime || !tripTime.time) {
+    return { profile: profile === 'driving' ? 'driving-traffic' : profile };
+  }
+
+  if (profile !== 'driving') {
+    return {
+      profile,
+      warning: `Traffic at the ${tripTime.type === 'depart' ? 'departure' : 'arrival'} time is only considered for driving, so the ${profile} time assumes a steady pace.`
+    };
+  }
+
+  return tripTime.type === 'depart' ?
+    { profile: 'driving-traffic', depart_at: tripTime.text } :
+    { profile: 'driving', arrive_by: tripTime.text };
+}
+
+/**
+ * Work out when the trip starts and ends
+ * @param {Object} preferences - Route preferences
+ * @param {number} duration - The route's duration in seconds
+ * @param {Date} now - The current time, used when no time was given
+ * @returns {{departure: Date, arrival: Date, fixed: string|null}} - fixed is 'depart' or
+ *   'arrive' for the end the user chose, or null when the trip leaves now
+ */
+function getTripSchedule(preferences, duration, now = new Date()) {
+  const tripTime = getTripTime(preferences);
+
+  if (tripTime && tripTime.time && tripTime.type === 'arrive') {
+    return {
+      departure: new Date(tripTime.time.getTime() - duration * 1000),
+      arrival: tripTime.time,
+      fixed: 'arrive'
+    };
+  }
+
+  const departure = tripTime && tripTime.time ? tripTime.time : now;
+  return {
+    departure,
+    arrival: new Date(departure.getTime() + duration * 1000),
+    fixed: tripTime && tripTime.time ? 'depart' : null
+  };
+}
+
+/**
+ * Describe the departure or arrival time for the session panel, e.g. "leaving Tue 08:00"
+ * @param {Object} preferences - Route preferences
+ * @returns {string|null}
+ */
+function describeTripTime(preferences) {
+  const tripTime = getTripTime(preferences);
+  if (!tripTime || !tripTime.time) {
+    return null;
+  }
+  return `${tripTime.type === 'depart' ? 'leaving' : 'arriving by'} ${formatClockTime(tripTime.time)}`;
+}
+
+// Export the functions
+export {
+  toLocalDateTime,
+  parseLocalDateTime,
+  validateTripTime,
+  getDirectionsTiming,
+  getTripSchedule,
+  describeTripTime
+};
@@ -0,0 +1,92 @@
+// Numbered markers for the start, via and end stops of a route, with details in a popup
+import { formatCoordinates } from './geocoding.js';
+
+/**
+ * Work out whether a stop is the start, a via point or the end
+ * @param {number} index - The stop's position in the route
+ * @param {number} count - The number of stops
+ * @returns {string} - 'start', 'via' or 'end'
+ */
+function getWaypointRole(index, count) {
+  if (index === 0) {
+    return 'start';
+  }
+  return index === count - 1 ? 'end' : 'via';
+}
+
+/**
+ * Build the popup content for a stop
+ * @param {Object} stop - A geocoded stop
+ * @param {number} index - The stop's position in the route
+ * @param {string} role - 'start', 'via' or 'end'
+ * @returns {HTMLElement}
+ */
+function createWaypointPopupContent(stop, index, role) {
+  const content = document.createElement('div');
+  content.className = 'waypoint-popup';
+
+  const title = document.createElement('strong');
+  const roleLabel = { start: 'Start', via: `Stop ${index + 1}`, end: 'End' }[role];
+  title.textContent = `${roleLabel}: ${stop.placeName || stop.name || stop.query}`;
+  content.appendChild(title);
+
+  // Show what was typed when it differs from what it was matched to
+  if (stop.query && stop.query !== (stop.placeName || stop.name)) {
+    const query = document.createElement('div');
+    query.textContent = `From "${stop.query}"`;
+    content.appendChild(query);
+  }
+
+  const coordinates = document.createElement('div');
+  coordinates.className = 'waypoint-coordinates';
+  coordinates.textContent = formatCoordinates(stop.coordinates);
+  content.appendChild(coordinates);
+
+  return content;
+}
+
+/**
+ * Add a numbered marker for every stop
+ * @param {Object} map - The Mapbox GL map
+ * @param {Array<Object>} stops - Geocoded stops in route order
+ * @param {Function} [onDragEnd] - Makes the markers draggable; called with the stop index
+ *   and the [lng, lat] it was dropped at
+ * @returns {Array<Object>} - The Mapbox markers, to pass to removeWaypointMarkers later
+ */
+function addWaypointMarkers(map, stops, onDragEnd = null) {
+  return stops.map((stop, index) => {
+    const role = getWaypointRole(index, stops.length);
+
+    const element = document.createElement('div');
+    element.className = `waypoint-marker waypoint-${role}`;
+    element.textContent = String(index + 1);
+    element.title = stop.name || stop.query;
+
+    const popup = new mapboxgl.Popup({ offset: 16 })
+      .setDOMContent(createWaypointPopupContent(stop, index, role));
+
+    const marker = new mapboxgl.Marker({ element, draggable: Boolean(onDragEnd) })
+      .setLngLat(stop.coordinates)
+      .setPopup(popup)
+      .addTo(map);
+
+    if (onDragEnd) {
+      marker.on('dragend', () => onDragEnd(index, marker.getLngLat().toArray()));
+    }
+    return marker;
+  });
+}
+
+/**
+ * Remove markers added by addWaypointMarkers
+ * @param {Array<Object>} markers - The Mapbox markers
+ */
+function removeWaypointMarkers(markers) {
+  markers.forEach(marker => marker.remove());
+}
+
+// Export the functions
+export {
+  addWaypointMarkers,
+  removeWaypointMarkers
+};
@@ -1,22 +1,55 @@
 /**
  * Route Visualization API Worker
  * Handles API requests for Mapbox and Gemini services
+ * The request handling itself lives in lib/api-handlers.js, shared with
+ * server.js and the Pages Functions
  */
 
-// Define allowed origins for CORS
-const ALLOWED_ORIGINS = [
+import {
+  handleMapboxToken,
+  handleGeocoding,
+  handleReverseGeocoding,
+  handleDirections,
+  handleOptimizeRoute,
+  handleMatrix,
+  handleIsochrone,
+  handleElevation,
+  handleGemini,
+  handleCreateShortLink,
+  handleGetShortLink,
+  handleListSavedRoutes,
+  handleCreateSavedRoute,
+  handleGetSavedRoute,
+  handleUpdateSavedRoute,
+  handleDeleteSavedRoute
+} from './lib/api-handlers.js';
+import { toResponse, runJsonHandler, getRequestOrigins } from './lib/fetch-adapter.js';
+import { CACHE_POLICIES, createCachedHandler, selectCloudflareCache } from './lib/cache.js';
+import { selectCloudflareStore } from './lib/store.js';
+
+// Define allowed origins for CORS, used unless ALLOWED_ORIGINS is set in the environment
+const DEFAULT_ALLOWED_ORIGINS = [
   'https://yourdomain.com',
   'https://route-visualization.pages.dev',
   'http://localhost:3000',
   'http://localhost:8788' // Wrangler dev server
 ];
 
+// Allowed origins from the ALLOWED_ORIGINS variable (comma separated) or the defaults
+function getAllowedOrigins(env) {
+  return env.ALLOWED_ORIGINS ?
+    env.ALLOWED_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean) :
+    DEFAULT_ALLOWED_ORIGINS;
+}
+
 // Helper function to handle CORS
-function handleCors(request) {
+function handleCors(request, env) {
+  const ALLOWED_ORIGINS = getAllowedOrigins(env);
   const origin = request.headers.get('Origin');
   const corsHeaders = {
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Client-Id',
+    'Access-Control-Expose-Headers': 'X-Cache',
     'Access-Control-Max-Age': '86400',
   };
 
@@ -30,253 +63,113 @@ function handleCors(request) {
   return corsHeaders;
 }
 
-// Helper function to create a response with CORS headers
-function createCorsResponse(body, status = 200, headers = {}) {
-  return new Response(body, {
-    status,
-    headers: {
-      'Content-Type': 'application/json',
-      ...headers,
-    },
-  });
-}
-
-// Handle Mapbox token requests
-async function handleMapboxToken(request, env) {
-  console.log('Request received for Mapbox token');
-  
-  if (!env.MAPBOX_TOKEN) {
-    return createCorsResponse(
-      JSON.stringify({ error: 'Mapbox token not configured' }),
-      500
-    );
-  }
-
-  return createCorsResponse(
-    JSON.stringify({ token: env.MAPBOX_TOKEN })
-  );
+// Upstream responses are cached in KV when a ROUTE_CACHE namespace is bound,
+// otherwise in the Cache API, with a TTL per upstream
+const cachedGeocoding = createCachedHandler(handleGeocoding, { cache: selectCloudflareCache, policy: CACHE_POLICIES.geocoding });
+const cachedReverseGeocoding = createCachedHandler(handleReverseGeocoding, { cache: selectCloudflareCache, policy: CACHE_POLICIES.reverseGeocoding });
+const cachedDirections = createCachedHandler(handleDirections, { cache: selectCloudflareCache, policy: CACHE_POLICIES.directions });
+const cachedGemini = createCachedHandler(handleGemini, { cache: selectCloudflareCache, policy: CACHE_POLICIES.gemini });
+const cachedMatrix = createCachedHandler(handleMatrix, { cache: selectCloudflareCache, policy: CACHE_POLICIES.matrix });
+const cachedIsochrone = createCachedHandler(handleIsochrone, { cache: selectCloudflareCache, policy: CACHE_POLICIES.isochrone });
+const cachedOptimization = createCachedHandler(handleOptimizeRoute, { cache: selectCloudflareCache, policy: CACHE_POLICIES.optimization });
+const cachedElevation = createCachedHandler(handleElevation, { cache: selectCloudflareCache, policy: CACHE_POLICIES.elevation });
+
+// Saved routes live in the SAVED_ROUTES KV namespace, grouped by the X-Client-Id header
+function getSavedRouteContext(request, env) {
+  return { store: selectCloudflareStore(env, 'SAVED_ROUTES'), clientId: request.headers.get('X-Client-Id') };
 }
 
-// Handle Mapbox geocoding requests
-async function handleMapboxGeocoding(request, env) {
-  try {
-    const { location } = await request.json();
-    console.log(`Geocoding location: ${location}`);
-
-    if (!location) {
-      return createCorsResponse(
-        JSON.stringify({ error: 'Location is required' }),
-        400
-      );
-    }
+// API routes, keyed by "METHOD path", each adapting a shared handler to a Response
+// A path segment starting with ":" matches any value and is passed on in params
+const API_ROUTES = {
+  'GET /api/mapbox-token': async (request, env, headers) => toResponse(await handleMapboxToken(
+    { ...env, ALLOWED_ORIGINS: getAllowedOrigins(env).join(',') },
+    getRequestOrigins(request)
+  ), headers),
+  'POST /api/mapbox-geocoding': (request, env, headers, ctx) => runJsonHandler(cachedGeocoding, request, env, headers, ctx),
+  'POST /api/mapbox-reverse-geocoding': (request, env, headers, ctx) => runJsonHandler(cachedReverseGeocoding, request, env, headers, ctx),
+  'POST /api/mapbox-directions': (request, env, headers, ctx) => runJsonHandler(cachedDirections, request, env, headers, ctx),
+  'POST /api/mapbox-matrix': (request, env, headers, ctx) => runJsonHandler(cachedMatrix, request, env, headers, ctx),
+  'POST /api/isochrone': (request, env, headers, ctx) => runJsonHandler(cachedIsochrone, request, env, headers, ctx),
+  'POST /api/elevation': (request, env, headers, ctx) => runJsonHandler(cachedElevation, request, env, headers, ctx),
+  'POST /api/optimize-route': (request, env, headers, ctx) => runJsonHandler(cachedOptimization, request, env, headers, ctx),
+  'POST /api/gemini': (request, env, headers, ctx) => runJsonHandler(cachedGemini, request, env, headers, ctx),
+  // Short links live in the SHORT_LINKS KV namespace
+  'POST /api/short-links': (request, env, headers) => runJsonHandler(
+    (body, env) => handleCreateShortLink(body, env, selectCloudflareStore(env, 'SHORT_LINKS')),
+    request, env, headers
+  ),
+  'GET /api/short-links/:id': async (request, env, headers, ctx, params) => toResponse(
+    await handleGetShortLink(params.id, env, selectCloudflareStore(env, 'SHORT_LINKS')),
+    headers
+  ),
+  'GET /api/routes': async (request, env, headers) => toResponse(await handleListSavedRoutes(
+    Object.fromEntries(new URL(request.url).searchParams),
+    env,
+    getSavedRouteContext(request, env)
+  ), headers),
+  'POST /api/routes': (request, env, headers) => runJsonHandler(
+    handleCreateSavedRoute, request, env, headers, getSavedRouteContext(request, env)
+  ),
+  'GET /api/routes/:id': async (request, env, headers, ctx, params) => toResponse(
+    await handleGetSavedRoute(params.id, env, getSavedRouteContext(request, env)),
+    headers
+  ),
+  'PUT /api/routes/:id': (request, env, headers, ctx, params) => runJsonHandler(
+    (body, env, context) => handleUpdateSavedRoute(params.id, body, env, context),
+    request, env, headers, getSavedRouteContext(request, env)
+  ),
+  'DELETE /api/routes/:id': async (request, env, headers, ctx, params) => toResponse(
+    await handleDeleteSavedRoute(params.id, env, getSavedRouteContext(request, env)),
+    headers
+  )
+};
 
-    const url = `https://api.mapbox.com/geocoding/v5/mapbox.places/${encodeURIComponent(location)}.json?access_token=${env.MAPBOX_TOKEN}`;
-    const response = await fetch(url);
-    const data = await response.json();
-
-    if (!response.ok) {
-      console.error('Mapbox geocoding error:', data);
-      return createCorsResponse(
-        JSON.stringify({ error: 'Failed to geocode location', details: data }),
-        response.status
-      );
-    }
-
-    if (data.features && data.features.length > 0) {
-      const coordinates = data.features[0].center;
-      console.log(`Successfully geocoded "${location}" to:`, coordinates);
-      return createCorsResponse(
-        JSON.stringify({ coordinates })
-      );
-    } else {
-      console.log(`No results found for "${location}"`);
-      return createCorsResponse(
-        JSON.stringify({ error: 'No results found for this location' }),
-        404
-      );
-    }
-  } catch (error) {
-    console.error('Error in geocoding handler:', error);
-    return createCorsResponse(
-      JSON.stringify({ error: 'Internal server error', message: error.message }),
-      500
-    );
+/**
+ * Find the API route for a request, matching ":param" segments
+ * @param {string} method - The request method
+ * @param {string} pathname - The request path
+ * @returns {{route: Function, params: Object}|null}
+ */
+function findApiRoute(method, pathname) {
+  if (API_ROUTES[`${method} ${pathname}`]) {
+    return { route: API_ROUTES[`${method} ${pathname}`], params: {} };
   }
-}
 
-// Handle Mapbox directions requests
-async function handleMapboxDirections(request, env) {
-  try {
-    const { coordinates, profile = 'driving' } = await request.json();
-    console.log(`Received directions request with coordinates:`, coordinates);
-    console.log(`Profile: ${profile}`);
-
-    if (!coordinates || !Array.isArray(coordinates) || coordinates.length < 2) {
-      return createCorsResponse(
-        JSON.stringify({ error: 'At least two valid coordinates are required' }),
-        400
-      );
-    }
-
-    // Format coordinates for Mapbox API
-    const coordinatesString = coordinates
-      .map(coord => coord.join(','))
-      .join(';');
-
-    const url = `https://api.mapbox.com/directions/v5/mapbox/${profile}/${coordinatesString}`;
-    console.log(`Mapbox URL: ${url}`);
-
-    const params = new URLSearchParams({
-      access_token: env.MAPBOX_TOKEN,
-      alternatives: false,
-      geometries: 'geojson',
-      steps: false,
-      overview: 'full'
-    });
-
-    console.log(`Request params:`, Object.fromEntries(params));
-
-    const response = await fetch(`${url}?${params}`);
-    const data = await response.json();
-
-    if (!response.ok) {
-      console.error(`Mapbox API error status: ${response.status}`);
-      console.error(`Mapbox API error data:`, data);
-      
-      // Try again without annotations if we get a 422 error
-      if (response.status === 422 && data.code === 'InvalidInput') {
-        console.log('Retrying without problematic parameters...');
-        return await retryDirectionsRequest(url, env.MAPBOX_TOKEN);
+  const segments = pathname.split('/');
+  for (const [key, route] of Object.entries(API_ROUTES)) {
+    const [routeMethod, routePath] = key.split(' ');
+    const routeSegments = routePath.split('/');
+    if (routeMethod !== method || routeSegments.length !== segments.length) {
+      continue;
+    }
+
+    const params = {};
+    const matches = routeSegments.every((segment, index) => {
+      if (segment.startsWith(':')) {
+        try {
+          params[segment.slice(1)] = decodeURIComponent(segments[index]);
+        } catch (error) {
+          return false;
+        }
+        return segments[index].length > 0;
       }
-      
-      return createCorsResponse(
-        JSON.stringify({ error: 'Failed to get directions', details: data }),
-        response.status
-      );
-    }
-
-    console.log(`Mapbox response status: ${response.status}`);
-    console.log(`Mapbox response contains routes: ${data.routes?.length}`);
-
-    if (data.routes && data.routes.length > 0) {
-      const route = data.routes[0];
-      console.log(`Route successfully retrieved from Mapbox. Length: ${route.geometry.coordinates.length} coordinates`);
-      return createCorsResponse(
-        JSON.stringify({ route })
-      );
-    } else {
-      console.log('No routes found');
-      return createCorsResponse(
-        JSON.stringify({ error: 'No routes found between the specified locations' }),
-        404
-      );
-    }
-  } catch (error) {
-    console.error('Error in directions handler:', error);
-    return createCorsResponse(
-      JSON.stringify({ error: 'Internal server error', message: error.message }),
-      500
-    );
-  }
-}
-
-// Retry directions request without problematic parameters
-async function retryDirectionsRequest(url, token) {
-  try {
-    const params = new URLSearchParams({
-      access_token: token,
-      alternatives: false,
-      geometries: 'geojson',
-      steps: false,
-      overview: 'full'
+      return segment === segments[index];
     });
 
-    console.log('Retrying with params:', Object.fromEntries(params));
-    
-    const response = await fetch(`${url}?${params}`);
-    const data = await response.json();
-    
-    if (!response.ok) {
-      console.error(`Retry failed. Status: ${response.status}`);
-      console.error('Error data:', data);
-      return createCorsResponse(
-        JSON.stringify({ error: 'Failed to get directions on retry', details: data }),
-        response.status
-      );
-    }
-    
-    console.log(`Retry successful. Routes: ${data.routes?.length}`);
-    
-    if (data.routes && data.routes.length > 0) {
-      const route = data.routes[0];
-      return createCorsResponse(
-        JSON.stringify({ route })
-      );
-    } else {
-      return createCorsResponse(
-        JSON.stringify({ error: 'No routes found between the specified locations' }),
-        404
-      );
+    if (matches) {
+      return { route, params };
     }
-  } catch (error) {
-    console.error('Error in retry handler:', error);
-    return createCorsResponse(
-      JSON.stringify({ error: 'Internal server error during retry', message: error.message }),
-      500
-    );
   }
-}
-
-// Handle Gemini API requests
-async function handleGeminiRequest(request, env) {
-  try {
-    console.log('Sending request to Gemini API...');
-    const requestData = await request.json();
-    
-    if (!env.GEMINI_API_KEY) {
-      return createCorsResponse(
-        JSON.stringify({ error: 'Gemini API key not configured' }),
-        500
-      );
-    }
 
-    const url = `https://generativelanguage.googleapis.com/v1/models/gemini-pro:generateContent?key=${env.GEMINI_API_KEY}`;
-    
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(requestData)
-    });
-    
-    if (!response.ok) {
-      const errorData = await response.json();
-      console.error('Gemini API error:', errorData);
-      return createCorsResponse(
-        JSON.stringify({ error: 'Error from Gemini API', details: errorData }),
-        response.status
-      );
-    }
-    
-    const data = await response.json();
-    return createCorsResponse(
-      JSON.stringify(data)
-    );
-  } catch (error) {
-    console.error('Error in Gemini handler:', error);
-    return createCorsResponse(
-      JSON.stringify({ error: 'Internal server error', message: error.message }),
-      500
-    );
-  }
+  return null;
 }
 
 // Main request handler
 export default {
   async fetch(request, env, ctx) {
     const url = new URL(request.url);
-    const corsHeaders = handleCors(request);
+    const corsHeaders = handleCors(request, env);
     
     // Handle OPTIONS requests for CORS preflight
     if (request.method === 'OPTIONS') {
@@ -287,36 +180,9 @@ export default {
     }
     
     // Route requests to appropriate handlers
-    if (url.pathname === '/api/mapbox-token' && request.method === 'GET') {
-      const response = await handleMapboxToken(request, env);
-      return new Response(response.body, {
-        status: response.status,
-        headers: { ...response.headers, ...corsHeaders }
-      });
-    }
-    
-    if (url.pathname === '/api/mapbox-geocoding' && request.method === 'POST') {
-      const response = await handleMapboxGeocoding(request, env);
-      return new Response(response.body, {
-        status: response.status,
-        headers: { ...response.headers, ...corsHeaders }
-      });
-    }
-    
-    if (url.pathname === '/api/mapbox-directions' && request.method === 'POST') {
-      const response = await handleMapboxDirections(request, env);
-      return new Response(response.body, {
-        status: response.status,
-        headers: { ...response.headers, ...corsHeaders }
-      });
-    }
-    
-    if (url.pathname === '/api/gemini' && request.method === 'POST') {
-      const response = await handleGeminiRequest(request, env);
-      return new Response(response.body, {
-        status: response.status,
-        headers: { ...response.headers, ...corsHeaders }
-      });
+    const match = findApiRoute(request.method, url.pathname);
+    if (match) {
+      return match.route(request, env, corsHeaders, ctx, match.params);
     }
     
     // Handle static assets if this worker is also serving the frontend